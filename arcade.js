@@ -0,0 +1,560 @@
+/*
+ * Shared shell for the brain-break arcade: the game list, class-period leaderboards and
+ * the controls every game needs.
+ *
+ * A game page draws its own canvas and hands the rest to mount():
+ *   - HUD badges (Score, Best, anything else the game reports) in [data-arcade="hud"]
+ *   - Start / Pause and the class period in [data-arcade="controls"]
+ *   - its leaderboard and the initials form in [data-arcade="leaderboard"]
+ *   - keyboard keys and the on-screen pad ([data-act] buttons) as named actions
+ *   - pausing when the tab or window loses focus
+ *
+ * Scores are { game, period, initials, score, at }, kept per browser as the top
+ * MAX_PER_BOARD for each game and period. They export and import as JSON, and can be
+ * sent to scoreboard-server.js for the projector (scoreboard.html).
+ *
+ * Used by arcade.html, snake.html, space_invaders.html and scoreboard.html; the
+ * leaderboard functions are covered by tests/arcade.test.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./safe-html'));
+  else root.Arcade = factory(root.SafeHtml);
+})(typeof self !== 'undefined' ? self : this, function (SafeHtml) {
+  'use strict';
+
+  const { escapeHtml } = SafeHtml;
+
+  // legacyKey: the single best score each game kept before the leaderboards
+  const GAMES = [
+    {
+      id: 'snake', title: 'Snake', href: 'snake.html', legacyKey: 'snake-best',
+      blurb: 'Eat apples to grow. Don’t run into yourself.',
+      controls: 'Arrows or WASD to steer, Space to pause, Enter to start',
+    },
+    {
+      id: 'invaders', title: 'Space Invaders', href: 'space_invaders.html', legacyKey: 'invaders-best',
+      blurb: 'Clear the fleet before it reaches the ground.',
+      controls: '← → or A/D to move, Space to fire, P to pause, Enter to start',
+    },
+  ];
+  const PERIODS = ['1', '2', '3', '4', '5', '6', '7', '8', 'Open'];
+  const MAX_PER_BOARD = 10;
+  const MAX_SCORE = 9999999;
+  const EXPORT_FORMAT = 'csgames-arcade-scores';
+  const SCORES_KEY = 'arcade:v1:scores';
+  const SETTINGS_KEY = 'arcade:v1:settings';
+
+  function gameById(id) {
+    return GAMES.find(g => g.id === id) || null;
+  }
+
+  /** "Period 3" for a numbered period, the name itself otherwise ("Open"). */
+  function periodLabel(period) {
+    return /^\d+$/.test(period) ? `Period ${period}` : String(period);
+  }
+
+  // ===================== SCORES =====================
+
+  /** Up to three letters or digits, uppercased: " j.d " -> "JD". */
+  function cleanInitials(s) {
+    return String(s == null ? '' : s).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+  }
+
+  /**
+   * A score as stored, or null when it can't be one (unknown game, no initials, a
+   * negative or fractional score, an unreadable time). Used on everything that comes
+   * from a file or over the network.
+   * @returns {{ game: string, period: string, initials: string, score: number, at: string } | null}
+   */
+  function cleanScore(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const game = String(entry.game || '');
+    const period = String(entry.period == null ? '' : entry.period).replace(/\s+/g, ' ').trim().slice(0, 20);
+    const initials = cleanInitials(entry.initials);
+    const score = Number(entry.score);
+    const at = new Date(entry.at);
+    if (!gameById(game) || !period || !initials) return null;
+    if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE || isNaN(at)) return null;
+    return { game, period, initials, score, at: at.toISOString() };
+  }
+
+  // Higher score first; on a tie, whoever got there first
+  function byRank(a, b) {
+    return b.score - a.score || a.at.localeCompare(b.at) || a.initials.localeCompare(b.initials);
+  }
+
+  function scoreKey(s) {
+    return [s.game, s.period, s.initials, s.score, s.at].join('|');
+  }
+
+  /**
+   * Scores from `lists` combined: duplicates dropped (an import of a file this browser
+   * exported adds nothing) and each game and period cut to its top MAX_PER_BOARD.
+   */
+  function mergeScores(...lists) {
+    const seen = new Set();
+    const boards = new Map();
+    [].concat(...lists).forEach(s => {
+      const key = scoreKey(s);
+      if (seen.has(key)) return;
+      seen.add(key);
+      const board = `${s.game}|${s.period}`;
+      if (!boards.has(board)) boards.set(board, []);
+      boards.get(board).push(s);
+    });
+    return Array.from(boards.values()).flatMap(list => list.sort(byRank).slice(0, MAX_PER_BOARD));
+  }
+
+  /**
+   * `incoming` merged into `scores`; `added` counts the ones that were new and made a
+   * leaderboard.
+   * @returns {{ scores: object[], added: number }}
+   */
+  function importScores(scores, incoming) {
+    const known = new Set(scores.map(scoreKey));
+    const merged = mergeScores(scores, incoming);
+    return { scores: merged, added: merged.filter(s => !known.has(scoreKey(s))).length };
+  }
+
+  /** One game's leaderboard for a period, best first. */
+  function topScores(scores, game, period) {
+    return scores.filter(s => s.game === game && s.period === period).sort(byRank).slice(0, MAX_PER_BOARD);
+  }
+
+  /** Would `score` make the game's leaderboard for `period`? */
+  function qualifies(scores, game, period, score) {
+    if (!(score > 0)) return false;
+    const board = topScores(scores, game, period);
+    return board.length < MAX_PER_BOARD || score > board[board.length - 1].score;
+  }
+
+  /**
+   * Add a score; `rank` is its place on the period's leaderboard (1 = top), or 0 when it
+   * didn't make it, and `entry` the score as stored.
+   * @returns {{ scores: object[], rank: number, entry: object }}
+   */
+  function addScore(scores, entry) {
+    const clean = cleanScore(entry);
+    if (!clean) throw new Error('That score can’t be saved: it needs a game, a period and initials.');
+    const merged = mergeScores(scores, [clean]);
+    const key = scoreKey(clean);
+    const rank = topScores(merged, clean.game, clean.period).findIndex(s => scoreKey(s) === key) + 1;
+    return { scores: merged, rank, entry: clean };
+  }
+
+  /** The highest score for a game in any period. */
+  function bestOf(scores, game) {
+    return scores.reduce((best, s) => (s.game === game ? Math.max(best, s.score) : best), 0);
+  }
+
+  // ===================== EXPORT / IMPORT =====================
+
+  function exportScores(scores, now = new Date()) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, exported_at: now.toISOString(), scores }, null, 2) + '\n';
+  }
+
+  /**
+   * Scores from an exported file (or a bare array of scores). Rows that can't be scores
+   * are skipped and counted.
+   * @returns {{ scores: object[], skipped: number }}
+   */
+  function parseScores(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('That file isn’t JSON. Choose a scores file exported from the arcade.');
+    }
+    const rows = Array.isArray(data) ? data : data && Array.isArray(data.scores) ? data.scores : null;
+    if (!rows) throw new Error('That file has no scores in it. Choose a scores file exported from the arcade.');
+    const scores = rows.map(cleanScore).filter(Boolean);
+    return { scores, skipped: rows.length - scores.length };
+  }
+
+  // ===================== STORAGE =====================
+
+  function readScores(store) {
+    try {
+      const list = JSON.parse(store.getItem(SCORES_KEY) || '[]');
+      return Array.isArray(list) ? list.map(cleanScore).filter(Boolean) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeScores(store, scores) {
+    try {
+      store.setItem(SCORES_KEY, JSON.stringify(scores));
+    } catch (e) {
+      console.warn('Could not save arcade scores:', e);
+    }
+    return scores;
+  }
+
+  /** { period, initials, scoreboard }: the last period and initials used, and the server. */
+  function readSettings(store) {
+    let saved = {};
+    try {
+      saved = JSON.parse(store.getItem(SETTINGS_KEY) || '{}') || {};
+    } catch {
+      saved = {};
+    }
+    return {
+      period: typeof saved.period === 'string' && saved.period ? saved.period : PERIODS[0],
+      initials: cleanInitials(saved.initials),
+      scoreboard: typeof saved.scoreboard === 'string' ? saved.scoreboard : '',
+    };
+  }
+
+  function writeSettings(store, changes) {
+    const next = Object.assign(readSettings(store), changes);
+    try {
+      store.setItem(SETTINGS_KEY, JSON.stringify(next));
+    } catch (e) {
+      console.warn('Could not save arcade settings:', e);
+    }
+    return next;
+  }
+
+  /** This browser's best for a game: its leaderboards, or the old single best score. */
+  function bestScore(store, game) {
+    const legacy = Number(store.getItem(gameById(game).legacyKey)) || 0;
+    return Math.max(legacy, bestOf(readScores(store), game));
+  }
+
+  // Keep the old key current too, so Best survives a game nobody put initials on
+  function noteBest(store, game, score) {
+    const key = gameById(game).legacyKey;
+    if (score > (Number(store.getItem(key)) || 0)) {
+      try { store.setItem(key, String(score)); } catch { /* full or blocked: Best just won't stick */ }
+    }
+  }
+
+  // ===================== SCOREBOARD SERVER =====================
+
+  /**
+   * Client for scoreboard-server.js (or anything speaking its API) at `base`, e.g. "/api".
+   *   list()                  -> Promise<scores>   every game and period
+   *   send(scores)            -> Promise<scores>   adds them; answers with the whole board
+   *   clear(filter, key)      -> Promise<scores>   drops a game and/or period's scores
+   * Rejects with an Error whose message can be shown as is.
+   */
+  function scoreboard(base) {
+    const url = String(base || '').replace(/\/+$/, '') + '/scores';
+
+    async function request(method, body) {
+      let resp;
+      try {
+        resp = await fetch(url, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : {},
+          body: body ? JSON.stringify(body) : undefined,
+          cache: 'no-store',
+        });
+      } catch (err) {
+        throw new Error(`Could not reach the scoreboard (${err.message}).`);
+      }
+      const data = await resp.json().catch(() => null);
+      if (!resp.ok || !data || data.ok === false) {
+        throw new Error((data && data.message) || `The scoreboard answered HTTP ${resp.status}.`);
+      }
+      return (data.scores || []).map(cleanScore).filter(Boolean);
+    }
+
+    return {
+      list: () => request('GET'),
+      send: scores => request('POST', { scores }),
+      clear: ({ game, period }, key) => request('DELETE', { game, period, teacher_key: key }),
+    };
+  }
+
+  // ===================== RENDERING =====================
+
+  function shortDate(iso) {
+    const d = new Date(iso);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  }
+
+  /**
+   * A leaderboard as an ordered list; `highlight` is the rank to mark as just added.
+   * @param {object[]} board  topScores() output
+   * @param {{ highlight?: number, empty?: string }} [opts]
+   */
+  function renderBoard(board, opts = {}) {
+    if (!board.length) return `<p class="arcade-empty">${escapeHtml(opts.empty || 'No scores yet. Be the first!')}</p>`;
+    const items = board.map((s, i) => {
+      const cls = i + 1 === opts.highlight ? ' class="arcade-new"' : '';
+      return `<li${cls}><span class="arcade-initials">${escapeHtml(s.initials)}</span>`
+        + `<span class="arcade-score">${s.score.toLocaleString('en-US')}</span>`
+        + `<span class="arcade-when">${escapeHtml(shortDate(s.at))}</span></li>`;
+    });
+    return `<ol class="arcade-board">${items.join('')}</ol>`;
+  }
+
+  function periodOptions(selected) {
+    const periods = PERIODS.includes(selected) ? PERIODS : PERIODS.concat(selected);
+    return periods.map(p => `<option value="${escapeHtml(p)}"${p === selected ? ' selected' : ''}>${escapeHtml(periodLabel(p))}</option>`).join('');
+  }
+
+  /** Send `text` to the user as a download called `name`. */
+  function download(name, text, type = 'application/json') {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  // Relative, or the same origin as the page: a shared link can't send scores elsewhere
+  function sameOrigin(url, pageUrl) {
+    try {
+      const here = new URL(pageUrl || 'http://localhost/');
+      return new URL(url, here).origin === here.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * A `?scoreboard=<url>` in the page address becomes the saved server (an empty one
+   * forgets it) when it is on this page's own server; any other is ignored. Returns the
+   * settings.
+   * @param {string} [pageUrl]  the page's address (location.href in a browser)
+   */
+  function settingsFromUrl(store, search, pageUrl = typeof location !== 'undefined' ? location.href : '') {
+    const p = new URLSearchParams(search || '');
+    const url = (p.get('scoreboard') || '').trim();
+    if (!p.has('scoreboard') || (url && !sameOrigin(url, pageUrl))) return readSettings(store);
+    return writeSettings(store, { scoreboard: url });
+  }
+
+  // ===================== INPUT =====================
+
+  function isTyping(el) {
+    return !!el && (el.isContentEditable || el.tagName === 'TEXTAREA'
+      || (el.tagName === 'INPUT' && /^(text|search|url|number|email)$/.test(el.type)));
+  }
+
+  /**
+   * Keyboard and on-screen pad as named actions. `keys` maps KeyboardEvent.key to an
+   * action ({ ArrowLeft: 'left', a: 'left', ' ': 'fire' }); letters match either case.
+   * Pad buttons name theirs in data-act and count as held while pressed.
+   * @returns {{ held(action: string): boolean, releaseAll(): void }}
+   */
+  function bindInput({ keys, pad, press, release }) {
+    const held = new Set();
+    const down = action => {
+      if (held.has(action)) return;
+      held.add(action);
+      press(action);
+    };
+    const up = action => {
+      if (!held.delete(action)) return;
+      if (release) release(action);
+    };
+    const actionOf = e => {
+      const key = e.key || '';
+      return keys[key] || (key.length === 1 ? keys[key.toLowerCase()] : undefined);
+    };
+
+    addEventListener('keydown', e => {
+      const action = actionOf(e);
+      if (!action || isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      e.preventDefault();
+      down(action);
+    });
+    addEventListener('keyup', e => {
+      const action = actionOf(e);
+      if (action) up(action);
+    });
+    (pad ? pad.querySelectorAll('[data-act]') : []).forEach(btn => {
+      const action = btn.dataset.act;
+      btn.addEventListener('pointerdown', e => { e.preventDefault(); down(action); });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => btn.addEventListener(type, () => up(action)));
+    });
+
+    const releaseAll = () => Array.from(held).forEach(up);
+    addEventListener('blur', releaseAll);
+    return { held: action => held.has(action), releaseAll };
+  }
+
+  // ===================== SHELL =====================
+
+  /**
+   * Wire a game page to the shared controls and leaderboard.
+   *
+   * The game keeps its own loop and drawing and answers three calls: start() for a new
+   * game, pause(paused) when play stops or resumes, and press(action) for its own
+   * actions ('start' and 'pause' are handled here). It reports back through the returned
+   * object: score(n), stat(id, value), over(score) when the game ends, and held(action)
+   * for actions that act while held down.
+   *
+   * @param {{ game: string, root: Element, keys: Object<string, string>,
+   *           stats?: Array<{ id: string, label: string, value: any }>,
+   *           start(): void, pause(paused: boolean): void, press?(action: string): void,
+   *           store?: Storage }} opts
+   */
+  function mount(opts) {
+    const game = gameById(opts.game);
+    const store = opts.store || localStorage;
+    const root = opts.root;
+    const slot = name => root.querySelector(`[data-arcade="${name}"]`);
+    let settings = settingsFromUrl(store, location.search);
+    let state = 'idle'; // idle | playing | paused | over
+    let pending = null; // score waiting for initials
+
+    const stats = [{ id: 'score', label: 'Score', value: 0 }, { id: 'best', label: 'Best', value: bestScore(store, game.id) }]
+      .concat(opts.stats || []);
+    slot('hud').innerHTML = stats.map(s =>
+      `<div class="badge">${escapeHtml(s.label)}: <span data-stat="${escapeHtml(s.id)}">${escapeHtml(String(s.value))}</span></div>`
+    ).join('');
+
+    const controls = slot('controls');
+    controls.insertAdjacentHTML('afterbegin',
+      '<button type="button" class="go" data-arcade-btn="start">Start / Restart</button>'
+      + '<button type="button" data-arcade-btn="pause" aria-pressed="false">Pause</button>'
+      + `<label>Class <select data-arcade-btn="period">${periodOptions(settings.period)}</select></label>`);
+    const pauseBtn = controls.querySelector('[data-arcade-btn="pause"]');
+    const periodSel = controls.querySelector('[data-arcade-btn="period"]');
+
+    const board = slot('leaderboard');
+    board.innerHTML = `<h2 class="arcade-title"></h2>
+      <form class="arcade-entry" hidden>
+        <label><span class="arcade-prompt"></span>
+          <input name="initials" maxlength="3" autocomplete="off" spellcheck="false" aria-label="Your initials" /></label>
+        <button type="submit" class="go">Save</button>
+        <button type="button" data-arcade-btn="skip">Skip</button>
+      </form>
+      <div class="arcade-list"></div>
+      <p class="arcade-note" role="status"></p>
+      <p><a href="arcade.html">All games and leaderboards</a></p>`;
+    const form = board.querySelector('.arcade-entry');
+    const initialsInput = form.querySelector('input[name="initials"]');
+    const note = board.querySelector('.arcade-note');
+
+    function stat(id, value) {
+      const el = slot('hud').querySelector(`[data-stat="${id}"]`);
+      if (el) el.textContent = String(value);
+    }
+
+    function renderLeaderboard(highlight) {
+      board.querySelector('.arcade-title').textContent = `${game.title} — ${periodLabel(settings.period)}`;
+      board.querySelector('.arcade-list').innerHTML = renderBoard(topScores(readScores(store), game.id, settings.period), { highlight });
+    }
+
+    function setState(next) {
+      state = next;
+      pauseBtn.setAttribute('aria-pressed', String(state === 'paused'));
+      pauseBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+    }
+
+    function start() {
+      form.hidden = true;
+      pending = null;
+      note.textContent = '';
+      setState('playing');
+      opts.start();
+    }
+
+    function pause(paused) {
+      if (paused ? state !== 'playing' : state !== 'paused') return;
+      setState(paused ? 'paused' : 'playing');
+      opts.pause(paused);
+    }
+
+    async function sendToScoreboard(entry) {
+      if (!settings.scoreboard) return;
+      try {
+        await scoreboard(settings.scoreboard).send([entry]);
+        note.textContent = 'Sent to the class scoreboard.';
+      } catch (err) {
+        note.textContent = `Saved here, but not on the scoreboard: ${err.message}`;
+      }
+    }
+
+    function over(score) {
+      if (state === 'idle' || state === 'over') return;
+      setState('over');
+      noteBest(store, game.id, score);
+      stat('best', bestScore(store, game.id));
+      if (!qualifies(readScores(store), game.id, settings.period, score)) return;
+      pending = score;
+      board.querySelector('.arcade-prompt').textContent = `${score.toLocaleString('en-US')} makes the ${periodLabel(settings.period)} board! Initials `;
+      initialsInput.value = settings.initials;
+      form.hidden = false;
+      initialsInput.focus();
+      initialsInput.select();
+    }
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const initials = cleanInitials(initialsInput.value);
+      if (!initials || pending == null) { initialsInput.focus(); return; }
+      const added = addScore(readScores(store), {
+        game: game.id, period: settings.period, initials, score: pending, at: new Date().toISOString(),
+      });
+      writeScores(store, added.scores);
+      settings = writeSettings(store, { initials });
+      form.hidden = true;
+      pending = null;
+      note.textContent = `Saved: #${added.rank} in ${periodLabel(settings.period)}.`;
+      renderLeaderboard(added.rank);
+      stat('best', bestScore(store, game.id));
+      sendToScoreboard(added.entry);
+    });
+    form.querySelector('[data-arcade-btn="skip"]').addEventListener('click', () => {
+      form.hidden = true;
+      pending = null;
+    });
+    initialsInput.addEventListener('input', () => { initialsInput.value = cleanInitials(initialsInput.value); });
+
+    periodSel.addEventListener('change', () => {
+      settings = writeSettings(store, { period: periodSel.value });
+      renderLeaderboard();
+    });
+    controls.querySelector('[data-arcade-btn="start"]').addEventListener('click', start);
+    pauseBtn.addEventListener('click', () => pause(state === 'playing'));
+
+    const input = bindInput({
+      keys: opts.keys,
+      pad: root,
+      press(action) {
+        if (action === 'start') start();
+        else if (action === 'pause') pause(state === 'playing');
+        else if (opts.press) opts.press(action);
+      },
+    });
+
+    // Another tab, another window, or the teacher's slides: stop the game until asked
+    document.addEventListener('visibilitychange', () => { if (document.hidden) pause(true); });
+    addEventListener('blur', () => pause(true));
+
+    // A score saved in another tab (or imported on the launcher) shows up here too
+    addEventListener('storage', e => {
+      if (e.key === SCORES_KEY) { renderLeaderboard(); stat('best', bestScore(store, game.id)); }
+      if (e.key === SETTINGS_KEY) {
+        settings = readSettings(store);
+        periodSel.innerHTML = periodOptions(settings.period);
+        renderLeaderboard();
+      }
+    });
+
+    renderLeaderboard();
+    return {
+      score: n => stat('score', n),
+      stat,
+      over,
+      held: input.held,
+      get state() { return state; },
+    };
+  }
+
+  return {
+    GAMES, PERIODS, MAX_PER_BOARD, SCORES_KEY, SETTINGS_KEY,
+    gameById, periodLabel, cleanInitials, cleanScore, mergeScores, importScores, topScores, qualifies, addScore, bestOf,
+    exportScores, parseScores, readScores, writeScores, readSettings, writeSettings, settingsFromUrl,
+    bestScore, noteBest, scoreboard, renderBoard, periodOptions, download, bindInput, mount,
+  };
+});
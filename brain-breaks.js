@@ -0,0 +1,278 @@
+/*
+ * Brain-break library for the pacing guides.
+ *
+ * Brain-break cells are free text ("Brain Break: Riddle 1: Egg Riddle; Riddle 2: Candle
+ * Riddle; Phones/snack/drink allowed", "Would You Rather (Round 2)."). parseBreaks() turns
+ * a cell into named activities. Numbered items ("Riddle 1: …") are separate activities.
+ * Otherwise the name is the text up to the first ":", "—" or end of sentence.
+ * Parentheticals and round numbers are dropped when matching, so "Would You Rather" and
+ * "Would You Rather (Round 2)" count as the same activity.
+ *
+ * Gaps are counted in class days (rows of the guide), not calendar days, so weekends and
+ * days off do not stretch the rotation.
+ *
+ * The plugin() adds a "Brain breaks" panel: usage per activity, repeats within N class
+ * days (also flagged on the day card), suggestions for empty cells, and a CSV of the
+ * corrected column to paste back into the sheet.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.BrainBreaks = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { escapeHtml } = PacingEngine;
+
+  // "Brain Break" / "Brain Break (5-10 min)", but not "Minutes: Brain Break"
+  const BRAIN_BREAK = /^brain break/i;
+  const PREFIX = /^\s*brain break\b\s*(\([^)]*\))?\s*:?\s*/i;
+  const NUMBERED = /^(?:riddle|activity|game|round|part)\s*\d+\s*[:.)-]\s*(.+)$/i;
+  const DEFAULT_WITHIN = 10;
+
+  // ===================== PARSING =====================
+
+  /** Matching key: lowercase, without parentheticals, round numbers or punctuation. */
+  function activityKey(name) {
+    return String(name || '').toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/\b(round\s*)?\d+\b/g, ' ')
+      .replace(/[^a-z0-9&]+/g, ' ')
+      .trim();
+  }
+
+  function displayName(name) {
+    return name.replace(/\([^)]*\)/g, ' ').replace(/\s+(round\s*)?\d+\s*$/i, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * The named activities in one brain-break cell.
+   * @param {string} text
+   * @returns {Array<{ name: string, key: string, text: string }>}  `text` is what to reuse for a suggestion
+   */
+  function parseBreaks(text) {
+    const body = String(text || '').replace(/\s+/g, ' ').replace(PREFIX, '').trim();
+    if (!body) return [];
+    const numbered = body.split(/\s*;\s*/).map(p => NUMBERED.exec(p)).filter(Boolean);
+    const found = numbered.length
+      ? numbered.map(m => ({ name: displayName(m[1]), text: m[1].trim() }))
+      : [{ name: displayName(body.split(/\s*(?::|\s[—–-]\s|—|[.!?](?=\s|$))/)[0]), text: body }];
+    return found
+      .map(a => Object.assign(a, { key: activityKey(a.name) }))
+      .filter(a => a.key);
+  }
+
+  /** The course's brain-break column, or ''. */
+  function breakColumn(headers) {
+    return headers.find(h => BRAIN_BREAK.test(h)) || '';
+  }
+
+  // Dated days, oldest first; a day's position here is its class-day index
+  function classDays(days) {
+    return days.filter(d => d.start).slice().sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Every activity with the days that use it, most used first.
+   * @returns {Array<{ key: string, name: string, uses: Array<{ day: object, index: number, text: string }> }>}
+   */
+  function buildLibrary(days, column) {
+    const map = new Map();
+    classDays(days).forEach((day, index) => parseBreaks(day.row[column]).forEach(a => {
+      let entry = map.get(a.key);
+      if (!entry) map.set(a.key, (entry = { key: a.key, name: a.name, uses: [] }));
+      if (!entry.uses.some(u => u.day === day)) entry.uses.push({ day, index, text: a.text });
+    }));
+    return Array.from(map.values()).sort((a, b) => b.uses.length - a.uses.length || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Back-to-back uses of an activity at most `within` class days apart, in date order.
+   * @returns {Array<{ activity: object, first: object, second: object, gap: number }>}
+   */
+  function repeats(library, within = DEFAULT_WITHIN) {
+    const out = [];
+    library.forEach(activity => activity.uses.forEach((u, i) => {
+      const prev = activity.uses[i - 1];
+      if (prev && u.index - prev.index <= within) out.push({ activity, first: prev.day, second: u.day, gap: u.index - prev.index });
+    }));
+    return out.sort((a, b) => a.second.start - b.second.start || a.activity.name.localeCompare(b.activity.name));
+  }
+
+  /**
+   * Fill empty brain-break cells from the library. Each empty day gets the least recently
+   * used activity that is not already used within `within` class days on either side,
+   * counting earlier suggestions; ties go to the less used activity. `activity` is null
+   * when nothing fits.
+   * @returns {Array<{ day: object, activity: object|null, text: string }>}
+   */
+  function suggest(days, column, library, within = DEFAULT_WITHIN) {
+    const used = new Map(library.map(e => [e.key, e.uses.map(u => u.index)]));
+    const out = [];
+    classDays(days).forEach((day, i) => {
+      if (String(day.row[column] || '').trim()) return;
+      const lastBefore = e => Math.max(-Infinity, ...used.get(e.key).filter(j => j < i));
+      const pick = library
+        .filter(e => used.get(e.key).every(j => Math.abs(j - i) > within))
+        .sort((a, b) => lastBefore(a) - lastBefore(b) || used.get(a.key).length - used.get(b.key).length || a.name.localeCompare(b.name))[0];
+      if (pick) used.get(pick.key).push(i);
+      out.push({ day, activity: pick || null, text: pick ? pick.uses[pick.uses.length - 1].text : '' });
+    });
+    return out;
+  }
+
+  function csvCell(v) {
+    const s = String(v == null ? '' : v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * The day and brain-break columns as CSV, in sheet order, with suggestions filled in.
+   * @param {object[]} rows  the CSV rows (engine.rows)
+   * @param {string} dayColumn
+   * @param {string} column
+   * @param {Map<object, string>} [fills]  row -> text for the empty cells
+   */
+  function columnToCSV(rows, dayColumn, column, fills = new Map()) {
+    const lines = [[dayColumn, column]].concat(rows.map(r => [r[dayColumn], String(r[column] || '').trim() || fills.get(r) || '']));
+    return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /** Pacing-engine plugin: the "Brain breaks" panel and repeat warnings on the day cards. */
+  function plugin() {
+    return engine => {
+      const config = engine.config;
+      const storeKey = `brain-breaks:v1:${config.id || config.title}`;
+      let within = DEFAULT_WITHIN;
+      try { within = Number(localStorage.getItem(storeKey)) || DEFAULT_WITHIN; } catch { /* private mode */ }
+      let column = '';
+      let library = [];
+      let clashes = [];
+      let suggestions = null;
+      let stale = true;
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.textContent = 'Brain breaks';
+      btn.hidden = true;
+      btn.setAttribute('aria-expanded', 'false');
+      engine.el.toolbar.appendChild(btn);
+
+      const box = document.createElement('section');
+      box.className = 'breaks-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'Brain breaks');
+      box.innerHTML = `
+        <div class="breaks-controls">
+          <label>Warn when an activity repeats within <input type="number" id="breaksWithin" min="1" max="60"> class days</label>
+          <button id="breaksSuggest" class="btn" type="button">Suggest for empty days</button>
+          <button id="breaksExport" class="btn" type="button">Export column CSV</button>
+        </div>
+        <div id="breaksSummary" class="breaks-summary"></div>
+        <div id="breaksBody"></div>`;
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+      const $ = id => box.querySelector('#' + id);
+      $('breaksWithin').value = within;
+
+      function compute() {
+        if (!stale) return;
+        stale = false;
+        column = breakColumn(engine.headers);
+        library = column ? buildLibrary(engine.days, column) : [];
+        clashes = repeats(library, within);
+        suggestions = null;
+        btn.hidden = !column;
+      }
+
+      const dayLink = day => `<a href="${escapeHtml(engine.dayHref(day.key))}" data-key="${escapeHtml(day.key)}">${escapeHtml(day.key)}</a>`;
+
+      function draw() {
+        compute();
+        if (box.hidden) return;
+        const empty = classDays(engine.days).filter(d => !String(d.row[column] || '').trim()).length;
+        $('breaksSummary').textContent = `${library.length} activities, ${clashes.length} repeat${clashes.length === 1 ? '' : 's'} within ${within} class days, ${empty} day${empty === 1 ? '' : 's'} without a brain break.`;
+        let html = '';
+        if (clashes.length) {
+          html += `<h3>Repeats</h3><ul class="breaks-repeats">${clashes.map(c =>
+            `<li><b>${escapeHtml(c.activity.name)}</b> on ${dayLink(c.first)} and ${dayLink(c.second)} (${c.gap} class day${c.gap === 1 ? '' : 's'} apart)</li>`).join('')}</ul>`;
+        }
+        if (suggestions) {
+          html += `<h3>Suggestions</h3>` + (suggestions.length
+            ? `<table class="breaks-table"><thead><tr><th>Day</th><th>Activity</th><th>Text</th></tr></thead><tbody>${suggestions.map(s => `
+                <tr class="${s.activity ? '' : 'none'}"><td>${dayLink(s.day)}</td><td>${s.activity ? escapeHtml(s.activity.name) : 'Nothing fits the rotation'}</td><td>${escapeHtml(s.text)}</td></tr>`).join('')}
+              </tbody></table>`
+            : '<p>Every day already has a brain break.</p>');
+        }
+        html += `<h3>Library</h3><table class="breaks-table"><thead><tr><th>Activity</th><th>Uses</th><th>Days</th></tr></thead><tbody>${library.map(e => `
+          <tr><td>${escapeHtml(e.name)}</td><td>${e.uses.length}</td><td>${e.uses.map(u => dayLink(u.day)).join(', ')}</td></tr>`).join('')}
+          </tbody></table>`;
+        $('breaksBody').innerHTML = html;
+      }
+
+      function exportCsv() {
+        compute();
+        const fills = new Map((suggestions || []).filter(s => s.activity).map(s => [s.day.row, s.text]));
+        const csv = columnToCSV(engine.rows, config.columns.day, column, fills);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${config.id || 'pacing'}-brain-breaks.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+      }
+
+      btn.addEventListener('click', () => {
+        box.hidden = !box.hidden;
+        btn.setAttribute('aria-expanded', String(!box.hidden));
+        draw();
+      });
+      $('breaksWithin').addEventListener('change', () => {
+        within = Math.max(1, Math.round(Number($('breaksWithin').value)) || DEFAULT_WITHIN);
+        $('breaksWithin').value = within;
+        try { localStorage.setItem(storeKey, String(within)); } catch { /* private mode */ }
+        stale = true;
+        engine.render();
+      });
+      $('breaksSuggest').addEventListener('click', () => {
+        compute();
+        suggestions = suggest(engine.days, column, library, within);
+        draw();
+      });
+      $('breaksExport').addEventListener('click', exportCsv);
+      $('breaksBody').addEventListener('click', e => {
+        const a = e.target.closest('a[data-key]');
+        if (!a) return;
+        e.preventDefault();
+        engine.openDay(a.dataset.key, { updateUrl: true, scroll: false });
+      });
+
+      // Flag repeats on the cards themselves; cards render before the 'render' event
+      engine.on('days', () => { stale = true; });
+      engine.on('card', ({ day, card }) => {
+        compute();
+        const section = Array.from(card.querySelectorAll('.section[data-field]')).find(s => s.dataset.field === column);
+        if (!section) return;
+        const notes = clashes.filter(c => c.first === day || c.second === day).map(c => {
+          const other = c.first === day ? c.second : c.first;
+          return `<p class="break-repeat">${escapeHtml(c.activity.name)} is also on ${dayLink(other)}, ${c.gap} class day${c.gap === 1 ? '' : 's'} apart.</p>`;
+        });
+        if (!notes.length) return;
+        section.querySelector('.section-content').insertAdjacentHTML('beforeend', notes.join(''));
+        section.addEventListener('click', e => {
+          const a = e.target.closest('.break-repeat a[data-key]');
+          if (!a) return;
+          e.preventDefault();
+          engine.openDay(a.dataset.key, { updateUrl: true });
+        });
+      });
+      engine.on('render', draw);
+      engine.on('patch', draw);
+    };
+  }
+
+  return { activityKey, parseBreaks, breakColumn, buildLibrary, repeats, suggest, columnToCSV, plugin };
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/*
+ * Generate per-school .ics subscription feeds from School_Calendar_Master.csv.
+ *
+ *   node build-school-ics.js [input.csv] [outDir]
+ *
+ * Defaults: School_Calendar_Master.csv -> ics/. Writes one <school-slug>.ics per school
+ * (with the "All Schools" days), all-schools.ics, and index.json listing the feeds. Commit
+ * the output (or publish it with GitHub Pages) and subscribe to e.g.
+ *   https://aspiece.github.io/CSGames/ics/clio-schools.ics
+ * UIDs are stable, so regenerating after a calendar change updates subscribers in place.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeEvent, isRollup } = require('./school-events.js');
+const { parseCalendarCsv } = require('./school-calendar.js');
+const { buildCalendar, slugify } = require('./school-ics.js');
+
+// One row per day, read exactly as the viewers read it (ranges and weekly rules expanded),
+// shaped like the No-School viewer's own .ics export so the UIDs match
+function readRows(csvPath) {
+  const rows = parseCalendarCsv(fs.readFileSync(csvPath, 'utf8'));
+  if (!rows.length) throw new Error(`No calendar rows in ${csvPath}: it needs Date, Event and School columns.`);
+  return rows.map(r => ({ iso: r.iso, event: normalizeEvent(r.event).raw, school: r.school, notes: r.notes, category: r.label }));
+}
+
+// One feed per school, each with the "All Schools" rows that apply to it (as the print view
+// does); a roll-up gets no feed of its own, so nothing collides with all-schools.ics
+function feedsOf(rows) {
+  const schools = [...new Set(rows.map(r => r.school).filter(s => !isRollup(s)))].sort((a, b) => a.localeCompare(b));
+  return schools.map(school => ({
+    school,
+    file: `${slugify(school)}.ics`,
+    rows: rows.filter(r => r.school === school || isRollup(r.school)),
+  }));
+}
+
+function main() {
+  const input = process.argv[2] || path.join(__dirname, 'School_Calendar_Master.csv');
+  const outDir = process.argv[3] || path.join(__dirname, 'ics');
+  const rows = readRows(input);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const index = [];
+  for (const { school, file, rows: list } of feedsOf(rows)) {
+    fs.writeFileSync(path.join(outDir, file), buildCalendar(list, { name: `${school} — No School Days` }));
+    index.push({ school, file, events: list.length });
+  }
+  fs.writeFileSync(path.join(outDir, 'all-schools.ics'), buildCalendar(rows, { name: 'All Schools — No School Days' }));
+  fs.writeFileSync(path.join(outDir, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+
+  console.log(`Wrote ${index.length} school feeds + all-schools.ics (${rows.length} events) to ${outDir}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { readRows, feedsOf };
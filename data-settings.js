@@ -0,0 +1,413 @@
+/*
+ * Data-source settings shared by the pacing pages and the No-School viewers.
+ *
+ * A page declares its defaults (CSV or Google Sheet URLs, refresh interval, week start,
+ * column mapping) and reads the effective settings with DataSettings.resolve(). Someone
+ * who forks the repo changes them in the settings panel instead of in the code. Saved
+ * settings live in localStorage under `data-settings:v1:<page>`; URL parameters win over
+ * both, for one visit or for everyone following a shared link:
+ *
+ *   ?csv=<url>              data source; repeat it for fallbacks
+ *   ?refresh=<minutes>      auto-refresh interval, 0 = off
+ *   ?weekStart=sunday       'monday' or 'sunday'
+ *   ?col.<field>=<Header>   header that holds a field, e.g. ?col.date=Start%20Date
+ *
+ * Column guesses reuse PacingEngine.findHeader, the same fuzzy matching the parsers use.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.DataSettings = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { parseCSV, findHeaderRow, findHeader, findOptionalHeader, escapeHtml } = PacingEngine;
+  const WEEK_STARTS = ['monday', 'sunday'];
+  const PREVIEW_ROWS = 5;
+
+  function storageKey(page) {
+    return `data-settings:v1:${page}`;
+  }
+
+  function defaultStorage() {
+    try { return typeof localStorage !== 'undefined' ? localStorage : null; } catch (_) { return null; }
+  }
+
+  // ===================== SETTINGS =====================
+
+  /**
+   * Turn a Google Sheet link into one that returns CSV: a "Publish to web" page link
+   * (…/pubhtml) or an editor link (…/edit#gid=N, which needs link sharing on).
+   * Anything else is returned trimmed and unchanged.
+   */
+  function sheetCsvUrl(url) {
+    const s = String(url || '').trim();
+    let u;
+    try { u = new URL(s); } catch (_) { return s; }
+    if (u.hostname !== 'docs.google.com' || !u.pathname.startsWith('/spreadsheets/')) return s;
+    const published = u.pathname.match(/^\/spreadsheets\/d\/e\/([\w-]+)\/pub(?:html)?$/);
+    if (published) {
+      u.pathname = `/spreadsheets/d/e/${published[1]}/pub`;
+      u.searchParams.set('output', 'csv');
+      u.hash = '';
+      return u.toString();
+    }
+    const editor = u.pathname.match(/^\/spreadsheets\/d\/([\w-]+)(?:\/(?:edit|view)?)?$/);
+    if (editor && editor[1] !== 'e') {
+      const gid = u.searchParams.get('gid') || (u.hash.match(/gid=(\d+)/) || [])[1] || '0';
+      return `https://docs.google.com/spreadsheets/d/${editor[1]}/export?format=csv&gid=${gid}`;
+    }
+    return s;
+  }
+
+  // Keep only well-formed values; anything else falls through to the next layer
+  function clean(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    if (Array.isArray(raw.sources)) {
+      const sources = raw.sources.map(sheetCsvUrl).filter(Boolean);
+      if (sources.length) out.sources = sources;
+    }
+    // 0 turns auto-refresh off; anything else is at least a minute, so ?refresh=0.001 can't hammer the sheet
+    const minutes = Number(raw.refreshMinutes);
+    if (raw.refreshMinutes !== '' && raw.refreshMinutes != null && Number.isFinite(minutes) && minutes >= 0) out.refreshMinutes = minutes === 0 ? 0 : Math.max(1, minutes);
+    if (WEEK_STARTS.includes(raw.weekStart)) out.weekStart = raw.weekStart;
+    if (raw.columns && typeof raw.columns === 'object') {
+      const columns = {};
+      Object.keys(raw.columns).forEach(k => { if (typeof raw.columns[k] === 'string' && raw.columns[k].trim()) columns[k] = raw.columns[k].trim(); });
+      if (Object.keys(columns).length) out.columns = columns;
+    }
+    return out;
+  }
+
+  function fromQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const columns = {};
+    params.forEach((v, k) => { if (k.startsWith('col.')) columns[k.slice(4)] = v; });
+    return clean({
+      sources: params.getAll('csv'),
+      refreshMinutes: params.has('refresh') ? params.get('refresh') : null,
+      weekStart: params.get('weekStart'),
+      columns,
+    });
+  }
+
+  function readSaved(page, storage = defaultStorage()) {
+    try { return clean(JSON.parse((storage && storage.getItem(storageKey(page))) || 'null')); } catch (_) { return {}; }
+  }
+
+  /**
+   * Effective settings for `page`: defaults, then saved, then URL. `overridden` names the
+   * URL parameters that decided something, so the panel can say why a saved value isn't
+   * in effect.
+   * Column maps merge per field.
+   * @returns {{ sources: string[], refreshMinutes: number, weekStart: string, columns: object, overridden: string[] }}
+   */
+  function resolve(page, defaults, { search = typeof location !== 'undefined' ? location.search : '', storage = defaultStorage() } = {}) {
+    const base = Object.assign({ sources: [], refreshMinutes: 0, weekStart: 'monday', columns: {} }, defaults);
+    const saved = readSaved(page, storage);
+    const url = fromQuery(search);
+    const out = Object.assign({}, base, saved, url);
+    out.columns = Object.assign({}, base.columns, saved.columns, url.columns);
+    const param = { sources: 'csv', refreshMinutes: 'refresh', weekStart: 'weekStart' };
+    out.overridden = Object.keys(param).filter(k => k in url).map(k => param[k])
+      .concat(Object.keys(url.columns || {}).map(k => `col.${k}`));
+    return out;
+  }
+
+  function save(page, settings, storage = defaultStorage()) {
+    const value = clean(settings);
+    if (storage) storage.setItem(storageKey(page), JSON.stringify(value));
+    return value;
+  }
+
+  function reset(page, storage = defaultStorage()) {
+    if (storage) storage.removeItem(storageKey(page));
+  }
+
+  /** `href` with the settings as URL overrides, for sending a configured page to someone. */
+  function shareLink(settings, href) {
+    const u = new URL(href);
+    ['csv', 'refresh', 'weekStart'].forEach(k => u.searchParams.delete(k));
+    Array.from(u.searchParams.keys()).filter(k => k.startsWith('col.')).forEach(k => u.searchParams.delete(k));
+    (settings.sources || []).forEach(s => u.searchParams.append('csv', s));
+    if (settings.refreshMinutes != null) u.searchParams.set('refresh', String(settings.refreshMinutes));
+    if (settings.weekStart) u.searchParams.set('weekStart', settings.weekStart);
+    Object.keys(settings.columns || {}).forEach(k => u.searchParams.set(`col.${k}`, settings.columns[k]));
+    return u.toString();
+  }
+
+  // ===================== COLUMNS =====================
+
+  /** Header row of a CSV text (BOM and comment lines skipped), or []. */
+  function csvHeaders(text) {
+    const records = parseCSV(text);
+    const i = findHeaderRow(records);
+    return i < 0 ? [] : records[i].map(h => (h || '').replace(/^\uFEFF/, '').trim()).filter(Boolean);
+  }
+
+  /**
+   * Header for each field: the explicit mapping when that header exists, else a guess.
+   * Fields are `{ key, candidates, hints, optional }`; optional ones only match exactly
+   * and are '' when missing.
+   */
+  function guessColumns(headers, fields, current = {}) {
+    const out = {};
+    fields.forEach(f => {
+      if (current[f.key] && headers.includes(current[f.key])) out[f.key] = current[f.key];
+      else if (f.optional) out[f.key] = findOptionalHeader(headers, f.candidates || [f.label]);
+      else out[f.key] = headers.length ? findHeader(headers, f.candidates || [f.label], f.hints) : '';
+    });
+    return out;
+  }
+
+  // ===================== PANEL =====================
+
+  const CSS = `
+    .ds-open{font:inherit}
+    .ds-panel{border:1px solid #cbd5e1;border-radius:14px;padding:0;width:min(720px,94vw);max-height:90vh;color:#0f172a;background:#fff;font:14px/1.4 system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    .ds-panel::backdrop{background:rgba(15,23,42,.45)}
+    .ds-panel form{display:flex;flex-direction:column;gap:12px;padding:18px}
+    .ds-panel h2{margin:0;font-size:18px}
+    .ds-panel label{display:flex;flex-direction:column;gap:4px;font-weight:600}
+    .ds-panel textarea,.ds-panel input,.ds-panel select{font:inherit;font-weight:400;border:1px solid #cbd5e1;border-radius:8px;padding:6px 8px;background:#fff;color:inherit}
+    .ds-panel fieldset{border:1px solid #e2e8f0;border-radius:10px;display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:8px}
+    .ds-panel .ds-note,.ds-panel .ds-status{color:#475569;font-size:13px;margin:0}
+    .ds-panel .ds-status.err{color:#b91c1c}
+    .ds-panel .ds-row{display:flex;gap:8px;flex-wrap:wrap;align-items:center}
+    .ds-panel button{font:inherit;border:1px solid #cbd5e1;background:#f8fafc;color:#0f172a;border-radius:8px;padding:6px 12px;cursor:pointer}
+    .ds-panel button.primary{background:#1d4ed8;border-color:#1d4ed8;color:#fff}
+    .ds-panel .ds-preview{overflow:auto;max-height:220px}
+    .ds-panel table{border-collapse:collapse;font-size:12px;width:100%}
+    .ds-panel th,.ds-panel td{border:1px solid #e2e8f0;padding:3px 6px;text-align:left;vertical-align:top;max-width:220px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+  `;
+
+  function injectCss() {
+    if (document.getElementById('data-settings-css')) return;
+    const style = document.createElement('style');
+    style.id = 'data-settings-css';
+    style.textContent = CSS;
+    document.head.appendChild(style);
+  }
+
+  async function fetchFirst(sources) {
+    let lastErr = new Error('No data source set');
+    for (const url of sources) {
+      try {
+        const resp = await fetch(url + (url.includes('?') ? '&' : '?') + 't=' + Date.now(), { cache: 'no-store' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const text = await resp.text();
+        if (csvHeaders(text).length) return { url, text };
+        lastErr = new Error('No header row');
+      } catch (err) {
+        lastErr = new Error(`${url}: ${err.message}`);
+      }
+    }
+    throw lastErr;
+  }
+
+  function previewTable(rows) {
+    if (!rows.length) return '<p class="ds-status err">No rows parsed with this mapping.</p>';
+    const cols = Object.keys(rows[0]);
+    return `<table><thead><tr>${cols.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead><tbody>${
+      rows.slice(0, PREVIEW_ROWS).map(r => `<tr>${cols.map(c => `<td title="${escapeHtml(r[c])}">${escapeHtml(r[c])}</td>`).join('')}</tr>`).join('')
+    }</tbody></table>`;
+  }
+
+  /**
+   * Open the settings dialog.
+   * @param {object} opts
+   * @param {string} opts.page        storage id, shared by pages reading the same data
+   * @param {string} opts.title
+   * @param {object} opts.defaults    { sources, refreshMinutes, weekStart?, columns }
+   * @param {Array}  opts.fields      [{ key, label, candidates, hints, optional }]
+   * @param {Function} opts.preview   (csvText, columns) -> Array<object> rows to show
+   * @param {Function} [opts.guess]   (headers, columns) -> columns, when the page has its own guesser
+   * @param {boolean} [opts.weekStart] show the week-start choice
+   */
+  function open(opts) {
+    injectCss();
+    const current = resolve(opts.page, opts.defaults);
+    const guess = opts.guess || ((headers, cols) => guessColumns(headers, opts.fields, cols));
+    const dialog = document.createElement('dialog');
+    dialog.className = 'ds-panel';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <h2>Data settings — ${escapeHtml(opts.title)}</h2>
+        <p class="ds-note">Saved in this browser only. Use “Copy link” to give someone else the same settings.</p>
+        ${current.overridden.length ? `<p class="ds-note"><strong>This link sets ${escapeHtml(current.overridden.join(', '))}</strong>, which win over saved settings.</p>` : ''}
+        <label>CSV or Google Sheet URLs <span class="ds-note">one per line; the first that loads is used</span>
+          <textarea name="sources" rows="3" spellcheck="false"></textarea></label>
+        <div class="ds-row">
+          <label>Auto-refresh (minutes, 0 = off) <input name="refresh" type="number" min="0" step="1"></label>
+          ${opts.weekStart ? `<label>Week starts on <select name="weekStart"><option value="monday">Monday</option><option value="sunday">Sunday</option></select></label>` : ''}
+        </div>
+        <fieldset><legend>Columns</legend>
+          ${opts.fields.map(f => `<label>${escapeHtml(f.label)}<select data-col="${escapeHtml(f.key)}"><option value="">(automatic)</option></select></label>`).join('')}
+        </fieldset>
+        <div class="ds-row"><button type="button" data-ds="load">Load &amp; preview</button><span class="ds-status" role="status"></span></div>
+        <div class="ds-preview"></div>
+        <div class="ds-row">
+          <button class="primary" value="save">Save &amp; reload</button>
+          <button type="button" data-ds="share">Copy link</button>
+          <button type="button" data-ds="reset">Reset to defaults</button>
+          <button value="close">Close</button>
+        </div>
+      </form>`;
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('form');
+    const status = dialog.querySelector('.ds-status');
+    const selects = Array.from(dialog.querySelectorAll('[data-col]'));
+    form.elements.sources.value = current.sources.join('\n');
+    form.elements.refresh.value = String(current.refreshMinutes);
+    if (form.elements.weekStart) form.elements.weekStart.value = current.weekStart;
+    let loadedText = '';
+
+    function setStatus(msg, isErr) {
+      status.textContent = msg;
+      status.classList.toggle('err', !!isErr);
+    }
+
+    function fillSelects(headers) {
+      const guessed = guess(headers, {});
+      selects.forEach(sel => {
+        const key = sel.dataset.col;
+        const chosen = sel.value || current.columns[key] || '';
+        const names = headers.length ? headers : (chosen ? [chosen] : []);
+        sel.innerHTML = `<option value="">(automatic${guessed[key] ? `: ${escapeHtml(guessed[key])}` : ''})</option>` +
+          names.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+        sel.value = names.includes(chosen) ? chosen : '';
+      });
+    }
+
+    function readForm() {
+      const columns = {};
+      selects.forEach(sel => { if (sel.value) columns[sel.dataset.col] = sel.value; });
+      return {
+        sources: form.elements.sources.value.split(/\r?\n/).map(s => s.trim()).filter(Boolean),
+        refreshMinutes: form.elements.refresh.value,
+        weekStart: form.elements.weekStart ? form.elements.weekStart.value : undefined,
+        columns,
+      };
+    }
+
+    function showPreview() {
+      if (!loadedText) return;
+      const headers = csvHeaders(loadedText);
+      const columns = guess(headers, readForm().columns);
+      let rows;
+      try { rows = opts.preview(loadedText, columns); } catch (err) { rows = []; console.error(err); }
+      dialog.querySelector('.ds-preview').innerHTML = previewTable(rows);
+    }
+
+    async function load() {
+      const { sources } = clean(readForm());
+      setStatus('Loading…');
+      try {
+        const { url, text } = await fetchFirst(sources || []);
+        loadedText = text;
+        const headers = csvHeaders(text);
+        fillSelects(headers);
+        setStatus(`${headers.length} columns from ${url}`);
+        showPreview();
+      } catch (err) {
+        loadedText = '';
+        dialog.querySelector('.ds-preview').innerHTML = '';
+        setStatus(`Could not load: ${err.message}`, true);
+      }
+    }
+
+    fillSelects([]);
+    selects.forEach(sel => sel.addEventListener('change', showPreview));
+    dialog.addEventListener('click', e => {
+      const btn = e.target.closest('[data-ds]');
+      if (!btn) return;
+      const action = btn.dataset.ds;
+      if (action === 'load') load();
+      else if (action === 'share') {
+        const link = shareLink(clean(readForm()), location.href);
+        (navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error('no clipboard')))
+          .then(() => setStatus('Link copied.'), () => { window.prompt('Copy this link:', link); });
+      } else if (action === 'reset') {
+        if (!window.confirm('Forget the saved settings for this page?')) return;
+        reset(opts.page);
+        location.reload();
+      }
+    });
+    dialog.addEventListener('submit', e => {
+      if (!e.submitter || e.submitter.value !== 'save') return;
+      const sources = readForm().sources;
+      if (!sources.length) { e.preventDefault(); setStatus('Add at least one URL.', true); return; }
+      save(opts.page, readForm());
+      location.reload();
+    });
+    dialog.addEventListener('close', () => dialog.remove());
+    dialog.showModal();
+    if (current.sources.length) load();
+    return dialog;
+  }
+
+  /** A "Data settings" button that opens the panel; class names are added to the page's own. */
+  function button(opts, className = '') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `ds-open ${className}`.trim();
+    btn.textContent = 'Data settings';
+    btn.title = 'Change the data source, refresh interval and column mapping';
+    btn.addEventListener('click', () => open(opts));
+    return btn;
+  }
+
+  // ===================== PACING PAGES =====================
+
+  // Roles a pacing sheet can remap; the rest of its columns render as-is
+  function pacingFields(course) {
+    const day = (course.columns && course.columns.day) || PacingEngine.DEFAULTS.columns.day;
+    return [
+      { key: 'day', label: 'Day / week', candidates: [day, 'Day', 'Date', 'Week'], hints: ['day', 'date', 'week'] },
+      { key: 'video', label: 'Video links', candidates: ['Video', 'Videos'], hints: ['video'], optional: true },
+      { key: 'slides', label: 'Slide deck links', candidates: ['Slide deck', 'Slides', 'Slide Deck'], hints: ['slide'], optional: true },
+    ];
+  }
+
+  /**
+   * A PacingCourses entry with this browser's settings applied (sources, refreshMs,
+   * column roles) and a "Data settings" button added to the engine toolbar.
+   */
+  function pacingCourse(course, resolveOpts) {
+    const page = course.id || course.title;
+    const refreshMs = course.refreshMs != null ? course.refreshMs : PacingEngine.DEFAULTS.refreshMs;
+    const defaults = { sources: course.sources || [], refreshMinutes: refreshMs / 60000, columns: {} };
+    const settings = resolve(page, defaults, resolveOpts);
+    const columns = Object.assign({}, course.columns);
+    ['day', 'video', 'slides'].forEach(k => { if (settings.columns[k]) columns[k] = settings.columns[k]; });
+    const fields = pacingFields(course);
+    const panel = {
+      page,
+      title: course.title,
+      defaults,
+      fields,
+      preview: (text, cols) => {
+        const parsed = PacingEngine.csvToObjects(text, cols.day);
+        return parsed.rows.map(r => {
+          const row = {};
+          [cols.day].concat(parsed.headers.filter(h => h !== cols.day)).slice(0, 4).forEach(h => { row[h] = r[h]; });
+          return row;
+        });
+      },
+    };
+    const plugin = engine => {
+      if (engine.el.toolbar) engine.el.toolbar.appendChild(button(panel, 'btn'));
+    };
+    return Object.assign({}, course, {
+      sources: settings.sources,
+      refreshMs: Math.round(settings.refreshMinutes * 60000),
+      columns,
+      plugins: (course.plugins || []).concat(plugin),
+    });
+  }
+
+  return {
+    storageKey, sheetCsvUrl, fromQuery, readSaved, resolve, save, reset, shareLink,
+    csvHeaders, guessColumns, open, button, pacingFields, pacingCourse,
+  };
+});
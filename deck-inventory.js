@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/*
+ * Cross-check the slide decks (.pptx) in the repository against the pacing CSVs.
+ *
+ *   node deck-inventory.js              # every course's local CSV
+ *   node deck-inventory.js --outline    # also list each deck's slide titles
+ *   node deck-inventory.js --json       # machine-readable output
+ *
+ * Reports which days link each deck, links to repo decks that do not exist, and decks
+ * no day links to. Exits 1 when a link is missing its deck, so it can gate a commit.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const courses = require('./pacing-courses.js');
+const { csvToObjects, resolveConfig } = require('./pacing-engine.js');
+const { deckLinks, inventory, readDeck } = require('./slide-decks.js');
+const { localSource } = require('./validate-pacing.js');
+
+// Repo-relative paths of every file, skipping dot-directories and node_modules
+function repoFiles(dir = __dirname, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(e => {
+    if (e.name.startsWith('.') || e.name === 'node_modules') return [];
+    const rel = prefix + e.name;
+    return e.isDirectory() ? repoFiles(path.join(dir, e.name), rel + '/') : [rel];
+  });
+}
+
+function courseLinks() {
+  return Object.keys(courses).flatMap(id => {
+    const file = localSource(courses[id]);
+    if (!file) return [];
+    const config = resolveConfig(courses[id]);
+    const { headers, rows } = csvToObjects(fs.readFileSync(file, 'utf8'), config.columns.day);
+    const days = rows.map(row => ({ key: (row[config.columns.day] || '').trim(), row })).filter(d => d.key);
+    return deckLinks(days, headers, config).map(l => Object.assign({ course: id }, l));
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const outline = args.includes('--outline');
+
+  const files = repoFiles();
+  const inv = inventory(courseLinks(), files);
+  const slides = {};
+  for (const deck of inv.decks.filter(d => d.exists).map(d => d.file).concat(inv.unused)) {
+    try {
+      slides[deck] = (await readDeck(fs.readFileSync(path.join(__dirname, deck)))).slides;
+    } catch (err) {
+      slides[deck] = null;
+      console.error(`${deck}: could not read (${err.message})`);
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(Object.assign({ slides }, inv), null, 2));
+  } else {
+    const count = f => (slides[f] ? `${slides[f].length} slides` : 'unreadable');
+    const where = links => links.map(l => `${l.course} ${l.key}`).join(', ');
+    console.log(`${files.filter(f => /\.pptx$/i.test(f)).length} deck(s) in the repository, ` +
+      `${inv.decks.length} linked, ${inv.missing.length} missing link(s), ${inv.unused.length} unused`);
+    const list = (f, note) => {
+      console.log(`  ${f}  ${note}`);
+      if (outline && slides[f]) slides[f].forEach(s => console.log(`      ${String(s.n).padStart(2)}. ${s.title || '(no title)'}`));
+    };
+    inv.decks.filter(d => d.exists).forEach(d => list(d.file, `${count(d.file)} · ${where(d.links)}`));
+    if (inv.missing.length) {
+      console.log('Missing (linked, but not in the repository):');
+      inv.missing.forEach(l => console.log(`  ${l.file}  ${l.course} ${l.key} [${l.column}]`));
+    }
+    if (inv.unused.length) {
+      console.log('Unused (no pacing day links them):');
+      inv.unused.forEach(f => list(f, count(f)));
+    }
+    if (inv.external.length) {
+      console.log('Other slide links (not files in this repository):');
+      inv.external.forEach(l => console.log(`  ${l.course} ${l.key}: ${l.url}`));
+    }
+  }
+  return inv.missing.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code), err => {
+    console.error(err.message);
+    process.exit(2);
+  });
+}
+
+module.exports = { repoFiles, courseLinks };
@@ -0,0 +1,87 @@
+/*
+ * HTTP plumbing shared by the small self-hosted servers (signup-server.js and
+ * scoreboard-server.js): JSON replies with CORS headers, a size-capped body reader that
+ * takes JSON or a form post, and the pages and scripts of this folder as static files.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY = 16 * 1024;
+const STATIC_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+
+class HttpError extends Error {
+  constructor(status, code, message, extra) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra || {};
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body == null ? '' : JSON.stringify(body));
+}
+
+/** Send `err` as { ok: false, error, message }; anything but an HttpError is a logged 500. */
+function sendError(res, err) {
+  if (!(err instanceof HttpError)) console.error(err);
+  const status = err instanceof HttpError ? err.status : 500;
+  send(res, status, Object.assign({ ok: false, error: err.code || 'unavailable', message: err instanceof HttpError ? err.message : 'Server error.' }, err.extra));
+}
+
+function readBody(req, limit = MAX_BODY) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) { reject(new HttpError(413, 'invalid', 'Request body is too large.')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      const type = req.headers['content-type'] || '';
+      try {
+        if (type.includes('application/x-www-form-urlencoded')) resolve(Object.fromEntries(new URLSearchParams(text)));
+        else resolve(text ? JSON.parse(text) : {});
+      } catch {
+        reject(new HttpError(400, 'invalid', 'Request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Only pages, scripts and styles from `root` itself, never the data file
+function serveStatic(req, res, root, defaultPage) {
+  let name;
+  try {
+    name = decodeURIComponent(new URL(req.url, 'http://x').pathname).replace(/^\/+/, '') || defaultPage;
+  } catch {
+    throw new HttpError(400, 'invalid', 'Malformed URL.');
+  }
+  const file = path.join(root, name);
+  if (path.dirname(file) !== root || !STATIC_TYPES[path.extname(file)] || !fs.existsSync(file)) {
+    send(res, 404, { ok: false, error: 'not-found', message: 'Not found.' });
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(file)] });
+  fs.createReadStream(file).pipe(res);
+}
+
+/** `--name value` from the command line, else `fallback`. */
+function option(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+module.exports = { MAX_BODY, HttpError, send, sendError, readBody, serveStatic, option };
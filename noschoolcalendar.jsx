@@ -1,12 +1,36 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
-import Papa from "papaparse";
 import dayjs from "dayjs";
 import isBetween from "dayjs/plugin/isBetween";
+import { CATEGORIES } from "./school-events";
+import { CALENDAR_FIELDS, calendarColumns, parseCalendarCsv, schoolWeekOf, weekStartOf, weekdaysOf } from "./school-calendar";
+import { open as openDataSettings, resolve as resolveDataSettings } from "./data-settings";
+import { forSchool, open as openMonthPrint } from "./school-print";
+import {
+  alertsFor,
+  bySchool,
+  countsLabel,
+  describe as describeChange,
+  dismiss as dismissChanges,
+  history as changeHistory,
+  record as recordChanges,
+  toggleWatch,
+  unseen as unseenChanges,
+  watched as watchedSchools,
+} from "./school-changes";
+import {
+  deleteWatchlist,
+  findWatchlist,
+  matchesFilters,
+  readFilterState,
+  readWatchlists,
+  saveWatchlist,
+  writeFilterState,
+} from "./school-filters";
 
 // dayjs plugins
 // @ts-ignore
@@ -21,35 +45,37 @@ dayjs.extend(isBetween);
  *
  * Notes:
  * - No external icon libraries (inline SVGs) to avoid CDN fetch issues.
- * - Includes sample CSV fallback and self‑tests.
+ * - Includes a sample CSV fallback. Parsing is shared with No_School_Viewer.html via
+ *   school-calendar.js and covered by the Node tests in tests/.
+ * - A row can cover many days: Start/End Date ranges draw as one bar across cells,
+ *   and weekly rules ("Every Wednesday Early Release Sep–Jun") repeat on each match.
+ * - "Print months" opens the chosen schools' calendar one month per page (school-print.js).
+ * - Each refresh is diffed against the last one (school-changes.js): a "Calendar changes"
+ *   banner until dismissed, a history log, and notifications for watched schools.
+ * - Schools, type, search and the week shown live in the URL (?school=…&type=…&q=…&week=…,
+ *   see school-filters.js), so a link opens the same view; Back/Forward step through the
+ *   weeks visited. Sets of schools can be saved as named watchlists.
  */
 
 // ======= CONFIG =======
-const DATA_URL = "https://example.com/gci-no-school.csv"; // <-- Replace with your published CSV URL
-const REFRESH_EVERY_MS = 15 * 60 * 1000; // 15 minutes
-const ENABLE_SELF_TESTS = true;
-const WEEK_START: "monday" | "sunday" = "monday"; // schools typically use Monday start
-
-// Map your column headers → field names used in the app
-const COLUMN_MAP = {
-  date: ["Date", "date"],
-  event: [
-    "Event",
-    "Type",
-    "Event (No School / Half Day / Holiday / Teacher PD)",
-    "Event Type",
-  ],
-  school: ["School Name", "School", "District", "Building"],
-  notes: ["Notes", "Description", "Reason"],
-};
-
-// Event colors (Tailwind classes)
-const EVENT_COLORS: Record<string, string> = {
-  "No School": "bg-red-100 text-red-800 border-red-200",
-  "Half Day": "bg-yellow-100 text-yellow-800 border-yellow-200",
-  Holiday: "bg-emerald-100 text-emerald-800 border-emerald-200",
-  "Teacher PD": "bg-indigo-100 text-indigo-800 border-indigo-200",
+// Defaults only: the "Data settings" panel (data-settings.js, saved per browser and shared
+// with No_School_Viewer.html) or ?csv= / ?refresh= / ?weekStart= / ?col.<field>= override them.
+const DEFAULTS = {
+  sources: ["https://aspiece.github.io/CSGames/School_Calendar_Master.csv"],
+  refreshMinutes: 15,
+  weekStart: "monday" as "monday" | "sunday", // schools typically use Monday start
+  columns: {} as Record<string, string>,
 };
+const SETTINGS = resolveDataSettings("no-school", DEFAULTS);
+const DATA_URLS: string[] = SETTINGS.sources;
+const REFRESH_EVERY_MS = SETTINGS.refreshMinutes * 60 * 1000;
+const WEEK_START: "monday" | "sunday" = SETTINGS.weekStart;
+const INITIAL_FILTERS = readFilterState(window.location.search);
+
+// Event colors (Tailwind classes), keyed by normalized category id (see school-events.js)
+const EVENT_COLORS: Record<string, string> = Object.fromEntries(
+  CATEGORIES.map((c) => [c.id, c.tw])
+);
 
 // ======= Inline SVG Icons =======
 const iconCls = "inline-block align-middle";
@@ -125,63 +151,159 @@ const IconChevronRight = (props: any) => (
 );
 
 // ======= Helpers =======
-function normalizeHeader(h: string) {
-  return h?.toString().trim().toLowerCase();
-}
-function pick(row: Record<string, any>, keys: string[]): string | undefined {
-  if (!row) return undefined;
-  for (const k of keys) {
-    const match = Object.keys(row).find(
-      (hdr) => normalizeHeader(hdr) === normalizeHeader(k)
-    );
-    if (match) return String(row[match] ?? "").trim();
-  }
-  return undefined;
-}
-function parseDateLoose(v?: string) {
-  if (!v) return null;
-  const d = dayjs(v);
-  return d.isValid() ? d : null;
-}
+// Week math is shared with No_School_Viewer.html (school-calendar.js works on ISO dates)
 function startOfWeek(d: dayjs.Dayjs, weekStart: "monday" | "sunday") {
-  const target = weekStart === "monday" ? 1 : 0; // 0=Sun, 1=Mon
-  const wd = d.day();
-  const offset = (wd - target + 7) % 7;
-  return d.subtract(offset, "day").startOf("day");
+  return dayjs(weekStartOf(d.format("YYYY-MM-DD"), weekStart));
 }
 function endOfWeek(d: dayjs.Dayjs, weekStart: "monday" | "sunday") {
   return startOfWeek(d, weekStart).add(6, "day").endOf("day");
 }
+// Monday of the Mon–Fri week shown for `d`; a Sunday week start files Sundays under the coming week
+function schoolWeekStart(d: dayjs.Dayjs) {
+  return dayjs(schoolWeekOf(d.format("YYYY-MM-DD"), WEEK_START));
+}
 function getWeekdays(weekStart: dayjs.Dayjs) {
   // Monday..Friday from a Monday-start weekStart
-  return Array.from({ length: 5 }).map((_, i) => weekStart.add(i, "day"));
+  return weekdaysOf(weekStart.format("YYYY-MM-DD")).map((iso: string) => dayjs(iso));
 }
 
 // ======= Types =======
 interface Row {
   date: dayjs.Dayjs;
-  event: string;
+  iso: string; // same day as YYYY-MM-DD
+  event: string; // raw Event text from the sheet
   school: string;
   notes?: string;
+  category: string; // normalized category id
+  label: string; // category label shown on chips
+  detail: string; // leftover qualifier shown as a subtitle
+  isOff: boolean;
+  isHalf: boolean;
+  span: { id: string; start: string; end: string; index: number; length: number } | null; // Start/End range
+  recurring: boolean; // expanded from a weekly rule
 }
 
-// ======= Sample CSV (fallback + tests) =======
+// ======= Sample CSV (fallback) =======
 const SAMPLE_CSV = `Date,Event,School Name,Notes\n2025-08-25,No School,Fenton High School,Teacher Work Day\n2025-09-01,Holiday,All Schools,Labor Day\n2025-09-18,Half Day,Beecher High School,Parent Conferences\n2025-08-27,No School,Lake Fenton High School,PD Day`;
 
+// Header matching, date formats, ranges and weekly rules: see school-calendar.js
 function parseCsvToRows(csvText: string): Row[] {
-  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-  const out: Row[] = [];
-  for (const r of parsed.data as any[]) {
-    const dateStr = pick(r, COLUMN_MAP.date);
-    const event = pick(r, COLUMN_MAP.event) || "";
-    const school = pick(r, COLUMN_MAP.school) || "";
-    const notes = pick(r, COLUMN_MAP.notes) || "";
-    const d = parseDateLoose(dateStr);
-    if (!d || !event || !school) continue;
-    out.push({ date: d.startOf("day"), event, school, notes });
+  return parseCalendarCsv(csvText, { columns: SETTINGS.columns }).map((r: Omit<Row, "date">) => ({ ...r, date: dayjs(r.iso) }));
+}
+
+// Ranges first, oldest first, so one range sits on the same line in every cell it spans
+function spanOrder(r: Row) {
+  return r.span ? `0${r.span.start}${r.school}${r.event}` : "1";
+}
+
+// Month cells are p-2 + border with gap-2 between them: bridge 9px into the cell and
+// 17px out of it so a range reads as one bar, broken only at the Mon/Fri row edges.
+function spanClasses(it: Row) {
+  if (!it.span) return "";
+  const fromLeft = it.span.index > 0 && it.date.day() !== 1;
+  const toRight = it.span.index < it.span.length - 1 && it.date.day() !== 5;
+  return (
+    " relative" +
+    (fromLeft ? " -ml-[9px] rounded-l-none border-l-0 !text-transparent" : "") +
+    (toRight ? " z-10 -mr-[17px] rounded-r-none border-r-0" : "")
+  );
+}
+
+// ======= School picker =======
+type Watchlist = { name: string; schools: string[] };
+
+// Several schools at once, from a checkbox list; no selection means every school
+function SchoolPicker({
+  schools,
+  selected,
+  onChange,
+}: {
+  schools: string[];
+  selected: string[];
+  onChange: (next: string[]) => void;
+}) {
+  const summary =
+    selected.length === 0 ? "All schools" : selected.length === 1 ? selected[0] : `${selected.length} schools`;
+  return (
+    <details className="relative">
+      <summary className="flex h-10 cursor-pointer list-none items-center justify-between rounded-md border border-slate-200 bg-white px-3 text-sm">
+        <span className="truncate">{summary}</span>
+        <span aria-hidden="true">▾</span>
+      </summary>
+      <div className="absolute z-20 mt-1 max-h-72 w-full overflow-auto rounded-md border border-slate-200 bg-white p-2 shadow-lg">
+        <button
+          type="button"
+          className="mb-1 text-xs text-blue-700 underline disabled:text-slate-400 disabled:no-underline"
+          disabled={!selected.length}
+          onClick={() => onChange([])}
+        >
+          All schools
+        </button>
+        {schools.map((s) => (
+          <label key={s} className="flex items-center gap-2 py-0.5 text-sm">
+            <input
+              type="checkbox"
+              checked={selected.includes(s)}
+              onChange={(e) => onChange(e.target.checked ? [...selected, s].sort() : selected.filter((x) => x !== s))}
+            />
+            <span className="truncate">{s}</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// ======= Calendar changes =======
+type ChangeEntry = {
+  type: "added" | "removed" | "moved" | "changed";
+  iso: string;
+  from?: string;
+  school: string;
+  event: string;
+  notes: string;
+  oldNotes?: string;
+};
+type ChangeSet = { at: number; source: string; entries: ChangeEntry[] };
+
+const CHANGE_TONE: Record<ChangeEntry["type"], string> = {
+  added: "text-emerald-800",
+  removed: "text-red-800",
+  moved: "text-orange-800",
+  changed: "",
+};
+
+// One browser notification when a refresh changes a watched school's next two weeks
+function notifyWatched(entries: ChangeEntry[]) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  const alerts: ChangeEntry[] = alertsFor(entries, watchedSchools(localStorage), dayjs().format("YYYY-MM-DD"));
+  if (!alerts.length) return;
+  const lines = alerts.slice(0, 4).map((e) => `${e.school}: ${describeChange(e)}`);
+  if (alerts.length > 4) lines.push(`…and ${alerts.length - 4} more`);
+  try {
+    new Notification("No School calendar changed", { body: lines.join("\n"), tag: "school-changes" });
+  } catch (err) {
+    console.warn("Notification failed:", err);
   }
-  out.sort((a, b) => a.date.valueOf() - b.date.valueOf());
-  return out;
+}
+
+function ChangeList({ entries }: { entries: ChangeEntry[] }) {
+  return (
+    <ul className="mt-2 list-disc pl-5">
+      {bySchool(entries).map((g: { school: string; entries: ChangeEntry[] }) => (
+        <li key={g.school}>
+          <span className="font-semibold">{g.school}</span>
+          <ul className="pl-4">
+            {g.entries.map((e, i) => (
+              <li key={i} className={CHANGE_TONE[e.type]}>
+                {describeChange(e)}
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  );
 }
 
 // ======= Main Component =======
@@ -190,29 +312,88 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
-  // Filters & UI state shared across views
-  const [search, setSearch] = useState("");
-  const [schoolFilter, setSchoolFilter] = useState<string>("all");
-  const [eventFilter, setEventFilter] = useState<string>("all");
+  // Filters & UI state shared across views, starting from the URL
+  const [search, setSearch] = useState(INITIAL_FILTERS.q);
+  const [schoolFilter, setSchoolFilter] = useState<string[]>(INITIAL_FILTERS.schools); // empty = all schools
+  const [eventFilter, setEventFilter] = useState<string>(INITIAL_FILTERS.type || "all");
+  const [watchlists, setWatchlists] = useState<Watchlist[]>(() => readWatchlists(localStorage));
 
-  // Anchor week = week that contains "today"
-  const [anchorDay, setAnchorDay] = useState<dayjs.Dayjs>(dayjs());
+  // Anchor week = ?week=, else the week that contains "today"
+  const [anchorDay, setAnchorDay] = useState<dayjs.Dayjs>(() =>
+    INITIAL_FILTERS.week ? dayjs(INITIAL_FILTERS.week) : dayjs()
+  );
+
+  // Moving between weeks adds a history entry; filter edits replace the current one
+  const pushNextUrl = useRef(false);
+  const goToWeek = (day: dayjs.Dayjs) => {
+    pushNextUrl.current = true;
+    setAnchorDay(day);
+  };
+
+  useEffect(() => {
+    const monday = schoolWeekStart(anchorDay).format("YYYY-MM-DD");
+    const week = monday === schoolWeekStart(dayjs()).format("YYYY-MM-DD") ? "" : monday;
+    const href = writeFilterState(window.location.href, { schools: schoolFilter, type: eventFilter, q: search, week });
+    if (href !== window.location.href) {
+      if (pushNextUrl.current) window.history.pushState(null, "", href);
+      else window.history.replaceState(null, "", href);
+    }
+    pushNextUrl.current = false;
+  }, [schoolFilter, eventFilter, search, anchorDay]);
+
+  // Back/forward: put the filters and week back the way the URL has them
+  useEffect(() => {
+    const onPop = () => {
+      const state = readFilterState(window.location.search);
+      setSchoolFilter(state.schools);
+      setEventFilter(state.type || "all");
+      setSearch(state.q);
+      setAnchorDay(state.week ? dayjs(state.week) : dayjs());
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // Calendar changes between refreshes, kept in localStorage with No_School_Viewer.html
+  const [changes, setChanges] = useState(() => unseenChanges(localStorage));
+  const [changeLog, setChangeLog] = useState(() => changeHistory(localStorage));
+  const [watched, setWatched] = useState<string[]>(() => watchedSchools(localStorage));
+  const [showHistory, setShowHistory] = useState(false);
+
+  const noteChanges = (change: ChangeSet | null) => {
+    if (change) notifyWatched(change.entries);
+    setChanges(unseenChanges(localStorage));
+    setChangeLog(changeHistory(localStorage));
+  };
 
   const loadFromUrl = async () => {
     setLoading(true);
     setError(null);
     try {
-      if (!DATA_URL || DATA_URL.includes("example.com")) {
+      if (!DATA_URLS.length) {
         const sample = parseCsvToRows(SAMPLE_CSV);
         setRows(sample);
-        setError("DATA_URL not configured. Showing sample data.");
+        setError("No data source set (Data settings). Showing sample data.");
         return;
       }
-      const res = await fetch(DATA_URL, { cache: "no-store" });
-      if (!res.ok) throw new Error(`Failed to fetch data: ${res.status}`);
-      const text = await res.text();
-      const out = parseCsvToRows(text);
-      setRows(out);
+      // First source that answers and parses wins
+      let lastErr: Error = new Error("No rows parsed");
+      for (const url of DATA_URLS) {
+        try {
+          const res = await fetch(url, { cache: "no-store" });
+          if (!res.ok) throw new Error(`Failed to fetch data: ${res.status}`);
+          const out = parseCsvToRows(await res.text());
+          if (out.length) {
+            noteChanges(recordChanges(localStorage, url, out));
+            setRows(out);
+            return;
+          }
+          lastErr = new Error(`No rows parsed from ${url}. Check the column mapping in Data settings.`);
+        } catch (err: any) {
+          lastErr = err;
+        }
+      }
+      throw lastErr;
     } catch (e: any) {
       console.error("Fetch error:", e);
       const sample = parseCsvToRows(SAMPLE_CSV);
@@ -225,33 +406,38 @@ export default function App() {
 
   useEffect(() => {
     loadFromUrl();
+    if (!REFRESH_EVERY_MS) return;
     const id = setInterval(loadFromUrl, REFRESH_EVERY_MS);
     return () => clearInterval(id);
   }, []);
 
   // Derived data
   const filtered = useMemo(() => {
-    return rows.filter((r) => {
-      const matchesSchool = schoolFilter === "all" || r.school === schoolFilter;
-      const matchesEvent = eventFilter === "all" || r.event === eventFilter;
-      const matchesSearch = [r.school, r.event, r.notes || ""].some((s) =>
-        s.toLowerCase().includes(search.toLowerCase())
-      );
-      return matchesSchool && matchesEvent && matchesSearch;
-    });
+    const state = { schools: schoolFilter, type: eventFilter, q: search };
+    return rows.filter((r) => matchesFilters(r, state));
   }, [rows, schoolFilter, eventFilter, search]);
 
+  // Schools from a link or watchlist stay listed while the data loads (or if they left the sheet)
   const schools = useMemo(
-    () => Array.from(new Set(rows.map((r) => r.school))).sort(),
-    [rows]
-  );
-  const eventTypes = useMemo(
-    () => Array.from(new Set(rows.map((r) => r.event))).sort(),
-    [rows]
+    () => Array.from(new Set(rows.map((r) => r.school).concat(schoolFilter))).sort(),
+    [rows, schoolFilter]
   );
+  const currentWatchlist = findWatchlist(watchlists, schoolFilter);
+  const allWatched = schoolFilter.length > 0 && schoolFilter.every((s) => watched.includes(s));
+  // Event filter groups by normalized category, in legend order, with row counts
+  const eventTypes = useMemo(() => {
+    const counts: Record<string, number> = {};
+    rows.forEach((r) => {
+      counts[r.category] = (counts[r.category] || 0) + 1;
+    });
+    return CATEGORIES.filter((c) => counts[c.id]).map((c) => ({
+      ...c,
+      count: counts[c.id],
+    }));
+  }, [rows]);
 
   const currentWeekStart = useMemo(
-    () => startOfWeek(anchorDay, WEEK_START),
+    () => schoolWeekStart(anchorDay),
     [anchorDay]
   );
   const prevWeekStart = useMemo(
@@ -271,51 +457,13 @@ export default function App() {
       if (!map[k]) map[k] = [];
       map[k].push(r);
     }
+    for (const k in map) {
+      map[k].sort((a, b) => spanOrder(a).localeCompare(spanOrder(b)));
+    }
     return map;
   }, [filtered]);
 
-  // ======= Self-tests =======
-  useEffect(() => {
-    if (!ENABLE_SELF_TESTS) return;
-    try {
-      const tests: Array<{ name: string; pass: boolean; details?: string }> = [];
-      const d1 = dayjs("2025-08-27"); // Wed
-      const w1 = startOfWeek(d1, "monday");
-      tests.push({
-        name: "startOfWeek Monday",
-        pass: w1.format("YYYY-MM-DD") === "2025-08-25",
-        details: w1.format(),
-      });
-      const fri = w1.add(4, "day");
-      tests.push({
-        name: "Mon–Fri end is Friday",
-        pass: fri.format("YYYY-MM-DD") === "2025-08-29",
-        details: fri.format(),
-      });
-      const weekdays = getWeekdays(w1);
-      tests.push({ name: "Weekdays length", pass: weekdays.length === 5 });
-      tests.push({
-        name: "Weekdays Mon..Fri",
-        pass: weekdays[0].day() === 1 && weekdays[4].day() === 5,
-        details: `${weekdays[0].format("ddd")}-${weekdays[4].format("ddd")}`,
-      });
-      const sampleRows = parseCsvToRows(SAMPLE_CSV);
-      tests.push({
-        name: "parseCsvToRows count",
-        pass: sampleRows.length >= 4,
-        details: `rows=${sampleRows.length}`,
-      });
-      const allPass = tests.every((t) => t.pass);
-      console.groupCollapsed("Weekly Focus (Weekdays Only) • Self-tests");
-      tests.forEach((t) =>
-        console.log(`${t.pass ? "✅" : "❌"} ${t.name}`, t.details || "")
-      );
-      console.log(allPass ? "All tests passed" : "Some tests failed");
-      console.groupEnd();
-    } catch (e) {
-      console.warn("Self-tests error", e);
-    }
-  }, []);
+  const unseenEntries = changes.flatMap((c: ChangeSet) => c.entries);
 
   // ======= UI =======
   return (
@@ -329,16 +477,116 @@ export default function App() {
             </p>
           </div>
           <div className="flex items-center gap-2">
-            <Button variant="outline" onClick={() => setAnchorDay(dayjs())}>
+            <Button variant="outline" onClick={() => goToWeek(dayjs())}>
               Today
             </Button>
             <Button variant="outline" onClick={loadFromUrl} title="Refresh now">
               <IconRefresh className="mr-2" />
               Refresh
             </Button>
+            <Button
+              variant="outline"
+              aria-expanded={showHistory}
+              title="What changed in the calendar between refreshes"
+              onClick={() => setShowHistory((v) => !v)}
+            >
+              Changes
+            </Button>
+            <Button
+              variant="outline"
+              title="Print the chosen schools' calendar, one month per page (Print to PDF for a file)"
+              onClick={() => {
+                // School (plus All Schools rows) and event type; the search box is left out
+                const printable = forSchool(rows, schoolFilter).filter(
+                  (r: Row) => eventFilter === "all" || r.category === eventFilter
+                );
+                if (printable.length) openMonthPrint(printable, { school: schoolFilter.join(", ") || "all" });
+                else setError("No events to print for this school and type.");
+              }}
+            >
+              Print months
+            </Button>
+            <Button
+              variant="outline"
+              title="Change the data source, refresh interval, week start and column mapping"
+              onClick={() =>
+                openDataSettings({
+                  page: "no-school",
+                  title: "No School Viewer",
+                  defaults: DEFAULTS,
+                  weekStart: true,
+                  fields: CALENDAR_FIELDS,
+                  guess: (headers: string[], columns: Record<string, string>) => calendarColumns(headers, columns),
+                  preview: (text: string, columns: Record<string, string>) =>
+                    parseCalendarCsv(text, { columns }).map((r: Omit<Row, "date">) => ({
+                      Date: r.iso,
+                      School: r.school,
+                      Event: r.event,
+                      Type: r.label,
+                      Notes: r.notes || "",
+                    })),
+                })
+              }
+            >
+              Data settings
+            </Button>
           </div>
         </header>
 
+        {unseenEntries.length > 0 && (
+          <div role="status" className="mb-4 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <strong>
+                Calendar changes — {countsLabel(unseenEntries)} (latest {dayjs(changes[0].at).format("MMM D, h:mm A")})
+              </strong>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setShowHistory(true)}>
+                  History
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  title="Hide until the calendar changes again"
+                  onClick={() => {
+                    dismissChanges(localStorage);
+                    setChanges([]);
+                  }}
+                >
+                  Dismiss
+                </Button>
+              </div>
+            </div>
+            <ChangeList entries={unseenEntries} />
+          </div>
+        )}
+
+        {showHistory && (
+          <Card className="mb-4">
+            <CardContent className="p-4 text-sm">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <strong>Calendar change history</strong>
+                {watched.length > 0 && <span className="text-slate-500">Watching: {watched.join(", ")}</span>}
+              </div>
+              {changeLog.length ? (
+                <ol className="mt-2">
+                  {changeLog.map((c: ChangeSet) => (
+                    <li key={c.at} className="border-t border-slate-200 py-2">
+                      <div className="text-slate-500">
+                        {dayjs(c.at).format("ddd MMM D, h:mm A")} — {countsLabel(c.entries)}
+                      </div>
+                      <ChangeList entries={c.entries} />
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="mt-2 text-slate-500">
+                  No changes yet. A refresh that brings in a different calendar is listed here.
+                </p>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
         {/* Filters */}
         <Card className="mb-4">
           <CardContent className="flex flex-col gap-3 p-4 md:flex-row md:items-center md:gap-4">
@@ -349,36 +597,92 @@ export default function App() {
                 onChange={(e) => setSearch(e.target.value)}
               />
             </div>
-            <div className="w-full md:w-56">
-              <Select value={schoolFilter} onValueChange={setSchoolFilter}>
+            <div className="w-full md:w-64">
+              <SchoolPicker schools={schools} selected={schoolFilter} onChange={setSchoolFilter} />
+            </div>
+            <div className="w-full md:w-52">
+              <Select value={eventFilter} onValueChange={setEventFilter}>
                 <SelectTrigger>
-                  <SelectValue placeholder="School" />
+                  <SelectValue placeholder="Event type" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="all">All schools</SelectItem>
-                  {schools.map((s) => (
-                    <SelectItem key={s} value={s}>
-                      {s}
+                  <SelectItem value="all">All types</SelectItem>
+                  {eventTypes.map((t) => (
+                    <SelectItem key={t.id} value={t.id}>
+                      {t.label} ({t.count})
                     </SelectItem>
                   ))}
                 </SelectContent>
               </Select>
             </div>
-            <div className="w-full md:w-52">
-              <Select value={eventFilter} onValueChange={setEventFilter}>
+            {schoolFilter.length > 0 && (
+              <Button
+                variant={allWatched ? "secondary" : "outline"}
+                aria-pressed={allWatched}
+                title="Get a browser notification when these schools' next two weeks change"
+                onClick={() => {
+                  // Watch every chosen school, or stop watching them all when they already are
+                  let list = watched;
+                  schoolFilter.forEach((s) => {
+                    if (allWatched === list.includes(s)) list = toggleWatch(localStorage, s);
+                  });
+                  setWatched(list);
+                  if (!allWatched && "Notification" in window && Notification.permission === "default") {
+                    Notification.requestPermission();
+                  }
+                }}
+              >
+                {allWatched ? "★ Watching" : "☆ Watch"}
+              </Button>
+            )}
+          </CardContent>
+          <CardContent className="flex flex-wrap items-center gap-2 border-t border-slate-100 px-4 py-3 text-sm">
+            <span className="text-slate-600">Watchlist</span>
+            <div className="w-full md:w-56">
+              <Select
+                value={currentWatchlist ? currentWatchlist.name : ""}
+                onValueChange={(name) => {
+                  const list = watchlists.find((w) => w.name === name);
+                  if (list) setSchoolFilter(list.schools);
+                }}
+              >
                 <SelectTrigger>
-                  <SelectValue placeholder="Event type" />
+                  <SelectValue placeholder={watchlists.length ? "Choose a watchlist" : "No saved watchlists"} />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="all">All types</SelectItem>
-                  {eventTypes.map((t) => (
-                    <SelectItem key={t} value={t}>
-                      {t}
+                  {watchlists.map((w) => (
+                    <SelectItem key={w.name} value={w.name}>
+                      {w.name} ({w.schools.length})
                     </SelectItem>
                   ))}
                 </SelectContent>
               </Select>
             </div>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={!schoolFilter.length}
+              title="Save the chosen schools under a name, in this browser"
+              onClick={() => {
+                const name = window.prompt("Name this watchlist", currentWatchlist ? currentWatchlist.name : "");
+                if (name && name.trim()) setWatchlists(saveWatchlist(localStorage, name, schoolFilter));
+              }}
+            >
+              Save watchlist
+            </Button>
+            {currentWatchlist && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => {
+                  if (window.confirm(`Delete the watchlist "${currentWatchlist.name}"?`)) {
+                    setWatchlists(deleteWatchlist(localStorage, currentWatchlist.name));
+                  }
+                }}
+              >
+                Delete
+              </Button>
+            )}
           </CardContent>
         </Card>
 
@@ -390,7 +694,7 @@ export default function App() {
           byDate={byDate}
           loading={loading}
           onJump={(dir) =>
-            setAnchorDay(
+            goToWeek(
               dir === -1
                 ? currentWeekStart.subtract(7, "day")
                 : currentWeekStart.add(7, "day")
@@ -409,9 +713,8 @@ export default function App() {
 
         <footer className="mt-8 text-xs text-slate-500">
           <p>
-            <IconCalendar className="mr-1" /> Data source: <code>{DATA_URL}</code> • Auto‑refresh every
-            {" "}
-            {Math.round(REFRESH_EVERY_MS / 60000)} min • Week start: {WEEK_START}
+            <IconCalendar className="mr-1" /> Data source: <code>{DATA_URLS[0] || "(sample data)"}</code> • Auto‑refresh:{" "}
+            {REFRESH_EVERY_MS ? `every ${Math.round(REFRESH_EVERY_MS / 60000)} min` : "off"} • Week start: {WEEK_START}
           </p>
         </footer>
       </div>
@@ -545,13 +848,17 @@ function WeekCard({
                         <span
                           key={idx}
                           className={
-                            (EVENT_COLORS[it.event] ||
+                            (EVENT_COLORS[it.category] ||
                               "bg-slate-100 text-slate-800 border-slate-200") +
-                            " border rounded-md px-2 py-0.5 text-[11px]"
+                            " border rounded-md px-2 py-0.5 text-[11px]" +
+                            (it.span ? " w-full" : "")
                           }
-                          title={`${it.event} • ${it.school}$${it.notes ? " — " + it.notes : ""}`}
+                          title={`${it.event} • ${it.school}${it.notes ? " — " + it.notes : ""}`}
                         >
-                          {it.event} · {it.school}
+                          {it.label} · {it.school}
+                          {it.detail && (
+                            <span className="block text-[10px] opacity-80">{it.detail}</span>
+                          )}
                         </span>
                       ))}
                       {list.length > 6 && (
@@ -600,7 +907,7 @@ function MonthSnapshot({
     weeks.push(weekdays); // each is 5 days (Mon..Fri)
   }
 
-  const currStart = startOfWeek(anchorDay, WEEK_START);
+  const currStart = schoolWeekStart(anchorDay);
   const currEnd = currStart.add(4, "day"); // Friday of current week
 
   return (
@@ -644,23 +951,29 @@ function MonthSnapshot({
                     )}
                   </div>
                   <div className="flex flex-col gap-1">
-                    {items.slice(0, 3).map((it, idx) => (
+                    {/* Chips past the third only show on paper, where "+N more" can't be clicked */}
+                    {items.map((it, idx) => (
                       <div
                         key={idx}
                         className={
-                          (EVENT_COLORS[it.event] ||
+                          (EVENT_COLORS[it.category] ||
                             "bg-slate-100 text-slate-800 border-slate-200") +
-                          " truncate rounded-md border px-2 py-1"
+                          " truncate rounded-md border px-2 py-1 print:whitespace-normal" +
+                          (idx >= 3 ? " hidden print:block" : "") +
+                          spanClasses(it)
                         }
-                        title={`${it.event} • ${it.school}$${
+                        title={`${it.event} • ${it.school}${
                           it.notes ? " — " + it.notes : ""
                         }`}
                       >
-                        <span className="font-medium">{it.event}</span> · {it.school}
+                        <span className="font-medium">{it.label}</span> · {it.school}
+                        {it.detail && (
+                          <div className="truncate text-[10px] opacity-80">{it.detail}</div>
+                        )}
                       </div>
                     ))}
                     {items.length > 3 && (
-                      <div className="text-[11px] text-slate-500">
+                      <div className="text-[11px] text-slate-500 print:hidden">
                         +{items.length - 3} more…
                       </div>
                     )}
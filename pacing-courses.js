@@ -0,0 +1,93 @@
+/*
+ * Per-course configs for pacing-engine.js. Each course page loads this file and
+ * starts the engine with its entry; Node scripts can require() it as well.
+ *
+ * `schema` lists the sheet's expected columns for pacing-validate.js; `required`
+ * columns should be filled on every row.
+ *
+ * `roles` picks the columns the student and substitute views show (pacing-roles.js):
+ * `show` keeps only those columns, `hide` drops columns, `first` moves columns to the top.
+ * Entries are header names or regexes; a course without `roles` gets that file's defaults.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PacingCourses = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  return {
+    aplus: {
+      id: 'aplus',
+      title: 'Comptia A+ preparation',
+      subtitle: 'Genesee Career Institute',
+      // REMOTE: Google Sheets CSV (primary) + LOCAL fallback
+      sources: [
+        'https://docs.google.com/spreadsheets/d/e/2PACX-1vRaERVAD_R03bqKKhlHKEnbZ2fByQZOAGHE19M3eBln86ngA0BIkIYGax83w2AeinvQsd6tQW4aCpCT/pub?gid=1299414535&single=true&output=csv',
+        'pacing.csv',
+      ],
+      textStyle: 'sentences',
+      schema: {
+        headers: ['Day', 'Lesson', 'Learning Objectives', 'Topics', 'Slide deck', 'Video', 'Agenda', 'Brain Break', 'Summative', 'During Class', 'Teacher Prep', 'A+ Alignment', 'CSTA Alignment'],
+        required: ['Lesson', 'Learning Objectives'],
+      },
+      roles: {
+        student: { show: ['Lesson', 'Learning Objectives', 'Topics', 'Slide deck', 'Video'] },
+        substitute: { first: ['Agenda', 'Brain Break', 'During Class'], hide: ['A+ Alignment', 'CSTA Alignment'] },
+      },
+    },
+
+    techplus: {
+      id: 'techplus',
+      title: 'CompTIA Tech+ Preparation',
+      sources: [
+        'https://docs.google.com/spreadsheets/d/e/2PACX-1vT5Cl-zJhR2pasXp3Pim4JEGmEL9tkZEySkdh4UEekBn8dX1mQ8_P6eZ-6wz5TmeHEHTg97ccLT4PaR/pub?gid=2017374015&single=true&output=csv',
+        'tech%2Bpacing.csv',
+      ],
+      textStyle: 'list',
+      minutesGoal: 90,
+      schema: {
+        headers: [
+          'Day', 'Lesson 1', 'Learning Objectives (Lesson 1)', 'Beginning of Class Discussion (Lesson 1)', 'Brain Break (5-10 min)',
+          'Lesson 2', 'Learning Objectives (Lesson 2)', 'Beginning of Class Discussion (Lesson 2)', 'End of Day Discussion',
+          'Standards Alignment', 'Daily Description',
+          'Minutes: Beginning Discussion', 'Minutes: Lesson 1', 'Minutes: Brain Break', 'Minutes: Lesson 2', 'Minutes: End Discussion',
+        ],
+        required: ['Lesson 1'],
+      },
+      roles: {
+        student: { show: ['Lesson 1', 'Learning Objectives (Lesson 1)', 'Lesson 2', 'Learning Objectives (Lesson 2)', 'Daily Description'] },
+        substitute: {
+          first: ['Daily Description', 'Beginning of Class Discussion (Lesson 1)', 'Brain Break (5-10 min)', 'Beginning of Class Discussion (Lesson 2)', 'End of Day Discussion'],
+          hide: ['Standards Alignment'],
+        },
+      },
+      // Projector segment timer (pacing-timer.js): Minutes column label -> prompt columns
+      timer: {
+        segments: {
+          'Beginning Discussion': ['Beginning of Class Discussion (Lesson 1)'],
+          'Lesson 1': ['Lesson 1', 'Learning Objectives (Lesson 1)'],
+          'Brain Break': ['Brain Break (5-10 min)'],
+          'Lesson 2': ['Lesson 2', 'Learning Objectives (Lesson 2)', 'Beginning of Class Discussion (Lesson 2)'],
+          'End Discussion': ['End of Day Discussion'],
+        },
+        bells: [],
+      },
+    },
+
+    java: {
+      id: 'java',
+      title: 'Intro to Java Pacing Guide',
+      sources: ['java_pacing.csv'],
+      columns: { day: 'Week' },
+      dayFormat: 'week-range',
+      academicStartYear: 2025,
+      sort: 'asc',
+      textStyle: 'list',
+      todayLabel: 'Jump to Current Week',
+      schema: {
+        headers: ['Week', 'Title', 'Topics', 'Notes'],
+        required: ['Title', 'Topics'],
+      },
+    },
+  };
+});
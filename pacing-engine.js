@@ -0,0 +1,773 @@
+/*
+ * Pacing engine shared by A+Pacing.html, Tech+Pacing.html and interactive_java_pacing.html.
+ *
+ * A course page only supplies a config (see pacing-courses.js):
+ *   PacingEngine.create(PacingCourses.aplus).start();
+ *
+ * The engine loads the first CSV source that parses, builds the day navigation and
+ * day cards, keeps the open day in the URL (?day=), and handles projector mode and
+ * auto-refresh. The last good dataset is kept in localStorage and sw.js caches the
+ * pages and CSVs, so a dropped classroom network shows cached data instead of nothing.
+ * The pure helpers are exported too so Node scripts can reuse them.
+ *
+ * Sheet text is untrusted: cells go through safe-html.js, which pages load first.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./safe-html'));
+  else root.PacingEngine = factory(root.SafeHtml);
+})(typeof self !== 'undefined' ? self : this, function (SafeHtml) {
+  'use strict';
+
+  const { escapeHtml, sanitizeUrl, sanitizeHtml, stripTags } = SafeHtml;
+
+  const DEFAULTS = {
+    title: 'Pacing Guide',
+    subtitle: '',
+    sources: [],
+    columns: {
+      day: 'Day',
+      video: /video/i,
+      slides: /slide/i,
+      minutes: /^Minutes:\s*/i,
+      hidden: [],
+    },
+    dayFormat: 'date',          // 'date' (M/D/YYYY) or 'week-range' ("Week 3: Sep 08 – Sep 12")
+    academicStartYear: null,    // for 'week-range'; inferred from today when null
+    sort: 'desc',               // 'desc' = newest first, 'asc' = course order
+    textStyle: 'sentences',     // 'sentences' (one sentence per line) or 'list' (semicolons become bullets)
+    minutesGoal: 90,
+    projector: true,
+    todayLabel: 'Today',
+    refreshMs: 5 * 60 * 1000,
+    serviceWorker: 'sw.js',     // null to skip registering the offline cache
+    cacheData: true,            // keep the last parsed dataset in localStorage
+    plugins: [],
+  };
+
+  // ===================== CSV =====================
+
+  // Robust CSV parser with quotes
+  function parseCSV(text) {
+    const out = [];
+    let row = [], cell = '', inQ = false;
+    const s = String(text || '');
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      if (inQ) {
+        if (ch === '"') {
+          if (s[i + 1] === '"') { cell += '"'; i++; }
+          else { inQ = false; }
+        } else {
+          cell += ch;
+        }
+      } else {
+        if (ch === '"') inQ = true;
+        else if (ch === ',') { row.push(cell); cell = ''; }
+        else if (ch === '\n') { row.push(cell); out.push(row); row = []; cell = ''; }
+        else if (ch === '\r') { /* ignore */ }
+        else { cell += ch; }
+      }
+    }
+    if (cell.length > 0 || row.length > 0) { row.push(cell); out.push(row); }
+    return out;
+  }
+
+  function isBlankRecord(r) {
+    return !r.length || r.every(c => (c || '').trim() === '');
+  }
+
+  // Index of the header record: the first non-blank record that is not a
+  // BOM/comment/filepath line, or -1
+  function findHeaderRow(records) {
+    for (let i = 0; i < records.length; i++) {
+      if (isBlankRecord(records[i])) continue;
+      const first = (records[i][0] || '').replace(/^\uFEFF/, '').trim();
+      if (first.startsWith('//') || first.startsWith('#') || /filepath:/i.test(first)) continue;
+      return i;
+    }
+    return -1;
+  }
+
+  function cleanHeader(h) {
+    return (h || '').replace(/^\uFEFF/, '').trim();
+  }
+
+  // Parse CSV text into { headers, rows }. Skips BOM/comment/filepath lines before
+  // the header and drops rows with a blank day column.
+  function csvToObjects(text, dayColumn = 'Day') {
+    const rows = parseCSV(text).filter(r => !isBlankRecord(r));
+    const headerRowIndex = findHeaderRow(rows);
+    if (headerRowIndex < 0) return { headers: [], rows: [] };
+
+    const headers = rows[headerRowIndex].map(cleanHeader);
+    if (!headers.includes(dayColumn)) {
+      console.warn(`CSV header row missing "${dayColumn}". Headers:`, headers);
+      return { headers, rows: [] };
+    }
+
+    const objects = rows.slice(headerRowIndex + 1).map(r => {
+      const obj = {};
+      headers.forEach((h, i) => obj[h] = (r[i] || '').trim());
+      return obj;
+    }).filter(o => (o[dayColumn] || '').length > 0);
+
+    return { headers, rows: objects };
+  }
+
+  // ===================== HEADERS =====================
+
+  function simplify(s) {
+    return String(s || '').trim().toLowerCase()
+      .replace(/\(.*?\)/g, '')     // drop parenthetical hints
+      .replace(/[^a-z0-9]/g, '');  // strip non-alphanumerics
+  }
+
+  /**
+   * Best header for a role: exact or contained match against `cands` in order, then any
+   * header containing one of `hints`, then the first header.
+   */
+  function findHeader(headers, cands, hints) {
+    for (const c of cands) {
+      const sc = simplify(c);
+      const hit = headers.find(h => {
+        const sh = simplify(h);
+        return sh === sc || sh.includes(sc) || sc.includes(sh);
+      });
+      if (hit) return hit;
+    }
+    if (hints && hints.length) {
+      const hs = hints.map(simplify);
+      for (const h of headers) {
+        const sh = simplify(h);
+        if (hs.some(k => sh.includes(k))) return h;
+      }
+    }
+    return headers[0] || cands[0];
+  }
+
+  // Exact (simplified) match only, for columns that may be absent; '' when missing
+  function findOptionalHeader(headers, cands) {
+    const want = cands.map(simplify);
+    return headers.find(h => want.includes(simplify(h))) || '';
+  }
+
+  // ===================== DATES =====================
+
+  const MONTH_IDX = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+  function parseDay(s) {
+    const m = String(s || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!m) return null;
+    const d = new Date(parseInt(m[3], 10), parseInt(m[1], 10) - 1, parseInt(m[2], 10));
+    // 9/33 or 2/29 of a non-leap year would roll into the next month
+    return d.getMonth() === parseInt(m[1], 10) - 1 && d.getDate() === parseInt(m[2], 10) ? d : null;
+  }
+
+  function normalizeDayKey(s) {
+    const m = String(s || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!m) return '';
+    return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
+  }
+
+  function formatMDY(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${mm}/${dd}/${d.getFullYear()}`;
+  }
+
+  // Infer academic start year (if today before July, assume year started previous August)
+  function inferAcademicStartYear(today = new Date()) {
+    return today.getMonth() < 6 ? today.getFullYear() - 1 : today.getFullYear();
+  }
+
+  // "Week X: MonAbbr DD – (MonAbbr2 )? DD" -> { start, end }
+  function parseWeekRange(text, academicStartYear = inferAcademicStartYear()) {
+    const m = String(text || '').match(/(?::\s+|^)([A-Za-z]{3})\s+(\d{1,2})\s+[–-]\s+([A-Za-z]{3})?\s*(\d{1,2})/);
+    if (!m) return null;
+    const sMonth = MONTH_IDX[m[1]];
+    const eMonth = MONTH_IDX[m[3] || m[1]];
+    if (sMonth == null || eMonth == null) return null;
+
+    // Months Jul–Dec belong to academicStartYear, Jan–Jun to the next year
+    const sYear = sMonth >= 6 ? academicStartYear : academicStartYear + 1;
+    const eYear = eMonth >= 6 ? academicStartYear : academicStartYear + 1;
+    const start = new Date(sYear, sMonth, parseInt(m[2], 10));
+    const end = new Date(eYear, eMonth, parseInt(m[4], 10));
+    return { start, end };
+  }
+
+  // Resolve a day-column value to { start, end } (both at local midnight) or null
+  function dayRange(value, config) {
+    if (config.dayFormat === 'week-range') {
+      return parseWeekRange(value, config.academicStartYear || inferAcademicStartYear());
+    }
+    const d = parseDay(value);
+    return d ? { start: d, end: d } : null;
+  }
+
+  // Milliseconds -> "just now" / "12 min" / "3 h" / "2 days"
+  function formatAge(ms) {
+    const min = Math.floor(ms / 60000);
+    if (min < 1) return 'just now';
+    if (min < 60) return `${min} min`;
+    const h = Math.floor(min / 60);
+    if (h < 48) return `${h} h`;
+    return `${Math.floor(h / 24)} days`;
+  }
+
+  // ===================== TEXT & LINKS =====================
+
+  // Extract URLs (space/comma/semicolon/newline separated)
+  function extractUrls(text) {
+    if (!text) return [];
+    const matches = String(text).match(/\bhttps?:\/\/[^\s,;)]+/g);
+    return matches ? matches.map(s => s.trim()) : [];
+  }
+
+  // True when a cell holds nothing but one or more URLs
+  function isUrlOnlyCell(value) {
+    const text = String(value || '').trim();
+    if (!text || !extractUrls(text).length) return false;
+    const stripped = text.replace(/\bhttps?:\/\/[^\s,;)]+/g, '').replace(/[\s,;|-]+/g, ' ').trim();
+    return stripped.length === 0;
+  }
+
+  // A ";" that separates clauses, not the end of an entity such as &amp;
+  const CLAUSE_SEMI = /(?<!&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]+));\s*/gi;
+
+  // Cell text keeps the inline formatting sanitizeHtml() allows (the A+ Agenda uses <b>).
+  // Sentence -> newline for readability
+  function sentencesToLines(s) {
+    return sanitizeHtml(s).replace(/\. +/g, '.\n');
+  }
+
+  // Semicolon lists with 2+ items become bullets, anything else one clause per line
+  function listifyIfNeeded(text) {
+    if (!text) return '';
+    const items = String(text).split(CLAUSE_SEMI).map(t => t.trim()).filter(Boolean);
+    if (items.length >= 2) return `<ul class="line-list">${items.map(it => `<li>${sanitizeHtml(it)}</li>`).join('')}</ul>`;
+    return sanitizeHtml(text).replace(CLAUSE_SEMI, '\n').replace(/([.!?])\s+/g, '$1\n');
+  }
+
+  function renderPillLinks(value, baseLabel) {
+    const urls = extractUrls(value).map(sanitizeUrl).filter(Boolean);
+    if (!urls.length) return escapeHtml(value || '');
+    const many = urls.length > 1;
+    const links = urls.map((u, i) => {
+      const label = baseLabel
+        ? (many ? `${baseLabel} ${i + 1}` : baseLabel)
+        : (many ? `Link ${i + 1}` : 'Open link');
+      return `<a class="pill" href="${escapeHtml(u)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }).join('');
+    return `<div class="link-list">${links}</div>`;
+  }
+
+  function getYouTubeEmbed(u) {
+    try {
+      const url = new URL(u);
+      const host = url.hostname.replace(/^www\./, '').toLowerCase();
+      let id = '';
+      if (host === 'youtu.be') {
+        id = url.pathname.slice(1);
+      } else if (host.endsWith('youtube.com')) {
+        if (url.pathname === '/watch') id = url.searchParams.get('v') || '';
+        else if (url.pathname.startsWith('/shorts/') || url.pathname.startsWith('/embed/')) id = url.pathname.split('/')[2] || '';
+      }
+      if (!id) return null;
+
+      const params = new URLSearchParams({ rel: '0', modestbranding: '1', playsinline: '1' });
+      const start = parseYouTubeStart(url);
+      if (start > 0) params.set('start', String(start));
+      return `https://www.youtube.com/embed/${encodeURIComponent(id)}?${params.toString()}`;
+    } catch {
+      return null;
+    }
+  }
+
+  function parseYouTubeStart(url) {
+    const t = url.searchParams.get('t') || url.searchParams.get('start');
+    if (!t) return 0;
+    if (/^\d+$/.test(t)) return parseInt(t, 10);
+    const m = t.match(/(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/i);
+    if (!m) return 0;
+    return parseInt(m[1] || '0', 10) * 3600 + parseInt(m[2] || '0', 10) * 60 + parseInt(m[3] || '0', 10);
+  }
+
+  function getVimeoEmbed(u) {
+    try {
+      const url = new URL(u);
+      const host = url.hostname.replace(/^www\./, '').toLowerCase();
+      if (!host.endsWith('vimeo.com')) return null;
+      const id = url.pathname.split('/').filter(Boolean)[0] || '';
+      return /^\d+$/.test(id) ? `https://player.vimeo.com/video/${id}` : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Video embeds (YouTube, Vimeo, MP4/WebM)
+  function makeVideoEmbed(url) {
+    const safe = sanitizeUrl(url);
+    if (!safe) return '';
+
+    const yt = getYouTubeEmbed(safe);
+    if (yt) {
+      return `<div class="video-embed"><iframe src="${yt}" title="YouTube video" frameborder="0"
+        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+        allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe></div>`;
+    }
+    const vm = getVimeoEmbed(safe);
+    if (vm) {
+      return `<div class="video-embed"><iframe src="${vm}" title="Vimeo video" frameborder="0"
+        allow="autoplay; fullscreen; picture-in-picture" allowfullscreen
+        referrerpolicy="strict-origin-when-cross-origin"></iframe></div>`;
+    }
+    if (/\.(mp4|webm)(\?.*)?$/i.test(safe)) {
+      return `<div class="video-embed"><video controls preload="metadata"><source src="${escapeHtml(safe)}">Your browser does not support the video tag.</video></div>`;
+    }
+    return renderPillLinks(safe, 'Watch video');
+  }
+
+  function matchesRole(role, header) {
+    if (!role) return false;
+    if (role instanceof RegExp) return role.test(header);
+    if (Array.isArray(role)) return role.includes(header);
+    return role === header;
+  }
+
+  // Render one cell according to its column role
+  function renderField(header, value, config = DEFAULTS) {
+    const cols = config.columns || DEFAULTS.columns;
+    const text = config.textStyle === 'list' ? listifyIfNeeded : sentencesToLines;
+
+    if (matchesRole(cols.video, header)) {
+      const embeds = extractUrls(value).map(makeVideoEmbed).filter(Boolean).join('');
+      return embeds ? `<div class="video-list">${embeds}</div>` : text(value);
+    }
+    if (matchesRole(cols.slides, header)) {
+      return extractUrls(value).length ? renderPillLinks(value, 'View slide deck') : text(value);
+    }
+    if (isUrlOnlyCell(value)) return renderPillLinks(value);
+    return text(value);
+  }
+
+  // Sum the "Minutes: ..." columns of a row
+  function totalMinutes(row, headers, config = DEFAULTS) {
+    const role = (config.columns || DEFAULTS.columns).minutes;
+    let total = 0;
+    headers.forEach(h => {
+      if (!matchesRole(role, h)) return;
+      const n = Number(String(row[h] || '').trim());
+      if (Number.isFinite(n)) total += n;
+    });
+    return total;
+  }
+
+  // ===================== DIFF =====================
+
+  /**
+   * Compare two built day lists. `structural` is true when days were added, removed or
+   * re-ordered (needs a full render); otherwise `changed` lists the keys whose content differs.
+   */
+  function diffDays(prev, next) {
+    if (prev.length !== next.length || prev.some((d, i) => d.key !== next[i].key)) {
+      return { structural: true, changed: next.map(d => d.key) };
+    }
+    const changed = next.filter((d, i) => JSON.stringify(d) !== JSON.stringify(prev[i])).map(d => d.key);
+    return { structural: false, changed };
+  }
+
+  // ===================== ENGINE =====================
+
+  // Course config over DEFAULTS (columns are merged one level deep)
+  function resolveConfig(userConfig) {
+    const config = Object.assign({}, DEFAULTS, userConfig);
+    config.columns = Object.assign({}, DEFAULTS.columns, userConfig && userConfig.columns);
+    return config;
+  }
+
+  function create(userConfig) {
+    const config = resolveConfig(userConfig);
+
+    const listeners = {};
+    const engine = {
+      config,
+      headers: [],
+      rows: [],
+      days: [],           // [{ key, start, end, row }] in display order
+      activeKey: '',
+      source: '',
+      on(evt, fn) { (listeners[evt] || (listeners[evt] = [])).push(fn); return engine; },
+      emit(evt, payload) { (listeners[evt] || []).forEach(fn => { try { fn(payload, engine); } catch (e) { console.error(`pacing ${evt} hook failed:`, e); } }); },
+      start,
+      refresh,
+      render,
+      openDay,
+      openToday,
+      dayHref,
+      el: {},
+    };
+
+    function mount() {
+      const root = config.mount || document.body;
+      root.insertAdjacentHTML('beforeend', `
+        ${config.projector ? `<button id="projectorToggle" class="projector-toggle" type="button" aria-pressed="false" title="Toggle projector mode (Shift+P)">Projector Mode</button>
+        <div class="projector-hint" id="projectorHint">Shortcut: Shift+P</div>` : ''}
+        <div class="wrap">
+          <header class="page-header">
+            <div>
+              <h1>${escapeHtml(config.title)}</h1>
+              ${config.subtitle ? `<h2>${escapeHtml(config.subtitle)}</h2>` : ''}
+              <div id="status" class="status">Loading...</div>
+            </div>
+            <div class="toolbar" id="toolbar">
+              <button id="todayBtn" class="btn" type="button">${escapeHtml(config.todayLabel)}</button>
+            </div>
+          </header>
+          <div class="layout">
+            <nav id="day-nav" aria-label="Lesson dates"></nav>
+            <main id="content-area" role="main" aria-live="polite"></main>
+          </div>
+        </div>`);
+      engine.el = {
+        status: document.getElementById('status'),
+        nav: document.getElementById('day-nav'),
+        main: document.getElementById('content-area'),
+        toolbar: document.getElementById('toolbar'),
+      };
+      document.getElementById('todayBtn').addEventListener('click', () => openToday({ updateUrl: true }));
+    }
+
+    function setStatus(text) {
+      if (engine.el.status) engine.el.status.textContent = text;
+    }
+
+    const dataKey = `pacing-data:v1:${config.id || config.title}`;
+
+    function unit(n) {
+      return `${config.dayFormat === 'week-range' ? 'week' : 'day'}${n === 1 ? '' : 's'}`;
+    }
+
+    function readCachedData() {
+      if (!config.cacheData) return null;
+      try {
+        const data = JSON.parse(localStorage.getItem(dataKey) || 'null');
+        return data && Array.isArray(data.rows) && data.rows.length ? data : null;
+      } catch {
+        return null;
+      }
+    }
+
+    function writeCachedData(data) {
+      if (!config.cacheData) return;
+      try { localStorage.setItem(dataKey, JSON.stringify(data)); } catch (e) { console.warn('Could not cache pacing data:', e); }
+    }
+
+    // Swap in a dataset, re-rendering only the cards that changed when the day list is the same.
+    // Returns the changed day keys.
+    function applyData(headers, rows, source) {
+      const prev = engine.days;
+      const sameHeaders = engine.headers.join('\n') === headers.join('\n');
+      engine.headers = headers;
+      engine.rows = rows;
+      engine.source = source;
+      if (!prev.length || !sameHeaders) {
+        render();
+        return engine.days.map(d => d.key);
+      }
+      const next = buildDays();
+      const diff = diffDays(prev, next);
+      if (diff.structural) {
+        render();
+        return diff.changed;
+      }
+      engine.days = next;
+      const cards = Array.from(engine.el.main.querySelectorAll('.day-card'));
+      const patched = diff.changed.map(key => {
+        const day = next.find(d => d.key === key);
+        const card = cards.find(c => c.dataset.key === key);
+        if (card) {
+          card.innerHTML = cardHTML(day);
+          engine.emit('card', { day, card });
+        }
+        return day;
+      });
+      if (patched.length) engine.emit('patch', patched);
+      return diff.changed;
+    }
+
+    async function refresh() {
+      let lastErr = null;
+      const hadData = engine.rows.length > 0;
+      for (const baseUrl of config.sources) {
+        const src = /docs\.google\.com/.test(baseUrl) ? 'Google Sheets' : 'local CSV';
+        // Cache-bust to ensure updates are fetched
+        const url = baseUrl + (baseUrl.includes('?') ? '&' : '?') + 't=' + Date.now();
+        try {
+          if (!hadData) setStatus(`Loading ${src}...`);
+          const resp = await fetch(url, { cache: 'no-store' });
+          if (!resp.ok) throw new Error('HTTP ' + resp.status);
+          const text = await resp.text();
+          const parsed = csvToObjects(text, config.columns.day);
+          if (!parsed.rows.length) {
+            lastErr = new Error('No rows parsed');
+            continue;
+          }
+          // sw.js marks responses it served from its cache while offline
+          const cachedAt = Date.parse((resp.headers && resp.headers.get('X-Cached-At')) || '');
+          const changed = applyData(parsed.headers, parsed.rows, src);
+          writeCachedData({ headers: parsed.headers, rows: parsed.rows, source: src, savedAt: cachedAt || Date.now() });
+          const n = parsed.rows.length;
+          const note = hadData && changed.length ? ` ${changed.length} ${unit(changed.length)} changed.` : '';
+          setStatus(cachedAt
+            ? `Offline: showing ${n} ${unit(n)} from ${src} cached ${formatAge(Date.now() - cachedAt)} ago.${note}`
+            : `Loaded ${n} ${unit(n)} from ${src}. Last update ${new Date().toLocaleTimeString()}.${note}`);
+          engine.emit('load', { source: src, rows: parsed.rows, text, changed, cachedAt: cachedAt || null });
+          return true;
+        } catch (e) {
+          lastErr = e;
+        }
+      }
+      console.error('Failed to load CSV from all sources:', lastErr);
+      const cached = readCachedData();
+      if (cached) {
+        const changed = applyData(cached.headers, cached.rows, cached.source);
+        const n = cached.rows.length;
+        setStatus(`Offline: showing ${n} ${unit(n)} from ${cached.source} saved ${formatAge(Date.now() - cached.savedAt)} ago. Will retry automatically.`);
+        engine.emit('load', { source: cached.source, rows: cached.rows, changed, cachedAt: cached.savedAt });
+        return false;
+      }
+      setStatus('Error loading pacing data. Ensure the Google Sheet is published and the local CSV exists.');
+      engine.emit('error', lastErr);
+      return false;
+    }
+
+    function buildDays() {
+      const dayCol = config.columns.day;
+      const days = engine.rows
+        .map(row => {
+          const key = (row[dayCol] || '').trim();
+          const range = dayRange(key, config);
+          return { key, start: range && range.start, end: range && range.end, row };
+        })
+        .filter(d => d.key);
+      // Plugins may re-key or re-date days here (see pacing-schedule.js) before sorting
+      engine.emit('days', days);
+
+      const dir = config.sort === 'asc' ? 1 : -1;
+      days.sort((a, b) => {
+        if (a.start && b.start) return dir * (a.start - b.start);
+        if (a.start && !b.start) return -1;   // dated rows before undated
+        if (!a.start && b.start) return 1;
+        return config.sort === 'asc' ? 0 : String(b.key).localeCompare(String(a.key));
+      });
+      return days;
+    }
+
+    function cardHTML(day) {
+      const item = day.row;
+      const cols = config.columns;
+      let inner = '<div class="card-inner">';
+
+      const minuteCols = engine.headers.filter(h => matchesRole(cols.minutes, h));
+      if (minuteCols.length) {
+        const total = totalMinutes(item, engine.headers, config);
+        const goal = config.minutesGoal;
+        const statusClass = total === goal ? 'ok' : total > goal ? 'err' : 'warn';
+        const statusText = total === goal ? 'on target' : total > goal ? 'over' : 'under';
+        inner += `<div class="topline"><div class="time-total ${statusClass}">Planned Time: ${total} / ${goal} min (${statusText})</div></div>`;
+      }
+
+      // Sections in CSV header order, skipping the day, minutes and hidden columns.
+      // Plugins may drop or re-order them here (see pacing-roles.js)
+      const fields = engine.headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h) && !matchesRole(cols.hidden, h));
+      engine.emit('fields', { day, fields });
+      fields.forEach(h => {
+        const val = (item[h] || '').trim();
+        if (!val) return;
+        inner += `
+          <div class="section" data-field="${escapeHtml(h)}">
+            <h3>${escapeHtml(h)}</h3>
+            <div class="section-content">${renderField(h, val, config)}</div>
+          </div>`;
+      });
+      return inner + '</div>';
+    }
+
+    function render() {
+      const { nav, main } = engine.el;
+      nav.innerHTML = '';
+      main.innerHTML = '';
+      engine.days = buildDays();
+
+      engine.days.forEach(day => {
+        const a = document.createElement('a');
+        a.className = 'day-btn';
+        a.href = dayHref(day.key);
+        a.textContent = day.key;
+        a.dataset.key = day.key;
+        a.setAttribute('aria-label', `Open ${day.key}`);
+        a.addEventListener('click', e => { e.preventDefault(); openDay(day.key, { updateUrl: true }); });
+        nav.appendChild(a);
+
+        const card = document.createElement('article');
+        card.className = 'day-card';
+        card.dataset.key = day.key;
+        card.innerHTML = cardHTML(day);
+        main.appendChild(card);
+        engine.emit('card', { day, card });
+      });
+
+      engine.emit('render', engine.days);
+      applyInitialRoute();
+    }
+
+    // ---------- Routing (?day=, with #hash fallback for old links) ----------
+
+    function dayHref(key) {
+      const u = new URL(window.location.href);
+      u.searchParams.set('day', key);
+      u.hash = '';
+      return u.pathname + u.search;
+    }
+
+    function getURLDay() {
+      const d = new URLSearchParams(window.location.search).get('day');
+      if (d) return d.trim();
+      return decodeURIComponent(window.location.hash.replace(/^#/, '')).trim();
+    }
+
+    function findKey(target) {
+      if (!target) return '';
+      const exact = engine.days.find(d => d.key === target);
+      if (exact) return exact.key;
+      const norm = normalizeDayKey(target);
+      const hit = norm && engine.days.find(d => normalizeDayKey(d.key) === norm);
+      return hit ? hit.key : '';
+    }
+
+    function openDay(key, { updateUrl = false, replace = false, scroll = true } = {}) {
+      const found = findKey(key);
+      if (!found) {
+        console.warn('No card found for day:', key);
+        return false;
+      }
+      engine.activeKey = found;
+      document.querySelectorAll('.day-btn').forEach(b => b.classList.toggle('active', b.dataset.key === found));
+      document.querySelectorAll('.day-card').forEach(c => c.classList.toggle('visible', c.dataset.key === found));
+      if (updateUrl) {
+        const url = dayHref(found);
+        if (replace) history.replaceState({ day: found }, '', url);
+        else history.pushState({ day: found }, '', url);
+      }
+      if (scroll) window.scrollTo({ top: 0, behavior: 'auto' });
+      engine.emit('open', engine.days.find(d => d.key === found));
+      return true;
+    }
+
+    // Today's day > the range containing today > next upcoming > most recent past > first
+    function todayKey() {
+      const today = new Date(); today.setHours(0, 0, 0, 0);
+      const dated = engine.days.filter(d => d.start).slice().sort((a, b) => a.start - b.start);
+      const current = dated.find(d => today >= d.start && today <= d.end);
+      if (current) return current.key;
+      const upcoming = dated.find(d => d.start >= today);
+      if (upcoming) return upcoming.key;
+      if (dated.length) return dated[dated.length - 1].key;
+      return engine.days.length ? engine.days[0].key : '';
+    }
+
+    function openToday(opts = {}) {
+      const key = todayKey();
+      return key ? openDay(key, opts) : false;
+    }
+
+    function applyInitialRoute() {
+      if (!engine.days.length) return;
+      // Keep the open day across auto-refreshes
+      if (engine.activeKey && openDay(engine.activeKey, { scroll: false })) return;
+      const fromUrl = findKey(getURLDay());
+      if (fromUrl) { openDay(fromUrl, { scroll: false }); return; }
+      openToday({ scroll: false });
+    }
+
+    // ---------- Projector mode with persistence and shortcut ----------
+
+    function initProjector() {
+      const key = 'projector-mode:v1';
+      const btn = document.getElementById('projectorToggle');
+      const hint = document.getElementById('projectorHint');
+      if (!btn) return;
+      function apply(on) {
+        document.body.classList.toggle('projector', !!on);
+        btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+        btn.textContent = on ? 'Exit Projector' : 'Projector Mode';
+        localStorage.setItem(key, on ? '1' : '0');
+        if (hint) hint.style.opacity = on ? '0.6' : '1';
+        engine.emit('projector', !!on);
+      }
+      apply(localStorage.getItem(key) === '1');
+      btn.addEventListener('click', () => apply(btn.getAttribute('aria-pressed') !== 'true'));
+      window.addEventListener('keydown', e => {
+        if (e.shiftKey && (e.key === 'P' || e.key === 'p')) { e.preventDefault(); apply(btn.getAttribute('aria-pressed') !== 'true'); }
+      });
+    }
+
+    function start() {
+      mount();
+      config.plugins.forEach(p => p(engine));
+      if (config.projector) initProjector();
+      // Back/forward between days
+      window.addEventListener('popstate', () => {
+        const key = findKey(getURLDay());
+        if (key) openDay(key);
+      });
+      // Paint the last good dataset right away; refresh() then patches in whatever changed
+      const cached = readCachedData();
+      if (cached) {
+        applyData(cached.headers, cached.rows, cached.source);
+        setStatus(`Showing data saved ${formatAge(Date.now() - cached.savedAt)} ago. Refreshing...`);
+      }
+      if (config.serviceWorker && 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol)) {
+        navigator.serviceWorker.register(config.serviceWorker).catch(err => console.warn('Service worker registration failed:', err));
+      }
+      refresh();
+      if (config.refreshMs) setInterval(refresh, config.refreshMs);
+      return engine;
+    }
+
+    return engine;
+  }
+
+  return {
+    DEFAULTS,
+    resolveConfig,
+    create,
+    parseCSV,
+    findHeaderRow,
+    csvToObjects,
+    findHeader,
+    findOptionalHeader,
+    parseDay,
+    normalizeDayKey,
+    formatMDY,
+    inferAcademicStartYear,
+    parseWeekRange,
+    dayRange,
+    formatAge,
+    diffDays,
+    escapeHtml,
+    sanitizeHtml,
+    stripTags,
+    extractUrls,
+    sanitizeUrl,
+    isUrlOnlyCell,
+    sentencesToLines,
+    listifyIfNeeded,
+    renderPillLinks,
+    makeVideoEmbed,
+    matchesRole,
+    renderField,
+    totalMinutes,
+  };
+});
@@ -0,0 +1,239 @@
+/*
+ * Print views for the pacing pages: a one-page plan for the open day's week and a
+ * semester booklet, one week per page.
+ *
+ * Each view opens as its own light-theme document, so "Print to PDF" gets no nav,
+ * toolbar, projector sizing or video players. The week plan keeps to the lesson,
+ * objective, topic and standards columns; the booklet prints every column. Both use the
+ * engine's day dates, so a schedule re-flow (pacing-schedule.js) prints the way it shows.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'), require('./standards'), require('./print-view'));
+  else root.PacingPrint = factory(root.PacingEngine, root.Standards, root.PrintView);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine, Standards, PrintView) {
+  'use strict';
+
+  const { escapeHtml, extractUrls, sanitizeUrl, isUrlOnlyCell, matchesRole, sentencesToLines, listifyIfNeeded, totalMinutes } = PacingEngine;
+  const { parseAlignment } = Standards;
+  const { printDocument, openView } = PrintView;
+
+  // Columns the week plan keeps, by header
+  const LESSON = /^(lesson( \d+)?|title)$/i;
+  const OBJECTIVES = /objective/i;
+  const TOPICS = /^topics$/i;
+  const ALIGNMENT = /alignment/i;
+
+  // ===================== WEEKS =====================
+
+  function mondayOf(date) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return d;
+  }
+
+  /**
+   * Dated days grouped by the Monday of their week, oldest first. Undated days are left out.
+   * @returns {Array<{ monday: Date, days: Array<{ key: string, start: Date, row: object }> }>}
+   */
+  function groupByWeek(days) {
+    const weeks = new Map();
+    days.filter(d => d.start).slice().sort((a, b) => a.start - b.start).forEach(day => {
+      const monday = mondayOf(day.start);
+      if (!weeks.has(monday.getTime())) weeks.set(monday.getTime(), { monday, days: [] });
+      weeks.get(monday.getTime()).days.push(day);
+    });
+    return Array.from(weeks.values());
+  }
+
+  /** The semester holding `date`: fall is July–December, spring January–June. */
+  function semesterOf(date) {
+    const y = date.getFullYear();
+    return date.getMonth() >= 6
+      ? { label: `Fall ${y}`, from: new Date(y, 6, 1), to: new Date(y, 11, 31) }
+      : { label: `Spring ${y}`, from: new Date(y, 0, 1), to: new Date(y, 5, 30) };
+  }
+
+  function fmt(date, opts) {
+    return date.toLocaleDateString('en-US', opts);
+  }
+
+  function weekLabel(week) {
+    if (!week.monday) return week.days.map(d => d.key).join(', ');
+    const friday = new Date(week.monday);
+    friday.setDate(friday.getDate() + 4);
+    return `Week of ${fmt(week.monday, { month: 'short', day: 'numeric' })} – ${fmt(friday, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  function dayLabel(day, config) {
+    if (config.dayFormat === 'week-range' || !day.start) return day.key;
+    return fmt(day.start, { weekday: 'long', month: 'short', day: 'numeric' });
+  }
+
+  // ===================== FIELDS =====================
+
+  function text(value, config) {
+    return config.textStyle === 'list' ? listifyIfNeeded(value) : sentencesToLines(value);
+  }
+
+  // Paper can't play a video, so link cells print their addresses
+  function linksHTML(value) {
+    const urls = extractUrls(value).map(sanitizeUrl).filter(Boolean);
+    return `<ul class="links">${urls.map(u => `<li><a href="${escapeHtml(u)}">${escapeHtml(u)}</a></li>`).join('')}</ul>`;
+  }
+
+  // "CompTIA Tech: 3.5, 6.2" per framework; topic-style cells (pacing.csv) list topics instead of codes
+  function standardsHTML(row, headers) {
+    const byFramework = new Map();
+    let raw = '';
+    headers.filter(h => ALIGNMENT.test(h)).forEach(h => {
+      const found = parseAlignment(row[h]);
+      if (!found.length && (row[h] || '').trim()) raw += `<li>${escapeHtml(row[h].trim())}</li>`;
+      found.forEach(s => {
+        if (!byFramework.has(s.framework)) byFramework.set(s.framework, []);
+        const codes = byFramework.get(s.framework);
+        if (!codes.includes(s.code)) codes.push(s.code);
+      });
+    });
+    const items = Array.from(byFramework, ([fw, codes]) => `<li><b>${escapeHtml(fw)}:</b> ${escapeHtml(codes.join(', '))}</li>`).join('') + raw;
+    return items ? `<ul class="standards">${items}</ul>` : '';
+  }
+
+  function planDayHTML(day, headers, config) {
+    let out = '';
+    headers.forEach(h => {
+      const value = (day.row[h] || '').trim();
+      if (!value) return;
+      if (LESSON.test(h)) out += `<h3>${escapeHtml(value)}</h3>`;
+      else if (OBJECTIVES.test(h)) out += `<div class="field"><h4>Objectives</h4>${text(value, config)}</div>`;
+      else if (TOPICS.test(h)) out += `<div class="field"><h4>Topics</h4>${text(value, config)}</div>`;
+    });
+    const standards = standardsHTML(day.row, headers);
+    if (standards) out += `<div class="field"><h4>Standards</h4>${standards}</div>`;
+    return out || '<p class="empty">Nothing planned.</p>';
+  }
+
+  function bookletDayHTML(day, headers, config) {
+    const cols = config.columns;
+    let out = '';
+    if (headers.some(h => matchesRole(cols.minutes, h))) {
+      const parts = headers.filter(h => matchesRole(cols.minutes, h) && Number(day.row[h]))
+        .map(h => `${h.replace(cols.minutes, '').trim()} ${Number(day.row[h])}`);
+      out += `<p class="minutes">Planned time: ${totalMinutes(day.row, headers, config)} min${parts.length ? ` (${escapeHtml(parts.join(' · '))})` : ''}</p>`;
+    }
+    headers.forEach(h => {
+      if (h === cols.day || matchesRole(cols.minutes, h) || matchesRole(cols.hidden, h)) return;
+      const value = (day.row[h] || '').trim();
+      if (!value) return;
+      const links = (matchesRole(cols.video, h) || matchesRole(cols.slides, h) || isUrlOnlyCell(value)) && extractUrls(value).length;
+      out += `<div class="field"><h4>${escapeHtml(h)}</h4>${links ? linksHTML(value) : text(value, config)}</div>`;
+    });
+    return out;
+  }
+
+  // ===================== DOCUMENTS =====================
+
+  const CSS = `
+    @page { margin: 0.45in; }
+    @page plan { size: letter landscape; }
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 16px; background: #fff; color: #111; font: 10.5pt/1.4 system-ui, Segoe UI, Roboto, Arial, sans-serif; }
+    h1 { margin: 0; font-size: 16pt; }
+    h2 { margin: 0 0 6px; font-size: 12pt; }
+    h3 { margin: 6px 0 2px; font-size: 10.5pt; }
+    h4 { margin: 6px 0 1px; font-size: 8pt; text-transform: uppercase; letter-spacing: .04em; color: #555; }
+    a { color: inherit; }
+    ul { margin: 2px 0; padding-left: 16px; }
+    .field { white-space: pre-wrap; }
+    .field ul, .field .line-list { white-space: normal; }
+    .doc-head { display: flex; justify-content: space-between; align-items: baseline; gap: 12px; border-bottom: 2px solid #111; padding-bottom: 4px; margin-bottom: 10px; }
+    .doc-head p { margin: 0; color: #444; }
+    .empty { color: #777; font-style: italic; }
+    .plan { page: plan; display: grid; grid-template-columns: repeat(var(--cols), minmax(0, 1fr)); gap: 8px; font-size: 9pt; }
+    .plan-day { border: 1px solid #999; border-radius: 6px; padding: 6px 8px; break-inside: avoid; }
+    .plan-day h2 { font-size: 10.5pt; border-bottom: 1px solid #ccc; padding-bottom: 2px; }
+    .cover { min-height: 80vh; }
+    .cover h1 { font-size: 24pt; margin-top: 1.5in; }
+    .cover p { font-size: 12pt; color: #444; }
+    .contents td { padding: 2px 10px 2px 0; vertical-align: top; }
+    .week-page { break-before: page; }
+    .booklet-day { border-top: 1px solid #bbb; padding-top: 4px; margin-top: 8px; break-inside: avoid; }
+    .minutes { margin: 0; color: #444; }
+    .links { list-style: none; padding: 0; word-break: break-all; font-size: 8.5pt; }`;
+
+  function documentHTML(title, body) {
+    return printDocument({ title, css: CSS, body });
+  }
+
+  /**
+   * One-page plan for a week from groupByWeek() (or `{ monday: null, days: [day] }` for an undated day).
+   * @returns {string} a complete HTML document
+   */
+  function weekPlan(week, headers, config) {
+    const title = `${config.title} — ${weekLabel(week)}`;
+    return documentHTML(title, `
+<header class="doc-head"><h1>${escapeHtml(config.title)}</h1><p>${escapeHtml(weekLabel(week))}</p></header>
+<div class="plan" style="--cols:${Math.max(1, week.days.length)}">
+${week.days.map(day => `<section class="plan-day"><h2>${escapeHtml(dayLabel(day, config))}</h2>${planDayHTML(day, headers, config)}</section>`).join('\n')}
+</div>`);
+  }
+
+  /**
+   * Booklet of every dated day inside `semester` (all dated days when omitted): a cover
+   * with a week-by-week contents list, then one page per week.
+   * @returns {string} a complete HTML document
+   */
+  function booklet(days, headers, config, semester) {
+    const inRange = d => !semester || (d.start >= semester.from && d.start <= semester.to);
+    const weeks = groupByWeek(days.filter(inRange));
+    const name = semester ? `${semester.label} pacing booklet` : 'Pacing booklet';
+    const lessons = week => week.days.map(d => headers.filter(h => LESSON.test(h)).map(h => d.row[h]).filter(Boolean).join(' / ')).filter(Boolean);
+    return documentHTML(`${config.title} — ${name}`, `
+<section class="cover">
+  <h1>${escapeHtml(config.title)}</h1>
+  ${config.subtitle ? `<p>${escapeHtml(config.subtitle)}</p>` : ''}
+  <p>${escapeHtml(name)} · ${weeks.length} week${weeks.length === 1 ? '' : 's'} · printed ${escapeHtml(fmt(new Date(), { month: 'short', day: 'numeric', year: 'numeric' }))}</p>
+  <table class="contents">${weeks.map(w => `<tr><td>${escapeHtml(weekLabel(w))}</td><td>${escapeHtml(lessons(w).join('; '))}</td></tr>`).join('')}</table>
+</section>
+${weeks.map(w => `<section class="week-page">
+  <header class="doc-head"><h1>${escapeHtml(weekLabel(w))}</h1><p>${escapeHtml(config.title)}</p></header>
+  ${w.days.map(day => `<article class="booklet-day"><h2>${escapeHtml(dayLabel(day, config))}</h2>${bookletDayHTML(day, headers, config)}</article>`).join('\n')}
+</section>`).join('\n')}`);
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /** Pacing-engine plugin: "Print week" and "Print booklet" toolbar buttons. */
+  function plugin() {
+    return engine => {
+      const active = () => engine.days.find(d => d.key === engine.activeKey) || null;
+
+      function printWeek() {
+        const day = active();
+        if (!day) return;
+        const week = day.start
+          ? groupByWeek(engine.days).find(w => w.monday.getTime() === mondayOf(day.start).getTime())
+          : { monday: null, days: [day] };
+        openView(weekPlan(week, engine.headers, engine.config));
+      }
+
+      function printBooklet() {
+        const day = active();
+        const semester = semesterOf((day && day.start) || new Date());
+        openView(booklet(engine.days, engine.headers, engine.config, semester));
+      }
+
+      [['Print week', 'One page with every lesson, objective and standard for the open day’s week', printWeek],
+        ['Print booklet', 'The open day’s semester, one week per page', printBooklet]].forEach(([label, title, fn]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn';
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('click', fn);
+        engine.el.toolbar.appendChild(btn);
+      });
+    };
+  }
+
+  return { groupByWeek, semesterOf, weekPlan, booklet, plugin };
+});
@@ -0,0 +1,210 @@
+/*
+ * Teacher, student and substitute views of a pacing page.
+ *
+ * The role comes from ?role=student|substitute|teacher, so a teacher can hand out a
+ * student link. Without the parameter the page uses the last role picked on this device.
+ * The course's `roles` config (pacing-courses.js) decides which columns each role sees.
+ * This only changes what the page shows: the sheet is published, so keep private notes
+ * out of it.
+ *
+ *   student     objectives, videos and slide links, no teacher tools, plus "What I missed":
+ *               every day from an absence date to today
+ *   substitute  opens on today with the agenda, brain break and in-class instructions
+ *               first and highlighted
+ *   teacher     every column (the default)
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.PacingRoles = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { escapeHtml, extractUrls, matchesRole, renderField, renderPillLinks } = PacingEngine;
+
+  const ROLES = [
+    { id: 'teacher', label: 'Teacher' },
+    { id: 'student', label: 'Student' },
+    { id: 'substitute', label: 'Substitute' },
+  ];
+
+  // For courses without a `roles` config
+  const DEFAULT_ROLES = {
+    student: { show: [/^(lesson( \d+)?|title|topics)$/i, /objective/i, /video/i, /slide/i] },
+    substitute: { first: [/agenda/i, /brain break/i, /during class/i], hide: [/alignment/i] },
+  };
+
+  function matchesAny(list, header) {
+    return (list || []).some(m => (m instanceof RegExp ? m.test(header) : m === header));
+  }
+
+  /** ?role= (or "sub"), else the stored role, else teacher. */
+  function roleOf(search, stored) {
+    const want = String(new URLSearchParams(search || '').get('role') || stored || '').toLowerCase();
+    if (want === 'sub') return 'substitute';
+    return ROLES.some(r => r.id === want) ? want : 'teacher';
+  }
+
+  /**
+   * The columns a role sees, in display order.
+   * @param {string} role
+   * @param {string[]} fields  the card's columns in CSV order
+   * @param {object} [roles]  a course's `roles` config
+   */
+  function fieldsFor(role, fields, roles = DEFAULT_ROLES) {
+    const spec = (roles && roles[role]) || {};
+    const out = fields.filter(h => (!spec.show || matchesAny(spec.show, h)) && !matchesAny(spec.hide, h));
+    if (!spec.first) return out;
+    const first = [];
+    spec.first.forEach(m => out.forEach(h => { if (matchesAny([m], h) && !first.includes(h)) first.push(h); }));
+    return first.concat(out.filter(h => !first.includes(h)));
+  }
+
+  /** Dated days that overlap `from`..`to` (local-midnight Dates), oldest first. */
+  function missedDays(days, from, to) {
+    return days
+      .filter(d => d.start && (d.end || d.start) >= from && d.start <= to)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /** Pacing-engine plugin: the "View as" picker, role filtering and "What I missed". */
+  function plugin() {
+    return engine => {
+      const config = engine.config;
+      const cols = config.columns;
+      const roles = Object.assign({}, DEFAULT_ROLES, config.roles);
+      const storeKey = `pacing-role:v1:${config.id || config.title}`;
+      let stored = null;
+      try { stored = localStorage.getItem(storeKey); } catch { /* private mode */ }
+      let role = roleOf(window.location.search, stored);
+
+      const picker = document.createElement('label');
+      picker.className = 'role-picker role-keep';
+      picker.innerHTML = `View as <select aria-label="View as">${ROLES.map(r => `<option value="${r.id}">${r.label}</option>`).join('')}</select>`;
+      const select = picker.querySelector('select');
+
+      const missedBtn = document.createElement('button');
+      missedBtn.type = 'button';
+      missedBtn.className = 'btn role-keep';
+      missedBtn.textContent = 'What I missed';
+      missedBtn.setAttribute('aria-expanded', 'false');
+      engine.el.toolbar.append(missedBtn, picker);
+      document.getElementById('todayBtn').classList.add('role-keep');
+
+      const box = document.createElement('section');
+      box.className = 'missed-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'What I missed');
+      box.innerHTML = `
+        <div class="missed-controls">
+          <label>I was absent from <input type="date" id="missedFrom"></label>
+          <span id="missedSummary"></span>
+        </div>
+        <div id="missedList"></div>`;
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+      const fromInput = box.querySelector('#missedFrom');
+      const lastWeek = new Date();
+      lastWeek.setDate(lastWeek.getDate() - 7);
+      fromInput.value = isoDate(lastWeek);
+
+      // ---------- Columns per role ----------
+
+      engine.on('fields', ({ fields }) => {
+        fields.splice(0, fields.length, ...fieldsFor(role, fields, roles));
+      });
+
+      engine.on('card', ({ day, card }) => {
+        if (role !== 'substitute') return;
+        const first = (roles.substitute && roles.substitute.first) || [];
+        card.querySelectorAll('.section[data-field]').forEach(s => s.classList.toggle('featured', matchesAny(first, s.dataset.field)));
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const isToday = day.start && today >= day.start && today <= (day.end || day.start);
+        card.querySelector('.card-inner').insertAdjacentHTML('afterbegin',
+          `<p class="sub-banner">Substitute plan for ${escapeHtml(day.key)}${isToday ? ' (today)' : ''}</p>`);
+      });
+
+      // ---------- What I missed ----------
+
+      function drawMissed() {
+        const m = fromInput.value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const list = box.querySelector('#missedList');
+        if (!m) {
+          list.innerHTML = '';
+          return;
+        }
+        const from = new Date(+m[1], +m[2] - 1, +m[3]);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const missed = missedDays(engine.days, from, today);
+        const unit = config.dayFormat === 'week-range' ? 'week' : 'day';
+        box.querySelector('#missedSummary').textContent = missed.length
+          ? `${missed.length} ${unit}${missed.length === 1 ? '' : 's'} of class since then.`
+          : `No class ${unit}s between then and today.`;
+        const base = engine.headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h) && !matchesRole(cols.hidden, h));
+        const shown = fieldsFor('student', base, roles);
+        list.innerHTML = missed.map(day => `
+          <article class="missed-day">
+            <h3><a href="${escapeHtml(engine.dayHref(day.key))}" data-key="${escapeHtml(day.key)}">${escapeHtml(day.key)}</a></h3>
+            ${shown.map(h => {
+              const value = (day.row[h] || '').trim();
+              if (!value) return '';
+              // Links instead of players, so a long catch-up list stays light
+              const body = matchesRole(cols.video, h) && extractUrls(value).length
+                ? renderPillLinks(value, 'Watch video')
+                : renderField(h, value, config);
+              return `<div class="section"><h4>${escapeHtml(h)}</h4><div class="section-content">${body}</div></div>`;
+            }).join('')}
+          </article>`).join('');
+      }
+
+      missedBtn.addEventListener('click', () => {
+        box.hidden = !box.hidden;
+        missedBtn.setAttribute('aria-expanded', String(!box.hidden));
+        if (!box.hidden) drawMissed();
+      });
+      fromInput.addEventListener('change', drawMissed);
+      box.addEventListener('click', e => {
+        const a = e.target.closest('a[data-key]');
+        if (!a) return;
+        e.preventDefault();
+        engine.openDay(a.dataset.key, { updateUrl: true });
+      });
+      engine.on('render', () => { if (!box.hidden) drawMissed(); });
+      engine.on('patch', () => { if (!box.hidden) drawMissed(); });
+
+      // ---------- Switching ----------
+
+      function apply(next) {
+        role = next;
+        select.value = role;
+        ROLES.forEach(r => document.body.classList.toggle(`role-${r.id}`, r.id === role));
+        try { localStorage.setItem(storeKey, role); } catch { /* private mode */ }
+        const u = new URL(window.location.href);
+        if (role === 'teacher') u.searchParams.delete('role');
+        else u.searchParams.set('role', role);
+        history.replaceState(history.state, '', u.pathname + u.search + u.hash);
+        missedBtn.hidden = role !== 'student';
+        if (role !== 'student') {
+          box.hidden = true;
+          missedBtn.setAttribute('aria-expanded', 'false');
+        }
+      }
+
+      apply(role);
+      select.addEventListener('change', () => {
+        apply(select.value);
+        if (!engine.rows.length) return;
+        engine.render();
+        if (role === 'substitute') engine.openToday({ updateUrl: true, replace: true });
+      });
+    };
+  }
+
+  return { ROLES, DEFAULT_ROLES, roleOf, fieldsFor, missedDays, plugin };
+});
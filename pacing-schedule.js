@@ -0,0 +1,254 @@
+/*
+ * Re-flows a date-keyed pacing guide around no-school days.
+ *
+ * Each lesson keeps its planned date unless that date is not a teaching day: weekends,
+ * closures from School_Calendar_Master.csv for the chosen host school, and any "slip"
+ * days the teacher adds for unplanned days off (snow day, assembly, ...). A lesson that
+ * can't be taught on its date moves to the next teaching day and pushes the lessons
+ * behind it along; nothing is ever moved earlier than planned. Re-flow is off until the
+ * teacher turns it on.
+ *
+ * The calendar is read with SchoolCalendar.parseCalendarCsv, using the No-School
+ * viewer's saved Data settings (source and column mapping) when there are any, so the
+ * re-flow sees the same rows as the viewers.
+ *
+ * Browser: PacingEngine.create(Object.assign({}, PacingCourses.aplus,
+ *            { plugins: [PacingSchedule.plugin()] })).start();
+ * Node:    require('./pacing-schedule').scheduleLessons(...)
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./pacing-engine'), require('./school-events'), require('./school-calendar'), require('./data-settings'));
+  } else {
+    root.PacingSchedule = factory(root.PacingEngine, root.SchoolEvents, root.SchoolCalendar, root.DataSettings);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine, SchoolEvents, SchoolCalendar, DataSettings) {
+  'use strict';
+
+  // Host-school value meaning "closed when most sending schools are off"
+  const MAJORITY = '*';
+
+  function toIso(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  // Any date SchoolCalendar.parseDateFlexible reads -> local-midnight Date, else null
+  function parseDate(s) {
+    const m = SchoolCalendar.parseDateFlexible(s).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+  }
+
+  function addDays(d, n) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+  }
+
+  function schoolsOf(rows) {
+    return Array.from(new Set(rows.map(r => r.school))).filter(s => !SchoolEvents.isRollup(s)).sort();
+  }
+
+  /**
+   * ISO dates on which `host` has no school. With host = MAJORITY a date counts when
+   * more than half of the listed schools are off.
+   * @returns {Set<string>}
+   */
+  function closedDates(rows, host = MAJORITY) {
+    const closed = new Set();
+    if (host === MAJORITY) {
+      const schools = schoolsOf(rows);
+      const byIso = {};
+      rows.forEach(r => (byIso[r.iso] || (byIso[r.iso] = [])).push(r));
+      Object.keys(byIso).forEach(iso => {
+        const day = SchoolEvents.summarizeDay(byIso[iso], schools);
+        if (day.off.length > day.total / 2) closed.add(iso);
+      });
+      return closed;
+    }
+    rows.forEach(r => {
+      if (r.isOff && (r.school === host || SchoolEvents.isRollup(r.school))) closed.add(r.iso);
+    });
+    return closed;
+  }
+
+  function isTeachingDay(d, closed, slips) {
+    const wd = d.getDay();
+    if (wd === 0 || wd === 6) return false;
+    const iso = toIso(d);
+    return !closed.has(iso) && !slips.has(iso);
+  }
+
+  /**
+   * Teaching dates for lessons planned on `planned` (in lesson order). Each lesson lands
+   * on the first teaching day that is on or after its planned date and after the lesson
+   * before it, so a closure pushes lessons later but never pulls one earlier.
+   * @param {Date[]} planned
+   * @param {{ closed?: Set<string>, slips?: Set<string> }} [opts]  closed/slips hold ISO dates
+   * @returns {Date[]}  one per planned lesson; shorter only if the calendar closes every day for years
+   */
+  function scheduleLessons(planned, { closed = new Set(), slips = new Set() } = {}) {
+    const out = [];
+    let prev = null;
+    for (const p of planned) {
+      let d = new Date(p.getFullYear(), p.getMonth(), p.getDate());
+      if (prev && d <= prev) d = addDays(prev, 1);
+      // Guard against a calendar that closes everything
+      let guard = 0;
+      while (!isTeachingDay(d, closed, slips) && guard++ < 3660) d = addDays(d, 1);
+      if (guard > 3660) break;
+      out.push(d);
+      prev = d;
+    }
+    return out;
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /**
+   * Pacing-engine plugin: re-keys the engine's days to their computed teaching dates and
+   * adds a host-school picker plus slip-day controls under the page header. Settings are
+   * kept per course in localStorage.
+   * @param {{ calendar?: string, columns?: object, school?: string }} [options]  calendar and
+   *   columns default to the No-School viewer's saved Data settings, else the master CSV
+   */
+  function plugin(options = {}) {
+    const noSchool = DataSettings.readSaved('no-school');
+    const opts = Object.assign({
+      calendar: (noSchool.sources || [])[0] || 'School_Calendar_Master.csv',
+      columns: noSchool.columns || {},
+      school: MAJORITY,
+    }, options);
+
+    return engine => {
+      if (engine.config.dayFormat !== 'date') return;
+      const storeKey = `pacing-schedule:v1:${engine.config.id || engine.config.title}`;
+      const state = Object.assign({ enabled: false, school: opts.school, slips: [] }, readState(storeKey));
+      let calendarRows = [];
+      let closed = null;        // Set of ISO dates once the calendar has loaded
+      let keyToPlanned = {};    // teaching-date key -> planned key from the last re-flow
+      let summary = '';
+
+      const esc = PacingEngine.escapeHtml;
+      const bar = document.createElement('div');
+      bar.className = 'schedule-bar';
+      bar.innerHTML = `
+        <label><input type="checkbox" id="schedOn"> Re-flow around no-school days for</label>
+        <select id="schedSchool" aria-label="Host school calendar"><option value="${MAJORITY}">Most schools off</option></select>
+        <span class="schedule-sep"></span>
+        <label>Unplanned day off <input type="date" id="slipDate"></label>
+        <button id="slipAdd" class="btn" type="button">Slip a day</button>
+        <span id="slipList" class="slip-list"></span>
+        <div id="schedInfo" class="schedule-info"></div>`;
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', bar);
+
+      const $ = id => bar.querySelector('#' + id);
+      $('schedOn').checked = state.enabled;
+
+      function save() {
+        try { localStorage.setItem(storeKey, JSON.stringify(state)); } catch { /* private mode */ }
+      }
+
+      function update() {
+        save();
+        closed = calendarRows.length ? closedDates(calendarRows, state.school) : closed;
+        if (!engine.rows.length) return;
+        engine.render();
+        // The open lesson may have a new date; keep a shared ?day= link pointing at it
+        if (engine.activeKey && new URLSearchParams(window.location.search).get('day')) {
+          history.replaceState({ day: engine.activeKey }, '', engine.dayHref(engine.activeKey));
+        }
+      }
+
+      function renderSlips() {
+        $('slipList').innerHTML = state.slips.slice().sort().map(iso =>
+          `<button type="button" class="slip-chip" data-iso="${esc(iso)}" title="Remove this day off">${esc(PacingEngine.formatMDY(parseDate(iso)))} ×</button>`).join('');
+      }
+
+      $('schedOn').addEventListener('change', e => { state.enabled = e.target.checked; update(); });
+      $('schedSchool').addEventListener('change', e => { state.school = e.target.value; update(); });
+      $('slipAdd').addEventListener('click', () => {
+        const d = parseDate($('slipDate').value);
+        if (!d) return;
+        const iso = toIso(d);
+        if (!state.slips.includes(iso)) state.slips.push(iso);
+        renderSlips();
+        update();
+      });
+      $('slipList').addEventListener('click', e => {
+        const chip = e.target.closest('.slip-chip');
+        if (!chip) return;
+        state.slips = state.slips.filter(iso => iso !== chip.dataset.iso);
+        renderSlips();
+        update();
+      });
+      renderSlips();
+
+      engine.on('days', days => {
+        const dated = days.filter(d => d.start).sort((a, b) => a.start - b.start);
+        if (!state.enabled || !closed || !dated.length) {
+          keyToPlanned = {};
+          summary = '';
+          return;
+        }
+        const activePlanned = keyToPlanned[engine.activeKey] || engine.activeKey;
+        const dates = scheduleLessons(dated.map(d => d.start), { closed, slips: new Set(state.slips) });
+        keyToPlanned = {};
+        let moved = 0;
+        dated.forEach((day, i) => {
+          day.planned = day.key;
+          if (!dates[i]) return;
+          day.key = PacingEngine.formatMDY(dates[i]);
+          day.start = day.end = dates[i];
+          if (PacingEngine.normalizeDayKey(day.planned) !== day.key) moved++;
+          keyToPlanned[day.key] = day.planned;
+        });
+        // Keep the same lesson open when its date moves
+        const stay = dated.find(d => d.planned === activePlanned);
+        if (stay) engine.activeKey = stay.key;
+
+        const where = state.school === MAJORITY ? 'most schools' : state.school;
+        const last = dated[dated.length - 1];
+        summary = `${moved} of ${dated.length} lessons moved for ${where}; last lesson ${last.key}.`;
+      });
+
+      engine.on('card', ({ day, card }) => {
+        if (!day.planned || PacingEngine.normalizeDayKey(day.planned) === day.key) return;
+        card.querySelector('.card-inner').insertAdjacentHTML('afterbegin',
+          `<div class="moved-note">Re-scheduled: originally planned for ${esc(day.planned)}</div>`);
+      });
+
+      engine.on('render', days => {
+        const movedKeys = new Set(days.filter(d => d.planned && PacingEngine.normalizeDayKey(d.planned) !== d.key).map(d => d.key));
+        engine.el.nav.querySelectorAll('.day-btn').forEach(a => a.classList.toggle('moved', movedKeys.has(a.dataset.key)));
+        $('schedInfo').textContent = summary;
+      });
+
+      engine.on('open', day => {
+        if (day && day.start) $('slipDate').value = toIso(day.start);
+      });
+
+      fetch(opts.calendar, { cache: 'no-store' })
+        .then(resp => { if (!resp.ok) throw new Error('HTTP ' + resp.status); return resp.text(); })
+        .then(text => {
+          calendarRows = SchoolCalendar.parseCalendarCsv(text, { columns: opts.columns });
+          const schools = schoolsOf(calendarRows);
+          if (state.school !== MAJORITY && !schools.includes(state.school)) state.school = MAJORITY;
+          $('schedSchool').insertAdjacentHTML('beforeend', schools.map(s => `<option value="${esc(s)}">${esc(s)}</option>`).join(''));
+          $('schedSchool').value = state.school;
+          // ?day= links name the re-flowed date, so route again now that dates are known
+          engine.activeKey = '';
+          update();
+        })
+        .catch(err => {
+          console.error('Failed to load school calendar:', err);
+          $('schedInfo').textContent = 'School calendar unavailable; showing the dates from the sheet.';
+        });
+    };
+  }
+
+  function readState(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null') || {}; } catch { return {}; }
+  }
+
+  return { MAJORITY, toIso, parseDate, schoolsOf, closedDates, scheduleLessons, plugin };
+});
@@ -0,0 +1,284 @@
+/*
+ * Search every day of the loaded pacing CSV: "where did we cover MFA", "which day has the
+ * Egg Riddle". Every column a card shows is indexed (lessons, objectives, discussion
+ * prompts, standards); results are ranked, show a highlighted snippet per matching
+ * column, and link to the day with the usual ?day= URL.
+ *
+ * Query syntax: words match the start of words ("auth" finds "authentication") and all
+ * of them must appear somewhere in the day; "quoted phrases" must appear as written.
+ * The index follows the `fields` hook, so a student view (pacing-roles.js) only searches
+ * the columns students can see.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.PacingSearch = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { escapeHtml, matchesRole, stripTags } = PacingEngine;
+
+  const MAX_RESULTS = 50;
+
+  // ===================== INDEX =====================
+
+  // Lowercase and drop accents one character at a time, so offsets still line up with the original
+  function fold(text) {
+    return String(text || '').replace(/[^\x00-\x7f]/g, ch => ch.normalize('NFD')[0] || ch).toLowerCase();
+  }
+
+  function tokenize(text) {
+    return fold(text).match(/[a-z0-9]+/g) || [];
+  }
+
+  /** Bare words and "quoted phrases" from a query; phrase words count as terms too. */
+  function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"?/g, (_, p) => {
+      const words = tokenize(p);
+      if (words.length) phrases.push(words.join(' '));
+      return ' ' + p + ' ';
+    });
+    return { terms: Array.from(new Set(tokenize(rest))), phrases };
+  }
+
+  /**
+   * One document per (day, column) with text.
+   * @param {Array<{key: string, row: object}>} days
+   * @param {string[]} fields  the columns to index, in card order
+   */
+  function buildIndex(days, fields) {
+    const docs = [];
+    const terms = new Map();   // token -> Map(doc id -> count)
+    days.forEach(day => fields.forEach(field => {
+      const text = stripTags(day.row[field] || '').replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      const id = docs.push({ day, field, text, words: tokenize(text).join(' ') }) - 1;
+      tokenize(text).forEach(t => {
+        let postings = terms.get(t);
+        if (!postings) terms.set(t, (postings = new Map()));
+        postings.set(id, (postings.get(id) || 0) + 1);
+      });
+    }));
+    return { docs, terms, fields, dayCount: days.length };
+  }
+
+  /**
+   * Ranked days matching every term and phrase of `query`.
+   * Whole-word hits outrank prefix hits, rare words outrank common ones, and days with
+   * all the terms in one column come first.
+   * @param {object} index  from buildIndex()
+   * @param {string} query
+   * @param {{ field?: string, from?: Date, to?: Date }} [opts]  column and date-range filters
+   * @returns {Array<{ day: object, score: number, hits: Array<{ field: string, text: string }> }>}
+   */
+  function search(index, query, opts = {}) {
+    const { terms, phrases } = parseQuery(query);
+    if (!terms.length) return [];
+    const docOk = doc => {
+      if (opts.field && doc.field !== opts.field) return false;
+      if (!opts.from && !opts.to) return true;
+      const d = doc.day;
+      return !!d.start && (!opts.from || (d.end || d.start) >= opts.from) && (!opts.to || d.start <= opts.to);
+    };
+
+    const byDay = new Map();
+    terms.forEach((term, ti) => {
+      const weights = new Map();
+      index.terms.forEach((postings, token) => {
+        if (!token.startsWith(term)) return;
+        const exact = token === term ? 1 : 0.5;
+        postings.forEach((count, id) => weights.set(id, Math.max(weights.get(id) || 0, exact * (1 + Math.log(count)))));
+      });
+      const dayHits = new Set(Array.from(weights.keys(), id => index.docs[id].day.key)).size;
+      const idf = Math.log(1 + index.dayCount / (1 + dayHits));
+      weights.forEach((w, id) => {
+        const doc = index.docs[id];
+        if (!docOk(doc)) return;
+        let r = byDay.get(doc.day.key);
+        if (!r) byDay.set(doc.day.key, (r = { day: doc.day, score: 0, terms: new Set(), docs: new Map() }));
+        r.score += w * idf;
+        r.terms.add(ti);
+        r.docs.set(id, (r.docs.get(id) || 0) + 1);
+      });
+    });
+
+    const results = [];
+    byDay.forEach(r => {
+      if (r.terms.size < terms.length) return;
+      const docs = Array.from(r.docs.keys(), id => index.docs[id]);
+      if (!phrases.every(p => docs.some(d => ` ${d.words} `.includes(` ${p}`)))) return;
+      const together = Array.from(r.docs.values()).some(n => n === terms.length);
+      docs.sort((a, b) => index.fields.indexOf(a.field) - index.fields.indexOf(b.field));
+      results.push({
+        day: r.day,
+        score: r.score * (together && terms.length > 1 ? 1.5 : 1),
+        hits: docs.map(d => ({ field: d.field, text: d.text })),
+      });
+    });
+    return results.sort((a, b) => b.score - a.score || (a.day.start && b.day.start ? a.day.start - b.day.start : 0));
+  }
+
+  function escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * HTML excerpt of `text` around the first hit, with every word starting with a term in <mark>.
+   * @param {string} text
+   * @param {string[]} terms  folded query terms (parseQuery().terms)
+   * @param {number} [radius]  characters of context before the first hit
+   */
+  function snippet(text, terms, radius = 60) {
+    text = String(text || '').replace(/\s+/g, ' ').trim();
+    const ranges = [];
+    if (terms.length) {
+      const re = new RegExp(`(^|[^a-z0-9])(${terms.map(escapeRe).join('|')})[a-z0-9]*`, 'g');
+      let m;
+      const folded = fold(text);
+      while ((m = re.exec(folded))) ranges.push([m.index + m[1].length, m.index + m[0].length]);
+    }
+    let start = 0;
+    let end = text.length;
+    if (text.length > radius * 3) {
+      const first = ranges.length ? ranges[0][0] : 0;
+      start = Math.max(0, first - radius);
+      end = Math.min(text.length, start + radius * 3);
+      // Snap to word boundaries
+      if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+      if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+    }
+    let html = start > 0 ? '…' : '';
+    let at = start;
+    ranges.filter(([a, b]) => a >= start && b <= end).forEach(([a, b]) => {
+      html += escapeHtml(text.slice(at, a)) + '<mark>' + escapeHtml(text.slice(a, b)) + '</mark>';
+      at = b;
+    });
+    return html + escapeHtml(text.slice(at, end)) + (end < text.length ? '…' : '');
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  function parseIsoDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+  }
+
+  /** Pacing-engine plugin: a toolbar search box and a results panel under the header. */
+  function plugin() {
+    return engine => {
+      const cols = engine.config.columns;
+      let index = null;
+      let fields = [];
+
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.className = 'search-input role-keep';
+      input.placeholder = 'Search the year…  ( / )';
+      input.setAttribute('aria-label', 'Search every day');
+      engine.el.toolbar.append(input);
+
+      const box = document.createElement('section');
+      box.className = 'search-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'Search results');
+      box.innerHTML = `
+        <div class="search-controls">
+          <label>Column <select id="searchField"><option value="">All columns</option></select></label>
+          <label>From <input type="date" id="searchFrom"></label>
+          <label>To <input type="date" id="searchTo"></label>
+          <span id="searchSummary" role="status"></span>
+          <button type="button" class="btn" id="searchClear">Clear</button>
+        </div>
+        <ol class="search-results" id="searchResults"></ol>`;
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+      const fieldSelect = box.querySelector('#searchField');
+      const fromInput = box.querySelector('#searchFrom');
+      const toInput = box.querySelector('#searchTo');
+      const list = box.querySelector('#searchResults');
+      const summary = box.querySelector('#searchSummary');
+
+      // Rebuilt on the next search after the data or the role's columns change
+      function ensureIndex() {
+        if (index) return index;
+        fields = engine.headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h) && !matchesRole(cols.hidden, h));
+        engine.emit('fields', { day: null, fields });
+        const picked = fieldSelect.value;
+        fieldSelect.innerHTML = '<option value="">All columns</option>' +
+          fields.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+        fieldSelect.value = fields.includes(picked) ? picked : '';
+        index = buildIndex(engine.days, fields);
+        return index;
+      }
+      engine.on('render', () => { index = null; run(); });
+      engine.on('patch', () => { index = null; run(); });
+
+      let results = [];
+      function run() {
+        const query = input.value.trim();
+        box.hidden = !query;
+        if (!query) return;
+        ensureIndex();
+        const { terms } = parseQuery(query);
+        results = search(index, query, {
+          field: fieldSelect.value,
+          from: parseIsoDate(fromInput.value),
+          to: parseIsoDate(toInput.value),
+        });
+        const unit = engine.config.dayFormat === 'week-range' ? 'week' : 'day';
+        summary.textContent = results.length
+          ? `${results.length} ${unit}${results.length === 1 ? '' : 's'} match` + (results.length > MAX_RESULTS ? `; showing the best ${MAX_RESULTS}` : '')
+          : 'No matches.';
+        list.innerHTML = results.slice(0, MAX_RESULTS).map(r => `
+          <li>
+            <a href="${escapeHtml(engine.dayHref(r.day.key))}" data-key="${escapeHtml(r.day.key)}" data-field="${escapeHtml(r.hits[0].field)}">${escapeHtml(r.day.key)}</a>
+            ${r.hits.map(h => `<div class="search-hit"><span class="search-field">${escapeHtml(h.field)}</span> ${snippet(h.text, terms)}</div>`).join('')}
+          </li>`).join('');
+      }
+
+      function openResult(key, field) {
+        if (!engine.openDay(key, { updateUrl: true })) return;
+        const card = engine.el.main.querySelector('.day-card.visible');
+        const section = card && Array.from(card.querySelectorAll('.section[data-field]')).find(s => s.dataset.field === field);
+        if (section && section.scrollIntoView) section.scrollIntoView({ block: 'start' });
+      }
+
+      let timer = null;
+      input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, 150);
+      });
+      input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+          clearTimeout(timer);
+          run();
+          if (results.length) openResult(results[0].day.key, results[0].hits[0].field);
+        } else if (e.key === 'Escape') {
+          input.value = '';
+          run();
+        }
+      });
+      [fieldSelect, fromInput, toInput].forEach(el => el.addEventListener('change', run));
+      box.querySelector('#searchClear').addEventListener('click', () => {
+        input.value = '';
+        fieldSelect.value = fromInput.value = toInput.value = '';
+        run();
+        input.focus();
+      });
+      list.addEventListener('click', e => {
+        const a = e.target.closest('a[data-key]');
+        if (!a || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        e.preventDefault();
+        openResult(a.dataset.key, a.dataset.field);
+      });
+      // "/" jumps to the search box unless you're already typing somewhere
+      window.addEventListener('keydown', e => {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        e.preventDefault();
+        input.focus();
+      });
+    };
+  }
+
+  return { tokenize, parseQuery, buildIndex, search, snippet, plugin };
+});
@@ -0,0 +1,302 @@
+/*
+ * "Now teaching" segment timer for projector mode.
+ *
+ * The open day's `Minutes: ...` columns become the class segments (Beginning Discussion,
+ * Lesson 1, Brain Break, ...). The timer counts each one down, shows that segment's
+ * prompts from the matching content columns, and supports pause, skip and extend. With a
+ * bell time picked it starts itself at period start, or joins mid-period at the right spot.
+ *
+ * Course config (pacing-courses.js), all optional:
+ *   timer: {
+ *     segments: { 'Lesson 1': ['Lesson 1', 'Learning Objectives (Lesson 1)'], ... },  // label -> content columns
+ *     bells: [{ label: 'AM session', start: '07:50' }, ...],
+ *   }
+ * Without `segments`, a segment shows every column whose header contains all of its words.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.PacingTimer = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { matchesRole, renderField, escapeHtml } = PacingEngine;
+  const MINUTE = 60 * 1000;
+
+  function words(s) {
+    return String(s || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  }
+
+  /**
+   * Segments for one day row, in column order.
+   * @returns {Array<{ label: string, minutes: number, columns: string[] }>}
+   */
+  function segmentsFor(row, headers, config) {
+    const cols = config.columns;
+    const mapping = (config.timer && config.timer.segments) || {};
+    const content = headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h));
+    return headers
+      .filter(h => matchesRole(cols.minutes, h))
+      .map(h => {
+        const label = h.replace(cols.minutes, '').trim() || h;
+        const minutes = Number(String(row[h] || '').trim());
+        const want = words(label);
+        const columns = mapping[label] || content.filter(c => {
+          const have = words(c);
+          return want.every(w => have.includes(w));
+        });
+        return { label, minutes: Number.isFinite(minutes) ? minutes : 0, columns };
+      })
+      .filter(s => s.minutes > 0);
+  }
+
+  /** Which segment is running `elapsedMs` into the day, and how long it has left. */
+  function locate(segments, elapsedMs) {
+    let t = Math.max(0, elapsedMs);
+    for (let i = 0; i < segments.length; i++) {
+      const len = segments[i].minutes * MINUTE;
+      if (t < len) return { index: i, remainingMs: len - t };
+      t -= len;
+    }
+    return { index: segments.length, remainingMs: 0 };
+  }
+
+  // 'HH:MM' on the same calendar day as `on`
+  function clockOn(hhmm, on = new Date()) {
+    const m = String(hhmm || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return null;
+    return new Date(on.getFullYear(), on.getMonth(), on.getDate(), +m[1], +m[2]);
+  }
+
+  function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const m = Math.floor(total / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return `${m}:${s}`;
+  }
+
+  // ===================== TIMER STATE =====================
+  // { index, remainingMs, endsAt }: endsAt is the wall-clock end of the running segment,
+  // 0 when paused. Each step returns a new state; the plugin keeps one and redraws.
+
+  function timeLeft(timer, now) {
+    return timer.endsAt > 0 ? timer.endsAt - now : timer.remainingMs;
+  }
+
+  /** Segment `index` with `ms` to go, running; past the last segment it is the finished plan. */
+  function startSegment(segments, index, ms, now) {
+    return { index, remainingMs: ms, endsAt: index < segments.length ? now + ms : 0 };
+  }
+
+  /** Move to the next segment at its full length; a running timer keeps running. */
+  function skipSegment(segments, timer, now) {
+    const next = timer.index + 1;
+    const ms = next < segments.length ? segments[next].minutes * MINUTE : 0;
+    return timer.endsAt > 0 ? startSegment(segments, next, ms, now) : { index: next, remainingMs: ms, endsAt: 0 };
+  }
+
+  /** `minutes` more for the current segment, running or paused. */
+  function extendSegment(segments, timer, minutes) {
+    if (timer.index >= segments.length) return timer;
+    return timer.endsAt > 0
+      ? Object.assign({}, timer, { endsAt: timer.endsAt + minutes * MINUTE })
+      : Object.assign({}, timer, { remainingMs: timer.remainingMs + minutes * MINUTE });
+  }
+
+  /** A running segment that has run out hands the overrun to the next one. */
+  function advance(segments, timer, now) {
+    if (!(timer.endsAt > 0) || timeLeft(timer, now) > 0) return timer;
+    const next = timer.index + 1;
+    const carry = -timeLeft(timer, now); // time already spent in the next segment
+    if (next < segments.length) return startSegment(segments, next, segments[next].minutes * MINUTE - carry, now);
+    return { index: segments.length, remainingMs: 0, endsAt: 0 };
+  }
+
+  /**
+   * Where a bell at `elapsedMs` ago puts the plan: `locate()` while the plan is still
+   * running, null before the bell or once every segment is over.
+   */
+  function bellStart(segments, elapsedMs) {
+    const total = segments.reduce((n, s) => n + s.minutes * MINUTE, 0);
+    if (!segments.length || elapsedMs < 0 || elapsedMs >= total) return null;
+    return locate(segments, elapsedMs);
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /** Pacing-engine plugin: the segment timer bar shown in projector mode. */
+  function plugin() {
+    return engine => {
+      const config = engine.config;
+      const bells = (config.timer && config.timer.bells) || [];
+      const storeKey = `pacing-timer:v1:${config.id || config.title}`;
+      const saved = readState(storeKey);
+
+      let segments = [];
+      let dayKey = '';
+      let timer = { index: 0, remainingMs: 0, endsAt: 0 };
+      let bell = saved.bell || '';
+      let autoStartedFor = ''; // 'YYYY-MM-DD HH:MM' of the last automatic start
+      let projector = false;
+
+      const bar = document.createElement('section');
+      bar.className = 'segment-timer';
+      bar.hidden = true;
+      bar.setAttribute('aria-label', 'Class segment timer');
+      bar.innerHTML = `
+        <div class="timer-main">
+          <div class="timer-now"><span class="timer-label" id="timerLabel"></span><span class="timer-clock" id="timerClock" aria-live="off"></span></div>
+          <div class="timer-progress"><div id="timerFill"></div></div>
+          <ol class="timer-steps" id="timerSteps"></ol>
+        </div>
+        <div class="timer-controls">
+          <button type="button" class="btn" id="timerToggle">Start</button>
+          <button type="button" class="btn" id="timerSkip" title="Next segment">Skip</button>
+          <button type="button" class="btn" id="timerPlus1" title="Add a minute">+1 min</button>
+          <button type="button" class="btn" id="timerPlus5" title="Add five minutes">+5 min</button>
+          <button type="button" class="btn" id="timerReset">Reset</button>
+          <label class="timer-bell">Bell
+            <select id="timerBell">
+              <option value="">Manual start</option>
+              ${bells.map(b => `<option value="${escapeHtml(b.start)}">${escapeHtml(b.label)} (${escapeHtml(b.start)})</option>`).join('')}
+              <option value="custom">Custom time…</option>
+            </select>
+            <input type="time" id="timerBellTime" hidden>
+          </label>
+        </div>
+        <div class="timer-prompts" id="timerPrompts"></div>`;
+      document.body.appendChild(bar);
+      const $ = id => bar.querySelector('#' + id);
+
+      function save() {
+        const state = { bell, customTime: $('timerBellTime').value };
+        try { localStorage.setItem(storeKey, JSON.stringify(state)); } catch { /* private mode */ }
+      }
+
+      function running() {
+        return timer.endsAt > 0;
+      }
+
+      function left() {
+        return timeLeft(timer, Date.now());
+      }
+
+      function load(day) {
+        dayKey = day ? day.key : '';
+        segments = day ? segmentsFor(day.row, engine.headers, config) : [];
+        reset();
+      }
+
+      function reset() {
+        timer = { index: 0, remainingMs: segments.length ? segments[0].minutes * MINUTE : 0, endsAt: 0 };
+        draw();
+      }
+
+      function toggle() {
+        if (timer.index >= segments.length) return;
+        timer = running()
+          ? { index: timer.index, remainingMs: left(), endsAt: 0 }
+          : startSegment(segments, timer.index, timer.remainingMs, Date.now());
+        draw();
+      }
+
+      function skip() {
+        timer = skipSegment(segments, timer, Date.now());
+        draw();
+      }
+
+      function extend(minutes) {
+        timer = extendSegment(segments, timer, minutes);
+        draw();
+      }
+
+      function bellTime() {
+        return bell === 'custom' ? $('timerBellTime').value : bell;
+      }
+
+      // Start (or join) the day's plan at the bell; checked every tick
+      function checkBell() {
+        const start = clockOn(bellTime());
+        if (!start) return;
+        const tag = `${start.toDateString()} ${bellTime()}`;
+        const now = Date.now();
+        const at = bellStart(segments, now - start.getTime());
+        if (!at || autoStartedFor === tag) return;
+        autoStartedFor = tag;
+        timer = startSegment(segments, at.index, at.remainingMs, now);
+        draw();
+      }
+
+      function tick() {
+        checkBell();
+        const next = advance(segments, timer, Date.now());
+        if (next !== timer) {
+          timer = next;
+          draw();
+          return;
+        }
+        drawClock();
+      }
+
+      function drawClock() {
+        const seg = segments[timer.index];
+        const ms = left();
+        $('timerClock').textContent = seg ? formatClock(ms) : '';
+        $('timerFill').style.width = seg ? `${Math.min(100, 100 * (1 - ms / (seg.minutes * MINUTE)))}%` : '100%';
+        bar.classList.toggle('ending', !!seg && running() && ms <= MINUTE);
+      }
+
+      function draw() {
+        bar.hidden = !projector || !segments.length;
+        const { index } = timer;
+        const seg = segments[index];
+        const fresh = index === 0 && segments.length && timer.remainingMs === segments[0].minutes * MINUTE;
+        $('timerLabel').textContent = seg
+          ? `${seg.label}${running() || fresh ? '' : ' (paused)'}`
+          : segments.length ? 'Plan complete' : '';
+        $('timerToggle').textContent = running() ? 'Pause' : fresh ? 'Start' : 'Resume';
+        $('timerToggle').disabled = !seg;
+        $('timerSkip').disabled = !seg;
+        $('timerSteps').innerHTML = segments.map((s, i) =>
+          `<li class="${i < index ? 'done' : i === index ? 'current' : ''}">${escapeHtml(s.label)} <span>${s.minutes}m</span></li>`).join('');
+
+        const row = (engine.days.find(d => d.key === dayKey) || {}).row || {};
+        $('timerPrompts').innerHTML = seg
+          ? seg.columns.filter(c => (row[c] || '').trim()).map(c => `
+              <div class="timer-prompt"><h4>${escapeHtml(c)}</h4><div>${renderField(c, row[c], config)}</div></div>`).join('')
+          : '';
+        drawClock();
+      }
+
+      $('timerToggle').addEventListener('click', toggle);
+      $('timerSkip').addEventListener('click', skip);
+      $('timerPlus1').addEventListener('click', () => extend(1));
+      $('timerPlus5').addEventListener('click', () => extend(5));
+      $('timerReset').addEventListener('click', () => { autoStartedFor = ''; reset(); });
+      $('timerBell').addEventListener('change', e => {
+        bell = e.target.value;
+        $('timerBellTime').hidden = bell !== 'custom';
+        autoStartedFor = '';
+        save();
+      });
+      $('timerBellTime').addEventListener('change', () => { autoStartedFor = ''; save(); });
+      $('timerBell').value = Array.from($('timerBell').options).some(o => o.value === bell) ? bell : '';
+      $('timerBellTime').hidden = bell !== 'custom';
+      if (saved.customTime) $('timerBellTime').value = saved.customTime;
+
+      // A running timer keeps its day; otherwise follow the open card
+      engine.on('open', day => { if (!running() && (!day || day.key !== dayKey)) load(day); });
+      engine.on('patch', days => { if (!running() && days.some(d => d.key === dayKey)) load(days.find(d => d.key === dayKey)); });
+      engine.on('projector', on => { projector = on; draw(); });
+
+      setInterval(tick, 500);
+    };
+  }
+
+  function readState(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null') || {}; } catch { return {}; }
+  }
+
+  return {
+    segmentsFor, locate, clockOn, formatClock, timeLeft, startSegment, skipSegment, extendSegment, advance, bellStart, plugin,
+  };
+});
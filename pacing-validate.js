@@ -0,0 +1,242 @@
+/*
+ * Lint a pacing CSV against its course config (see `schema` in pacing-courses.js).
+ *
+ * validate() returns issues with the spreadsheet row number (header row = the row the
+ * sheet shows it on), so a teacher can jump straight to the cell in Google Sheets.
+ * Used by the "Data issues" panel (PacingValidate.panel() plugin) and validate-pacing.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.PacingValidate = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { parseCSV, findHeaderRow, resolveConfig, dayRange, normalizeDayKey, extractUrls, sanitizeUrl, matchesRole, escapeHtml } = PacingEngine;
+
+  function levenshtein(a, b) {
+    a = a.toLowerCase(); b = b.toLowerCase();
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Closest expected header for a typo, or ''
+  function suggestHeader(header, known) {
+    let best = '', bestDist = Infinity;
+    known.forEach(k => {
+      const d = levenshtein(header, k);
+      if (d < bestDist) { best = k; bestDist = d; }
+    });
+    return bestDist <= Math.max(2, Math.floor(best.length / 5)) ? best : '';
+  }
+
+  /**
+   * Where a GitHub file link points: github.com/<owner>/<repo>/(raw|blob)/<ref>/<path> or
+   * raw.githubusercontent.com/<owner>/<repo>/<ref>/<path>. Null for any other URL.
+   * @returns {{ owner: string, repo: string, ref: string, path: string } | null}
+   */
+  function repoLinkOf(url) {
+    try {
+      const u = new URL(url);
+      const m = u.hostname === 'github.com'
+        ? u.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:raw|blob)\/(?:refs\/heads\/)?([^/]+)\/(.+)$/)
+        : u.hostname === 'raw.githubusercontent.com'
+          ? u.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:refs\/heads\/)?([^/]+)\/(.+)$/)
+          : null;
+      return m ? { owner: m[1], repo: m[2], ref: m[3], path: decodeURIComponent(m[4]) } : null;
+    } catch { /* not a URL */ }
+    return null;
+  }
+
+  // A GitHub file link -> the file's path in the repo, or ''
+  function repoFileOf(url) {
+    const link = repoLinkOf(url);
+    return link ? link.path : '';
+  }
+
+  /**
+   * @param {string} text  CSV text
+   * @param {object} courseConfig  entry from pacing-courses.js
+   * @param {{ fileExists?: (name: string) => boolean }} [opts]  lets the Node CLI check repo slide decks
+   * @returns {{ issues: Array<{ level: 'error'|'warning', row: number|null, column: string, message: string }>, rows: number }}
+   */
+  function validate(text, courseConfig, opts = {}) {
+    const config = resolveConfig(courseConfig);
+    const cols = config.columns;
+    const schema = config.schema || {};
+    const issues = [];
+    const add = (level, row, column, message) => issues.push({ level, row, column: column || '', message });
+
+    const records = parseCSV(text);
+    const headerIdx = findHeaderRow(records);
+    if (headerIdx < 0) {
+      add('error', null, '', 'No header row found; the file is empty or only has comments.');
+      return { issues, rows: 0 };
+    }
+
+    const headers = records[headerIdx].map(h => (h || '').replace(/^\uFEFF/, '').trim());
+    const known = schema.headers || [];
+    const required = schema.required || [];
+
+    // ---------- Headers ----------
+    const seen = {};
+    headers.forEach((h, i) => {
+      if (!h) {
+        if (records.slice(headerIdx + 1).some(r => (r[i] || '').trim())) add('warning', headerIdx + 1, '', `Column ${i + 1} has data but no header.`);
+        return;
+      }
+      if (seen[h]) add('error', headerIdx + 1, h, `Duplicate column "${h}"; only the last one is shown.`);
+      seen[h] = true;
+      if (known.length && !known.includes(h)) {
+        const hint = suggestHeader(h, known.filter(k => !headers.includes(k)));
+        add('warning', headerIdx + 1, h, hint ? `Unknown column "${h}". Did you mean "${hint}"?` : `Unknown column "${h}"; it will show as its own section.`);
+      }
+    });
+    if (!headers.includes(cols.day)) {
+      const hint = suggestHeader(cols.day, headers.filter(Boolean));
+      add('error', headerIdx + 1, cols.day, `Missing the "${cols.day}" column${hint ? ` (found "${hint}")` : ''}; no rows can be shown.`);
+      return { issues, rows: 0 };
+    }
+    known.forEach(k => {
+      if (headers.includes(k) || headers.some(h => suggestHeader(h, [k]))) return;
+      add(required.includes(k) ? 'error' : 'warning', headerIdx + 1, k, `Expected column "${k}" is missing.`);
+    });
+
+    // ---------- Rows ----------
+    const minuteCols = headers.filter(h => matchesRole(cols.minutes, h));
+    const linkCols = headers.filter(h => h && (matchesRole(cols.slides, h) || matchesRole(cols.video, h)));
+    const dayIdx = headers.indexOf(cols.day);
+    const firstSeen = {};
+    let count = 0;
+
+    records.slice(headerIdx + 1).forEach((r, i) => {
+      const rowNo = headerIdx + i + 2;
+      if (r.every(c => !(c || '').trim())) return;
+      const row = {};
+      headers.forEach((h, j) => { if (h) row[h] = (r[j] || '').trim(); });
+      const day = (r[dayIdx] || '').trim();
+
+      if (r.length > headers.length && r.slice(headers.length).some(c => (c || '').trim())) {
+        add('warning', rowNo, '', `${r.length - headers.length} cell(s) past the last column are ignored.`);
+      }
+      if (!day) {
+        add('warning', rowNo, cols.day, `Row has content but a blank "${cols.day}", so it is skipped.`);
+        return;
+      }
+      count++;
+
+      const range = dayRange(day, config);
+      if (!range) {
+        add('error', rowNo, cols.day, config.dayFormat === 'week-range'
+          ? `"${day}" is not a week range like "Week 3: Sep 08 – Sep 12".`
+          : `"${day}" is not a date in M/D/YYYY form.`);
+      } else {
+        if (config.dayFormat === 'date' && (range.start.getDay() === 0 || range.start.getDay() === 6)) {
+          add('warning', rowNo, cols.day, `${day} is a weekend.`);
+        }
+        if (range.end < range.start) add('error', rowNo, cols.day, `"${day}" ends before it starts.`);
+      }
+      const dupKey = normalizeDayKey(day) || day;
+      if (firstSeen[dupKey]) add('error', rowNo, cols.day, `Duplicate day "${day}" (also on row ${firstSeen[dupKey]}); only one card is reachable.`);
+      else firstSeen[dupKey] = rowNo;
+
+      required.forEach(h => {
+        if (h in row && !row[h]) add('warning', rowNo, h, `"${h}" is empty.`);
+      });
+
+      linkCols.forEach(h => {
+        const value = row[h];
+        if (!value) return;
+        const urls = extractUrls(value);
+        if (!urls.length) {
+          add('warning', rowNo, h, `"${h}" has text but no http(s) link.`);
+          return;
+        }
+        urls.forEach(u => {
+          if (!sanitizeUrl(u)) { add('error', rowNo, h, `Broken link "${u}".`); return; }
+          const file = repoFileOf(u);
+          if (file && opts.fileExists && !opts.fileExists(file)) add('error', rowNo, h, `Link points to "${file}", which is not in the repository.`);
+        });
+      });
+
+      if (minuteCols.length) {
+        let total = 0;
+        minuteCols.forEach(h => {
+          const v = row[h];
+          if (!v) return;
+          const n = Number(v);
+          if (!Number.isFinite(n) || n < 0) add('error', rowNo, h, `"${v}" is not a number of minutes.`);
+          else total += n;
+        });
+        if (total !== config.minutesGoal) {
+          add('warning', rowNo, '', `Minutes add up to ${total}, expected ${config.minutesGoal}.`);
+        }
+      }
+    });
+
+    if (!count) add('error', null, cols.day, 'No rows with a day value.');
+    issues.sort((a, b) => (a.row || 0) - (b.row || 0) || (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+    return { issues, rows: count };
+  }
+
+  function counts(issues) {
+    return {
+      errors: issues.filter(i => i.level === 'error').length,
+      warnings: issues.filter(i => i.level === 'warning').length,
+    };
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /**
+   * Pacing-engine plugin: a "Data issues (N)" toolbar button that opens a panel listing
+   * the validator's findings for the data just loaded.
+   */
+  function panel() {
+    return engine => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn issues-btn';
+      btn.hidden = true;
+      btn.setAttribute('aria-expanded', 'false');
+      engine.el.toolbar.appendChild(btn);
+
+      const box = document.createElement('section');
+      box.className = 'issues-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'Data issues');
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+
+      btn.addEventListener('click', () => {
+        box.hidden = !box.hidden;
+        btn.setAttribute('aria-expanded', String(!box.hidden));
+      });
+
+      engine.on('load', ({ text, source }) => {
+        if (!text) return; // cached data was already checked when it was fetched
+        const { issues } = validate(text, engine.config);
+        const { errors, warnings } = counts(issues);
+        btn.hidden = !issues.length;
+        btn.classList.toggle('has-errors', errors > 0);
+        btn.textContent = `Data issues (${issues.length})`;
+        box.innerHTML = `
+          <h3>${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'} in ${escapeHtml(source)}</h3>
+          <ul>${issues.map(i => `
+            <li class="issue ${i.level}">
+              <span class="issue-where">${i.row ? `Row ${i.row}` : 'File'}${i.column ? ` · ${escapeHtml(i.column)}` : ''}</span>
+              ${escapeHtml(i.message)}
+            </li>`).join('')}
+          </ul>`;
+        if (!issues.length) box.hidden = true;
+      });
+    };
+  }
+
+  return { validate, counts, suggestHeader, repoLinkOf, repoFileOf, panel };
+});
@@ -0,0 +1,49 @@
+/*
+ * Shared shell for the print views (pacing-print.js, school-print.js): a light-theme
+ * document with a "Print / Save as PDF" bar that hides itself on paper, opened in its
+ * own tab so the page's nav and toolbars never reach the printer.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./safe-html'));
+  else root.PrintView = factory(root.SafeHtml);
+})(typeof self !== 'undefined' ? self : this, function (SafeHtml) {
+  'use strict';
+
+  const { escapeHtml } = SafeHtml;
+
+  const PRINT_BAR_CSS = `
+    .print-bar { display: flex; gap: 10px; align-items: center; margin: 0 0 14px; padding: 8px 10px; background: #eef2f7; border-radius: 6px; }
+    .print-bar button { font: inherit; padding: 6px 12px; cursor: pointer; }
+    @media print { body { padding: 0; } .print-bar { display: none; } }`;
+
+  /**
+   * A whole print document. `css` is the view's own styles; `note` (plain text) goes in
+   * the print bar before the "Save as PDF" hint; `body` is trusted HTML.
+   * @param {{ title: string, css: string, body: string, note?: string }} parts
+   */
+  function printDocument({ title, css, body, note = '' }) {
+    const hint = [note, 'Pick "Save as PDF" as the printer for a PDF copy.'].filter(Boolean).join(' ');
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${css}${PRINT_BAR_CSS}</style></head>
+<body>
+<div class="print-bar"><button type="button" onclick="print()">Print / Save as PDF</button><span>${escapeHtml(hint)}</span></div>
+${body}
+</body></html>`;
+  }
+
+  /** Open a generated document in a new tab; the reader prints it from there. */
+  function openView(html) {
+    const w = window.open('', '_blank');
+    if (!w) {
+      alert('Allow pop-ups for this page to open the print view.');
+      return null;
+    }
+    w.document.open();
+    w.document.write(html);
+    w.document.close();
+    w.focus();
+    return w;
+  }
+
+  return { PRINT_BAR_CSS, printDocument, openView };
+});
@@ -0,0 +1,125 @@
+/*
+ * Escaping and sanitizing for every page that builds markup from sheet or sign-up text.
+ *
+ * Anyone who can edit a shared Sheet or type a sign-up name controls that text, so it is
+ * never trusted as HTML:
+ *   escapeHtml(s)    plain text for element content and quoted attributes
+ *   sanitizeUrl(u)   http/https URLs only, for href and src
+ *   sanitizeHtml(s)  sheet text that may carry light formatting (A+ Agenda uses <b>).
+ *                    Only the inline tags in INLINE survive, without attributes, except
+ *                    <a href> through sanitizeUrl(). Any other tag is shown as text.
+ *                    Tags are re-balanced and entities are kept.
+ *   stripTags(s)     the text of a cell, without tags, for search and exports
+ *
+ * Loaded before pacing-engine.js, which re-exports escapeHtml and sanitizeUrl.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SafeHtml = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const INLINE = ['b', 'strong', 'i', 'em', 'u', 's', 'mark', 'small', 'sub', 'sup', 'code', 'br', 'a'];
+  const VOID = ['br'];
+
+  // One tag with optional attributes; anything else starting with "<" is text
+  const TAG = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+  const ATTR = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const ENTITY = /&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/iy;
+  const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  function escapeHtml(s) {
+    return String(s ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Allow only http/https links
+  function sanitizeUrl(url) {
+    try {
+      const u = new URL(url);
+      if (u.protocol === 'http:' || u.protocol === 'https:') return u.toString();
+      return null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Enough entity decoding to judge an href the way a browser would read it
+  function decodeEntities(s) {
+    return String(s).replace(/&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z]+);/gi, (m, e) => {
+      if (e[0] !== '#') return NAMED[e.toLowerCase()] ?? m;
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    });
+  }
+
+  function hrefOf(attrs) {
+    ATTR.lastIndex = 0;
+    let m;
+    while ((m = ATTR.exec(attrs))) {
+      if (m[1].toLowerCase() === 'href') return decodeEntities(m[2] ?? m[3] ?? m[4] ?? '').trim();
+    }
+    return '';
+  }
+
+  /**
+   * Sheet text as HTML that keeps allow-listed inline formatting and nothing else.
+   * @param {string} input
+   * @param {{ tags?: string[] }} [opts]  tags to keep (default INLINE); [] escapes everything
+   * @returns {string}
+   */
+  function sanitizeHtml(input, opts = {}) {
+    const allowed = new Set(opts.tags || INLINE);
+    const s = String(input ?? '');
+    const open = [];
+    let out = '';
+    let i = 0;
+    while (i < s.length) {
+      const ch = s[i];
+      if (ch === '<') {
+        TAG.lastIndex = i;
+        const m = TAG.exec(s);
+        if (!m) { out += '&lt;'; i++; continue; }
+        i = TAG.lastIndex;
+        const name = m[2].toLowerCase();
+        if (!allowed.has(name)) { out += escapeHtml(m[0]); continue; }
+        if (m[1]) {
+          // Close back to the matching open tag; a stray closer is dropped
+          const at = open.lastIndexOf(name);
+          if (at >= 0) while (open.length > at) out += `</${open.pop()}>`;
+        } else if (VOID.includes(name)) {
+          out += `<${name}>`;
+        } else if (name === 'a') {
+          const href = sanitizeUrl(hrefOf(m[3]));
+          if (!href || open.includes('a')) continue;
+          open.push('a');
+          out += `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">`;
+        } else {
+          open.push(name);
+          out += `<${name}>`;
+        }
+        continue;
+      }
+      if (ch === '&') {
+        ENTITY.lastIndex = i;
+        const m = ENTITY.exec(s);
+        if (m) { out += m[0]; i += m[0].length; continue; }
+      }
+      out += escapeHtml(ch);
+      i++;
+    }
+    while (open.length) out += `</${open.pop()}>`;
+    return out;
+  }
+
+  /** The text of `html`: tags removed, entities decoded. */
+  function stripTags(html) {
+    return decodeEntities(String(html ?? '').replace(/<\/?[a-zA-Z][^<>]*>/g, ''));
+  }
+
+  return { INLINE, escapeHtml, sanitizeUrl, sanitizeHtml, stripTags };
+});
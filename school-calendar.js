@@ -0,0 +1,222 @@
+/*
+ * No-School calendar CSV parsing and weekday math.
+ *
+ * Shared by No_School_Viewer.html (as window.SchoolCalendar), noschoolcalendar.jsx and
+ * the Node tests in tests/. Dates are 'YYYY-MM-DD' strings throughout; the viewers wrap
+ * them in dayjs only for display, so everything here runs without a browser or CDN.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'), require('./school-events'));
+  else root.SchoolCalendar = factory(root.PacingEngine, root.SchoolEvents);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine, SchoolEvents) {
+  'use strict';
+
+  const { parseCSV, findHeaderRow, findHeader, findOptionalHeader } = PacingEngine;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const MONTH_ABBR = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const WEEKDAY_ABBR = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+  // Excel serial days accepted as dates (20000 is 1954-10-03, 80000 is 2119-01-11)
+  const SERIAL_MIN = 20000;
+  const SERIAL_MAX = 80000;
+
+  // ===================== DATES =====================
+
+  function utcToIso(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  function isoToUtc(iso) {
+    const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : NaN;
+  }
+
+  // Y/M/D -> ISO, or '' when the parts are not a real date (e.g. 2/30)
+  function isoOf(y, m, d) {
+    const t = Date.UTC(y, m - 1, d);
+    const back = new Date(t);
+    if (back.getUTCFullYear() !== y || back.getUTCMonth() !== m - 1 || back.getUTCDate() !== d) return '';
+    return utcToIso(t);
+  }
+
+  /**
+   * Read a date cell the way districts type them: 2025-09-02, 9/2/2025, 09/02/25,
+   * "Sep 2, 2025", "Tue, September 2 2025", or an Excel serial day number (45902).
+   * @returns {string} 'YYYY-MM-DD', or '' when the cell is not a date
+   */
+  function parseDateFlexible(value) {
+    const s = String(value == null ? '' : value).trim();
+    if (!s) return '';
+    let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s].*)?$/);
+    if (m) return isoOf(+m[1], +m[2], +m[3]);
+    m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (m) return isoOf(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[1], +m[2]);
+    m = s.match(/^(?:[a-z]+,?\s+)?([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+    if (m && MONTHS.includes(m[1].toLowerCase())) return isoOf(+m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2]);
+    // Only plausible serials, so a bare year ("2025") or a count is not a date
+    if (/^\d{5}$/.test(s) && +s >= SERIAL_MIN && +s <= SERIAL_MAX) return utcToIso(EXCEL_EPOCH + parseInt(s, 10) * DAY_MS);
+    return '';
+  }
+
+  // 'YYYY-MM-DD' -> 'Dec 22'
+  function shortDate(iso) {
+    const t = isoToUtc(iso);
+    if (Number.isNaN(t)) return '';
+    const d = new Date(t);
+    return `${MONTH_ABBR[d.getUTCMonth()]} ${d.getUTCDate()}`;
+  }
+
+  // 'YYYY-MM-DD' -> 'Fri 10/10'
+  function dayLabel(iso) {
+    const t = isoToUtc(iso);
+    if (Number.isNaN(t)) return String(iso || '');
+    const d = new Date(t);
+    return `${WEEKDAY_ABBR[d.getUTCDay()]} ${d.getUTCMonth() + 1}/${d.getUTCDate()}`;
+  }
+
+  /** First day of the week holding `iso`; weekStart 'monday' (schools) or 'sunday'. */
+  function weekStartOf(iso, weekStart = 'monday') {
+    const t = isoToUtc(iso);
+    const target = weekStart === 'sunday' ? 0 : 1;
+    const offset = (new Date(t).getUTCDay() - target + 7) % 7;
+    return utcToIso(t - offset * DAY_MS);
+  }
+
+  /**
+   * Monday of the Mon–Fri week the viewers show for `iso`. With a Sunday week start a
+   * Sunday already belongs to the coming week; with Monday it closes the week before.
+   */
+  function schoolWeekOf(iso, weekStart = 'monday') {
+    const start = weekStartOf(iso, weekStart);
+    return weekStart === 'sunday' ? utcToIso(isoToUtc(start) + DAY_MS) : start;
+  }
+
+  /** The Monday after `iso` (a week later when `iso` is itself a Monday). */
+  function nextMonday(iso) {
+    const t = isoToUtc(iso);
+    const delta = (8 - new Date(t).getUTCDay()) % 7 || 7;
+    return utcToIso(t + delta * DAY_MS);
+  }
+
+  /** Mon..Fri of the week starting on Monday `mondayIso`. */
+  function weekdaysOf(mondayIso) {
+    const t = isoToUtc(mondayIso);
+    return [0, 1, 2, 3, 4].map(i => utcToIso(t + i * DAY_MS));
+  }
+
+  /** Every Mon–Fri date from `from` to `to`, inclusive. */
+  function weekdaysBetween(from, to) {
+    const out = [];
+    const end = isoToUtc(to);
+    for (let t = isoToUtc(from); t <= end; t += DAY_MS) {
+      const wd = new Date(t).getUTCDay();
+      if (wd >= 1 && wd <= 5) out.push(utcToIso(t));
+    }
+    return out;
+  }
+
+  // ===================== CSV =====================
+
+  const HEADERS = {
+    end: ['End Date', 'End', 'Through', 'Until', 'To Date'],
+    repeat: ['Repeat', 'Repeats', 'Recurrence', 'Recurring'],
+    date: [['Date', 'Start Date', 'Start', 'Event Date', 'Date (YYYY-MM-DD)'], ['date', 'start']],
+    event: [['Event', 'Type', 'Event (No School / Half Day / Holiday / Teacher PD)', 'Event (No School / Half Day / Holiday / PD)',
+      'Event Type', 'Event Name', 'Category', 'Title'], ['event', 'type', 'category', 'title']],
+    school: [['School Name', 'School', 'District', 'Building', 'School District'], ['school', 'district', 'building']],
+    notes: [['Notes', 'Description', 'Reason', 'Details'], ['note', 'desc', 'reason', 'detail', 'description']],
+  };
+
+  /** The columns a calendar sheet can map, in the order the settings panel lists them. */
+  const CALENDAR_FIELDS = [
+    { key: 'date', label: 'Date (or start date)' },
+    { key: 'end', label: 'End date', optional: true },
+    { key: 'repeat', label: 'Repeat rule', optional: true },
+    { key: 'event', label: 'Event' },
+    { key: 'school', label: 'School' },
+    { key: 'notes', label: 'Notes', optional: true },
+  ];
+
+  /**
+   * Header name for each calendar field ('' when an optional one is missing). Entries in
+   * `overrides` that name a real header win; the rest are guessed, with the End and Repeat
+   * columns set aside first so "End Date" is never taken for the date.
+   */
+  function calendarColumns(headers, overrides = {}) {
+    const given = k => (overrides[k] && headers.includes(overrides[k]) ? overrides[k] : '');
+    const end = given('end') || findOptionalHeader(headers, HEADERS.end);
+    const repeat = given('repeat') || findOptionalHeader(headers, HEADERS.repeat);
+    const rest = headers.filter(h => h && h !== end && h !== repeat);
+    const cols = { end, repeat };
+    ['date', 'event', 'school', 'notes'].forEach(k => { cols[k] = given(k) || findHeader(rest, HEADERS[k][0], HEADERS[k][1]); });
+    // A notes guess that fell back onto another column means there is no notes column
+    if (!given('notes') && [cols.date, cols.event, cols.school].includes(cols.notes)) cols.notes = '';
+    return cols;
+  }
+
+  /**
+   * Parse a No-School calendar CSV (School_Calendar_Master.csv or a district's own export)
+   * into one row per day, sorted by date. Comment/BOM lines before the header are skipped;
+   * Start/End ranges and weekly rules (a Repeat column, or "Every Wednesday ..." in the
+   * Event) expand through SchoolEvents.expandOccurrences. `opts.columns` maps fields to
+   * headers when the guesses are wrong (see calendarColumns).
+   * @returns {Array<{ iso: string, event: string, school: string, notes: string, category: string, label: string,
+   *   detail: string, isOff: boolean, isHalf: boolean, span: object|null, recurring: boolean }>}
+   */
+  function parseCalendarCsv(text, opts = {}) {
+    const records = parseCSV(text);
+    const headerIdx = findHeaderRow(records);
+    if (headerIdx < 0) return [];
+    const headers = records[headerIdx].map(h => (h || '').replace(/^\uFEFF/, '').trim());
+    const names = calendarColumns(headers, opts.columns);
+    const col = {};
+    Object.keys(names).forEach(k => { col[k] = names[k] ? headers.indexOf(names[k]) : -1; });
+    const cell = (r, i) => (i >= 0 ? (r[i] || '') : '').trim();
+
+    const out = [];
+    records.slice(headerIdx + 1).forEach(r => {
+      const start = parseDateFlexible(cell(r, col.date));
+      const event = cell(r, col.event);
+      const school = cell(r, col.school);
+      const notes = cell(r, col.notes);
+      if (!start || !event || !school) return;
+      const repeatText = cell(r, col.repeat) || (SchoolEvents.hasInlineRule(event) ? event : '');
+      const rule = SchoolEvents.parseRecurrence(repeatText);
+      const kind = SchoolEvents.normalizeEvent(event);
+      SchoolEvents.expandOccurrences({ start, end: parseDateFlexible(cell(r, col.end)), repeat: rule }).forEach(occ => {
+        let detail = kind.detail;
+        if (occ.recurring) {
+          detail = repeatText === event
+            ? SchoolEvents.describeRecurrence(rule)
+            : [kind.detail, SchoolEvents.describeRecurrence(rule)].filter(Boolean).join(' · ');
+        }
+        if (occ.span) detail = [kind.detail, `${shortDate(occ.span.start)} – ${shortDate(occ.span.end)}`].filter(Boolean).join(' · ');
+        out.push({
+          iso: occ.iso, event, school, notes,
+          category: kind.category, label: kind.label, detail, isOff: kind.isOff, isHalf: kind.isHalf,
+          span: occ.span, recurring: occ.recurring,
+        });
+      });
+    });
+    return out.sort((a, b) => (a.iso < b.iso ? -1 : a.iso > b.iso ? 1 : 0));
+  }
+
+  /**
+   * Rows keyed by 'YYYY-MM-DD'. Within a day, ranges come first, oldest first, so one range
+   * sits on the same line in every cell it spans.
+   * @returns {Object<string, object[]>}
+   */
+  function groupByDate(rows) {
+    const map = {};
+    rows.forEach(r => { (map[r.iso] || (map[r.iso] = [])).push(r); });
+    const spanOrder = r => (r.span ? `0${r.span.start}${r.school}${r.event}` : '1');
+    Object.keys(map).forEach(k => map[k].sort((a, b) => (spanOrder(a) < spanOrder(b) ? -1 : spanOrder(a) > spanOrder(b) ? 1 : 0)));
+    return map;
+  }
+
+  return {
+    parseDateFlexible, shortDate, dayLabel, weekStartOf, schoolWeekOf, nextMonday, weekdaysOf, weekdaysBetween,
+    findHeader, findOptionalHeader, CALENDAR_FIELDS, calendarColumns, parseCalendarCsv, groupByDate,
+  };
+});
@@ -0,0 +1,187 @@
+/*
+ * "What changed" tracking for the No-School calendar feed.
+ *
+ * The viewers re-fetch the sheet on a timer. Each load is compared with the snapshot kept
+ * from the previous one (per data source), so a snow day added or a PD day moved shows up
+ * as a change instead of silently replacing the calendar. The snapshot, the change log and
+ * the watched schools live in storage (localStorage in the browser; anything with getItem
+ * and setItem in the tests).
+ *
+ * Used by No_School_Viewer.html (window.SchoolChanges) and noschoolcalendar.jsx.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./school-events'), require('./school-calendar'));
+  else root.SchoolChanges = factory(root.SchoolEvents, root.SchoolCalendar);
+})(typeof self !== 'undefined' ? self : this, function (SchoolEvents, SchoolCalendar) {
+  'use strict';
+
+  const { isRollup } = SchoolEvents;
+  const { dayLabel } = SchoolCalendar;
+  const KEY = 'school-changes:v1';
+  const HISTORY_MAX = 50;
+  const SOON_DAYS = 14;
+
+  // ===================== DIFF =====================
+
+  /** The fields a change is judged on, one entry per event day. */
+  function snapshotOf(rows) {
+    return rows.map(r => ({ iso: r.iso, school: r.school, event: r.event, notes: r.notes || '' }));
+  }
+
+  const byDate = (a, b) => (a.iso < b.iso ? -1 : a.iso > b.iso ? 1 : a.school.localeCompare(b.school));
+
+  function push(map, key, value) {
+    const list = map.get(key);
+    if (list) list.push(value);
+    else map.set(key, [value]);
+  }
+
+  function entry(type, r, extra) {
+    return Object.assign({ type, iso: r.iso, school: r.school, event: r.event, notes: r.notes }, extra);
+  }
+
+  /**
+   * Row-level changes between two snapshots, in date order. Days of the same school and
+   * event that disappear from one date and appear on another are paired up as moves.
+   * @returns {Array<{ type: 'added'|'removed'|'moved'|'changed', iso: string, from?: string,
+   *   school: string, event: string, notes: string, oldNotes?: string }>}
+   */
+  function diffCalendars(before, after) {
+    const day = r => `${r.iso}\u0001${r.school}\u0001${r.event}`;
+    const left = new Map();
+    before.forEach(r => push(left, day(r), r));
+
+    const out = [];
+    const added = [];
+    after.forEach(r => {
+      const list = left.get(day(r));
+      if (!list || !list.length) { added.push(r); return; }
+      const same = list.findIndex(b => b.notes === r.notes);
+      const [was] = list.splice(same < 0 ? 0 : same, 1);
+      if (was.notes !== r.notes) out.push(entry('changed', r, { oldNotes: was.notes }));
+    });
+
+    const event = r => `${r.school}\u0001${r.event}`.toLowerCase();
+    const gone = new Map();
+    Array.from(left.values()).flat().sort(byDate).forEach(r => push(gone, event(r), r));
+    added.sort(byDate).forEach(r => {
+      const list = gone.get(event(r));
+      if (list && list.length) out.push(entry('moved', r, { from: list.shift().iso }));
+      else out.push(entry('added', r));
+    });
+    gone.forEach(list => list.forEach(r => out.push(entry('removed', r))));
+    return out.sort(byDate);
+  }
+
+  // ===================== WORDING =====================
+
+  /** One line for a change, without the school. */
+  function describe(e) {
+    switch (e.type) {
+      case 'added': return `Added: ${e.event} on ${dayLabel(e.iso)}`;
+      case 'removed': return `Removed: ${e.event} on ${dayLabel(e.iso)}`;
+      case 'moved': return `Moved: ${e.event} from ${dayLabel(e.from)} to ${dayLabel(e.iso)}`;
+      default: return `Updated: ${e.event} on ${dayLabel(e.iso)}${e.notes ? ` (${e.notes})` : ' (notes removed)'}`;
+    }
+  }
+
+  /** Changes grouped by school, schools in name order with "All Schools" first. */
+  function bySchool(entries) {
+    const map = new Map();
+    entries.forEach(e => push(map, e.school, e));
+    return Array.from(map, ([school, list]) => ({ school, entries: list }))
+      .sort((a, b) => (isRollup(b.school) - isRollup(a.school)) || a.school.localeCompare(b.school));
+  }
+
+  /** "2 added, 1 moved" */
+  function countsLabel(entries) {
+    const counts = { added: 0, removed: 0, moved: 0, changed: 0 };
+    entries.forEach(e => { counts[e.type]++; });
+    const words = { added: 'added', removed: 'removed', moved: 'moved', changed: 'updated' };
+    return Object.keys(counts).filter(k => counts[k]).map(k => `${counts[k]} ${words[k]}`).join(', ');
+  }
+
+  // ===================== WATCHED SCHOOLS =====================
+
+  /** Does a change affect `school`? "All Schools" rows affect every school. */
+  function touches(e, school) {
+    return e.school === school || isRollup(e.school);
+  }
+
+  /**
+   * The changes worth a notification: a watched school, on or moved off a day between
+   * today and `days` days out.
+   */
+  function alertsFor(entries, watched, todayIso, days = SOON_DAYS) {
+    if (!watched.length) return [];
+    const [y, m, d] = todayIso.split('-').map(Number);
+    const until = new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+    const soon = iso => iso && iso >= todayIso && iso <= until;
+    return entries.filter(e => watched.some(s => touches(e, s)) && (soon(e.iso) || soon(e.from)));
+  }
+
+  // ===================== STORAGE =====================
+
+  function read(store, key, fallback) {
+    try {
+      const v = JSON.parse(store.getItem(key) || 'null');
+      return v == null ? fallback : v;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function write(store, key, value) {
+    try { store.setItem(key, JSON.stringify(value)); } catch (e) { console.warn('Could not save calendar changes:', e); }
+  }
+
+  /**
+   * Compare a fresh load with the last snapshot for `source`, save the new snapshot, and log
+   * the changes. The first load of a source only saves the snapshot.
+   * @returns {{ at: number, source: string, entries: object[] } | null}  null when nothing changed
+   */
+  function record(store, source, rows, now = Date.now()) {
+    const snapKey = `${KEY}:snapshot:${source}`;
+    const prev = read(store, snapKey, null);
+    const next = snapshotOf(rows);
+    write(store, snapKey, next);
+    if (!prev) return null;
+    const entries = diffCalendars(prev, next);
+    if (!entries.length) return null;
+    const change = { at: now, source, entries };
+    write(store, `${KEY}:history`, [change].concat(history(store)).slice(0, HISTORY_MAX));
+    return change;
+  }
+
+  /** Logged changes, newest first. */
+  function history(store) {
+    return read(store, `${KEY}:history`, []);
+  }
+
+  /** Changes logged since the banner was last dismissed, newest first. */
+  function unseen(store) {
+    const seen = read(store, `${KEY}:seen`, 0);
+    return history(store).filter(c => c.at > seen);
+  }
+
+  function dismiss(store, now = Date.now()) {
+    write(store, `${KEY}:seen`, now);
+  }
+
+  function watched(store) {
+    return read(store, `${KEY}:watch`, []);
+  }
+
+  /** Add or remove a school from the watch list; returns the new list. */
+  function toggleWatch(store, school) {
+    const list = watched(store);
+    const next = list.includes(school) ? list.filter(s => s !== school) : list.concat(school).sort();
+    write(store, `${KEY}:watch`, next);
+    return next;
+  }
+
+  return {
+    SOON_DAYS, snapshotOf, diffCalendars, describe, bySchool, countsLabel, touches, alertsFor,
+    record, history, unseen, dismiss, watched, toggleWatch,
+  };
+});
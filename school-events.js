@@ -0,0 +1,273 @@
+/*
+ * Event-type normalization for School_Calendar_Master.csv.
+ *
+ * Districts type the Event column freehand ("Half Day (End of 1st Marking Period)",
+ * "Early Release", "Seniors No School", ...). normalizeEvent() maps that text to one
+ * canonical category and keeps the leftover qualifier as a detail line, so the
+ * viewers can color, filter and count by category.
+ *
+ * expandOccurrences() turns a Start/End range or a weekly rule ("every Wednesday early
+ * release Sep–Jun") into per-day rows, so breaks need one line in the sheet, not one per day.
+ *
+ * Used by No_School_Viewer.html (as window.SchoolEvents) and noschoolcalendar.jsx.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SchoolEvents = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Display order is the order of the filter dropdown and the legend
+  const CATEGORIES = [
+    { id: 'no-school', label: 'No School', badge: 'red', tw: 'bg-red-100 text-red-800 border-red-200' },
+    { id: 'half-day', label: 'Half Day / Early Release', badge: 'yellow', tw: 'bg-yellow-100 text-yellow-800 border-yellow-200' },
+    { id: 'delayed-start', label: 'Delayed Start', badge: 'orange', tw: 'bg-orange-100 text-orange-800 border-orange-200' },
+    { id: 'first-last', label: 'First / Last Day', badge: 'blue', tw: 'bg-sky-100 text-sky-800 border-sky-200' },
+    { id: 'holiday', label: 'Holiday', badge: 'green', tw: 'bg-emerald-100 text-emerald-800 border-emerald-200' },
+    { id: 'pd', label: 'Teacher PD', badge: 'indigo', tw: 'bg-indigo-100 text-indigo-800 border-indigo-200' },
+    { id: 'partial', label: 'Partial Audience', badge: 'purple', tw: 'bg-purple-100 text-purple-800 border-purple-200' },
+    { id: 'other', label: 'Other', badge: '', tw: 'bg-slate-100 text-slate-800 border-slate-200' },
+  ];
+  const BY_ID = Object.fromEntries(CATEGORIES.map(c => [c.id, c]));
+
+  const AUDIENCE = /\b(seniors?|juniors?|sophomores?|freshm[ae]n|(?:high|middle|elementary) school|hs|ms|elementary|k-?\d+|grades? [\dk][\d\s\-–,&k]*|students? only|staff only)\b/i;
+  const OFF = /\bno (school|students|classes)\b|\bclosed\b|\bbreak\b|\bvacation\b/i;
+  const HALF = /\bhalf[\s-]?day\b|\bearly (release|dismissal)\b|\breduced day\b|\bshortened day\b|\bminimum day\b|\bdismiss\b/i;
+  const DELAYED = /\b(delayed|late) (start|arrival)\b|\bdelay\b/i;
+  const FIRST_LAST = /\b(first|last)\b[^()]*\bday\b/i;
+  const HOLIDAY = /\bholiday\b|\blabor day\b|\bmemorial day\b|\bthanksgiving\b|\bchristmas\b|\bnew year|\bmlk\b|\bmartin luther king\b|\bpresidents'? day\b|\bveterans day\b|\bgood friday\b|\bindependence day\b/i;
+  const PD = /\bpd\b|\bprofessional (development|learning)\b|\bin-?service\b|\bteacher (work|records?|planning) day\b|\bteacher pd\b|\bstaff development\b/i;
+
+  function cleanText(raw) {
+    return String(raw || '')
+      .replace(/\u0096/g, '–')   // stray Windows-1252 en dash from Excel exports
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // "Half Day (End of Semester)" -> "End of Semester"; "Half Day - Last Day" -> "Last Day"
+  function qualifierOf(text) {
+    const paren = text.match(/\(([^)]*)\)/);
+    if (paren) return paren[1].trim();
+    const dash = text.match(/\s[-–—]\s(.+)$/);
+    return dash ? dash[1].trim() : '';
+  }
+
+  function categorize(text) {
+    if (AUDIENCE.test(text) && OFF.test(text) && !/\ball students\b/i.test(text)) return 'partial';
+    if (FIRST_LAST.test(text)) return 'first-last';
+    if (DELAYED.test(text)) return 'delayed-start';
+    if (HALF.test(text)) return 'half-day';
+    if (HOLIDAY.test(text)) return 'holiday';
+    if (PD.test(text)) return 'pd';
+    if (OFF.test(text)) return 'no-school';
+    return 'other';
+  }
+
+  /**
+   * Normalize a raw Event cell.
+   * @returns {{ category: string, label: string, detail: string, raw: string, isOff: boolean, isHalf: boolean, badge: string, tw: string }}
+   *   `isOff` is true when the whole school is out; `isHalf` when students attend a shortened day.
+   */
+  function normalizeEvent(raw) {
+    const text = cleanText(raw);
+    const id = categorize(text);
+    const cat = BY_ID[id];
+    const qualifier = qualifierOf(text);
+
+    // Keep whatever the category label does not already say as the subtitle
+    const plain = cat.label.toLowerCase().split(' / ').concat(cat.label.toLowerCase());
+    let detail = qualifier;
+    if (!detail && !plain.includes(text.toLowerCase())) detail = text;
+    if (id === 'first-last') detail = text;
+
+    const isHalf = id === 'half-day' || (id === 'first-last' && HALF.test(text));
+    const isOff = id === 'no-school' || id === 'holiday' || id === 'pd';
+    return { category: id, label: cat.label, detail, raw: text, isOff, isHalf, badge: cat.badge, tw: cat.tw };
+  }
+
+  function categoryLabel(id) {
+    return (BY_ID[id] || BY_ID.other).label;
+  }
+
+  // Day status for one school, strongest first
+  const STATUSES = [
+    { id: 'off', label: 'Off', badge: 'red' },
+    { id: 'half', label: 'Half day', badge: 'yellow' },
+    { id: 'delayed', label: 'Delayed start', badge: 'orange' },
+    { id: 'partial', label: 'Partial', badge: 'purple' },
+    { id: 'other', label: 'Event', badge: 'blue' },
+  ];
+
+  function isRollup(school) {
+    return /\ball schools\b/i.test(String(school || ''));
+  }
+
+  function hashHue(str) {
+    let h = 0;
+    for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) % 360;
+    return h;
+  }
+
+  /**
+   * One pastel color set per school name, the same on every page and embed; "All Schools"
+   * roll-ups are blue. Plain CSS color values, so they work inside a shadow root too.
+   * @returns {{ bg: string, border: string, text: string }}
+   */
+  function schoolColors(name) {
+    if (/\ball school/i.test(String(name || ''))) return { bg: '#eff6ff', border: '#93c5fd', text: '#1e40af' };
+    const h = hashHue(String(name || ''));
+    return { bg: `hsl(${h}, 95%, 90%)`, border: `hsl(${h}, 70%, 75%)`, text: `hsl(${h}, 45%, 25%)` };
+  }
+
+  /**
+   * Collapse one school's normalized events on a day into a single status id
+   * ('off' | 'half' | 'delayed' | 'partial' | 'other'), or '' when it is a normal day.
+   */
+  function statusOf(events) {
+    if (!events || !events.length) return '';
+    if (events.some(e => e.isOff)) return 'off';
+    if (events.some(e => e.isHalf)) return 'half';
+    if (events.some(e => e.category === 'delayed-start')) return 'delayed';
+    if (events.some(e => e.category === 'partial')) return 'partial';
+    return 'other';
+  }
+
+  /**
+   * Who is out on one day. `rows` are that day's normalized rows ({ school, isOff, isHalf, category });
+   * rows for an "All Schools" roll-up apply to every school in `schools`.
+   * @returns {{ total: number, bySchool: Object<string,string>, off: string[], half: string[], delayed: string[], partial: string[], other: string[], open: string[] }}
+   */
+  function summarizeDay(rows, schools) {
+    const rollup = rows.filter(r => isRollup(r.school));
+    const out = { total: schools.length, bySchool: {}, off: [], half: [], delayed: [], partial: [], other: [], open: [] };
+    schools.forEach(school => {
+      const status = statusOf(rows.filter(r => r.school === school).concat(rollup));
+      out.bySchool[school] = status;
+      out[status || 'open'].push(school);
+    });
+    return out;
+  }
+
+  // ===================== RANGES & RECURRENCE =====================
+  // Works on 'YYYY-MM-DD' strings so the browser viewers (dayjs) and the Node scripts share it.
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_SPAN_DAYS = 400; // a typo'd end year must not expand into thousands of rows
+  const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const WEEKDAY_RE = /\b(?:(sun)(?:day)?|(mon)(?:day)?|(tue)(?:s|sday)?|(wed)(?:nesday)?|(thu)(?:r|rs|rsday)?|(fri)(?:day)?|(sat)(?:urday)?)s?\b/g;
+  const MONTH_RE = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*(?:-|–|—|to|through|thru)\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/;
+  const UNTIL_RE = /\b(?:through|thru|until|till)\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/;
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  // Recurrence written into the Event cell itself ("Every Wednesday Early Release Sep–Jun")
+  const INLINE_RULE = /\b(every|each)\s+(other\s+)?(sun|mon|tue|wed|thu|fri|sat|week\s?day|day)|\bweekly on\b/i;
+
+  function isoToUtc(iso) {
+    const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : NaN;
+  }
+
+  function utcToIso(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse a simple recurrence rule: "every Wednesday", "Mon & Wed", "weekly on Fri",
+   * "every other Friday", "weekdays", "daily", optionally bounded by months ("Sep–Jun",
+   * "through May").
+   * @returns {{ days: number[], interval: number, months: { from: number|null, to: number } | null } | null}
+   *   `days` are 0 (Sun) … 6 (Sat); `months` are 0-based. null when no weekday is named.
+   */
+  function parseRecurrence(text) {
+    const s = cleanText(text).toLowerCase();
+    if (!s) return null;
+    const monthMatch = s.match(MONTH_RE) || s.match(UNTIL_RE);
+    const rest = monthMatch ? s.replace(monthMatch[0], ' ') : s;
+
+    let days = [];
+    if (/\b(daily|every\s?day|weekdays|every weekday)\b/.test(rest)) days = [1, 2, 3, 4, 5];
+    else {
+      let m;
+      WEEKDAY_RE.lastIndex = 0;
+      while ((m = WEEKDAY_RE.exec(rest))) {
+        const d = m.slice(1).findIndex(Boolean);
+        if (!days.includes(d)) days.push(d);
+      }
+    }
+    if (!days.length) return null;
+    return {
+      days: days.sort((a, b) => a - b),
+      interval: /\b(every other|biweekly|every 2 weeks|every two weeks|alternating)\b/.test(rest) ? 2 : 1,
+      months: !monthMatch ? null : monthMatch[2]
+        ? { from: MONTHS.indexOf(monthMatch[1]), to: MONTHS.indexOf(monthMatch[2]) }
+        : { from: null, to: MONTHS.indexOf(monthMatch[1]) },
+    };
+  }
+
+  /** True when an Event cell carries its own rule, so no Repeat column is needed. */
+  function hasInlineRule(text) {
+    return INLINE_RULE.test(cleanText(text));
+  }
+
+  /** "Every Wednesday", "Every other Friday", "Every Mon & Wed", "Every weekday" */
+  function describeRecurrence(rule) {
+    if (!rule) return '';
+    const names = rule.days.length === 5 && rule.days.join() === '1,2,3,4,5'
+      ? ['weekday']
+      : rule.days.map(d => rule.days.length > 1 ? WEEKDAY_NAMES[d].slice(0, 3) : WEEKDAY_NAMES[d]);
+    return `Every ${rule.interval === 2 ? 'other ' : ''}${names.join(' & ')}`;
+  }
+
+  /**
+   * Expand one calendar row into the days it covers.
+   *   { start }                    -> that day
+   *   { start, end }               -> every weekday from start to end, as one span
+   *   { start, end?, repeat }      -> the rule's weekdays from start to end; without an end,
+   *                                   the rule's month range ("Sep–Jun") supplies one
+   * @param {{ start: string, end?: string, repeat?: string|object }} spec  ISO dates
+   * @returns {Array<{ iso: string, span: { id: string, start: string, end: string, index: number, length: number } | null, recurring: boolean }>}
+   */
+  function expandOccurrences(spec) {
+    const start = isoToUtc(spec.start);
+    if (Number.isNaN(start)) return [];
+    const rule = spec.repeat && typeof spec.repeat === 'object' ? spec.repeat : parseRecurrence(spec.repeat);
+    let end = isoToUtc(spec.end);
+
+    if (Number.isNaN(end) && rule && rule.months) {
+      const from = new Date(start);
+      const year = from.getUTCFullYear() + (rule.months.to < from.getUTCMonth() ? 1 : 0);
+      end = Date.UTC(year, rule.months.to + 1, 0);
+    }
+    if (Number.isNaN(end) || end <= start) {
+      return [{ iso: utcToIso(start), span: null, recurring: false }];
+    }
+    end = Math.min(end, start + MAX_SPAN_DAYS * DAY_MS);
+
+    const days = [];
+    for (let t = start; t <= end; t += DAY_MS) {
+      const wd = new Date(t).getUTCDay();
+      if (rule) {
+        if (!rule.days.includes(wd)) continue;
+        // Every other week counts weeks from the first occurrence
+        const week = Math.floor((t - start + new Date(start).getUTCDay() * DAY_MS) / (7 * DAY_MS));
+        if (rule.interval > 1 && days.length && (week - days[0].week) % rule.interval) continue;
+        days.push({ iso: utcToIso(t), week });
+      } else if (wd !== 0 && wd !== 6) {
+        days.push({ iso: utcToIso(t) });
+      }
+    }
+    if (rule) return days.map(d => ({ iso: d.iso, span: null, recurring: true }));
+    if (days.length < 2) return days.map(d => ({ iso: d.iso, span: null, recurring: false }));
+    const id = `${days[0].iso}/${days[days.length - 1].iso}`;
+    return days.map((d, index) => ({
+      iso: d.iso,
+      span: { id, start: days[0].iso, end: days[days.length - 1].iso, index, length: days.length },
+      recurring: false,
+    }));
+  }
+
+  return {
+    CATEGORIES, STATUSES, normalizeEvent, categoryLabel, isRollup, schoolColors, statusOf, summarizeDay,
+    parseRecurrence, hasInlineRule, describeRecurrence, expandOccurrences,
+  };
+});
@@ -0,0 +1,119 @@
+/*
+ * Filter state for the No-School viewers: the URL form of the filters and the saved
+ * school watchlists.
+ *
+ * The URL carries the filters so a link opens the same view:
+ *   ?school=Clio Schools&school=Kearsley Schools   schools shown (none = every school)
+ *   &type=half-day                                  event category (school-events.js ids)
+ *   &q=conferences                                  search text
+ *   &week=2025-11-24                                Monday of the week shown; absent = this week
+ * Other parameters (?csv=, ?refresh=, ?col.*, see data-settings.js) are left alone.
+ *
+ * A watchlist is a named set of schools ("My students' districts"), kept per browser.
+ *
+ * Used by noschoolcalendar.jsx; covered by tests/school-filters.test.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./school-events'));
+  else root.SchoolFilters = factory(root.SchoolEvents);
+})(typeof self !== 'undefined' ? self : this, function (SchoolEvents) {
+  'use strict';
+
+  const { isRollup } = SchoolEvents;
+
+  const PARAMS = ['school', 'type', 'q', 'week'];
+  const WATCHLISTS_KEY = 'no-school-watchlists:v1';
+
+  // ===================== URL STATE =====================
+
+  /**
+   * Filters from a query string. A malformed week is dropped rather than guessed.
+   * @returns {{ schools: string[], type: string, q: string, week: string }}
+   */
+  function readFilterState(search) {
+    const p = new URLSearchParams(search || '');
+    const week = (p.get('week') || '').trim();
+    return {
+      schools: Array.from(new Set(p.getAll('school').map(s => s.trim()).filter(Boolean))),
+      type: (p.get('type') || '').trim(),
+      q: p.get('q') || '',
+      week: /^\d{4}-\d{2}-\d{2}$/.test(week) ? week : '',
+    };
+  }
+
+  /**
+   * `href` with the filters written into its query string; empty values are left out, so
+   * the default view has a clean URL.
+   * @param {string} href
+   * @param {{ schools?: string[], type?: string, q?: string, week?: string }} state
+   * @returns {string}
+   */
+  function writeFilterState(href, state) {
+    const u = new URL(href);
+    PARAMS.forEach(k => u.searchParams.delete(k));
+    (state.schools || []).forEach(s => u.searchParams.append('school', s));
+    if (state.type && state.type !== 'all') u.searchParams.set('type', state.type);
+    if (state.q) u.searchParams.set('q', state.q);
+    if (state.week) u.searchParams.set('week', state.week);
+    return u.toString();
+  }
+
+  /**
+   * Does a row pass the school, type and search filters? "All Schools" rows pass any
+   * school filter, as they do on the printed month (SchoolPrint.forSchool).
+   */
+  function matchesFilters(row, state) {
+    const schools = state.schools || [];
+    const q = (state.q || '').toLowerCase();
+    return (!schools.length || schools.includes(row.school) || isRollup(row.school))
+      && (!state.type || state.type === 'all' || row.category === state.type)
+      && [row.school, row.event, row.label, row.notes || ''].some(s => String(s).toLowerCase().includes(q));
+  }
+
+  // ===================== WATCHLISTS =====================
+
+  /** Saved watchlists, in name order. */
+  function readWatchlists(store) {
+    try {
+      const list = JSON.parse(store.getItem(WATCHLISTS_KEY) || '[]');
+      return Array.isArray(list)
+        ? list.filter(w => w && typeof w.name === 'string' && Array.isArray(w.schools))
+        : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeWatchlists(store, list) {
+    const sorted = list.slice().sort((a, b) => a.name.localeCompare(b.name));
+    try {
+      store.setItem(WATCHLISTS_KEY, JSON.stringify(sorted));
+    } catch (e) {
+      console.warn('Could not save watchlists:', e);
+    }
+    return sorted;
+  }
+
+  /** Save (or replace) the watchlist called `name`; returns every watchlist. */
+  function saveWatchlist(store, name, schools) {
+    const clean = String(name || '').trim();
+    if (!clean) throw new Error('A watchlist needs a name.');
+    const others = readWatchlists(store).filter(w => w.name.toLowerCase() !== clean.toLowerCase());
+    return writeWatchlists(store, others.concat({ name: clean, schools: Array.from(new Set(schools)).sort() }));
+  }
+
+  function deleteWatchlist(store, name) {
+    return writeWatchlists(store, readWatchlists(store).filter(w => w.name !== name));
+  }
+
+  /** The watchlist holding exactly `schools`, if one is saved. */
+  function findWatchlist(lists, schools) {
+    const key = schools.slice().sort().join('\n');
+    return lists.find(w => w.schools.slice().sort().join('\n') === key) || null;
+  }
+
+  return {
+    readFilterState, writeFilterState, matchesFilters,
+    readWatchlists, saveWatchlist, deleteWatchlist, findWatchlist,
+  };
+});
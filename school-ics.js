@@ -0,0 +1,128 @@
+/*
+ * RFC 5545 (.ics) builder for No-School calendar rows.
+ *
+ * Every row becomes an all-day VEVENT whose UID is derived from date + school + event,
+ * so importing an updated file into Google Calendar/Outlook updates the existing
+ * events instead of duplicating them.
+ *
+ * Used by No_School_Viewer.html (window.SchoolIcs) and build-school-ics.js (Node).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SchoolIcs = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PRODID = '-//aspiece//CSGames No School Viewer//EN';
+  const UID_DOMAIN = 'csgames.aspiece.github.io';
+
+  function slugify(s) {
+    return String(s || '')
+      .toLowerCase()
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Small stable string hash (FNV-1a, 32-bit) -> 8 hex chars
+  function hash32(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  // TEXT value escaping (RFC 5545 §3.3.11)
+  function escapeText(s) {
+    return String(s || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // UTF-8 length of one code point
+  function utf8Len(ch) {
+    const cp = ch.codePointAt(0);
+    return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+  }
+
+  // Fold content lines longer than 75 octets (RFC 5545 §3.1) without splitting a character
+  function foldLine(line) {
+    const out = [];
+    let cur = '', len = 0;
+    for (const ch of line) {
+      const n = utf8Len(ch);
+      if (len + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; len = 0; }
+      cur += ch;
+      len += n;
+    }
+    if (cur) out.push(cur);
+    return out.join('\r\n ');
+  }
+
+  // 'YYYY-MM-DD' -> 'YYYYMMDD'; also returns the following day for DTEND
+  function dateParts(iso) {
+    const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    const next = new Date(d.getTime() + 86400000);
+    const fmt = x => x.toISOString().slice(0, 10).replace(/-/g, '');
+    return { start: fmt(d), end: fmt(next) };
+  }
+
+  function utcStamp(d) {
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /** Stable UID for one date + school + event. */
+  function eventUid(iso, school, event) {
+    const key = `${iso}|${String(school).trim().toLowerCase()}|${String(event).trim().toLowerCase()}`;
+    return `${iso.replace(/-/g, '')}-${slugify(school).slice(0, 40)}-${hash32(key)}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * Build a VCALENDAR string.
+   * @param {Array<{iso: string, event: string, school: string, notes?: string, category?: string}>} rows  iso = 'YYYY-MM-DD'
+   * @param {{ name?: string, description?: string, now?: Date }} [opts]
+   */
+  function buildCalendar(rows, opts = {}) {
+    const stamp = utcStamp(opts.now || new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ];
+    if (opts.name) lines.push(`X-WR-CALNAME:${escapeText(opts.name)}`);
+    if (opts.description) lines.push(`X-WR-CALDESC:${escapeText(opts.description)}`);
+
+    const seen = new Set();
+    for (const r of rows) {
+      const parts = dateParts(r.iso);
+      if (!parts || !r.event || !r.school) continue;
+      const uid = eventUid(r.iso, r.school, r.event);
+      if (seen.has(uid)) continue;
+      seen.add(uid);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${parts.start}`,
+        `DTEND;VALUE=DATE:${parts.end}`,
+        `SUMMARY:${escapeText(`${r.event} · ${r.school}`)}`,
+        'TRANSP:TRANSPARENT'
+      );
+      if (r.notes) lines.push(`DESCRIPTION:${escapeText(r.notes)}`);
+      if (r.category) lines.push(`CATEGORIES:${escapeText(r.category)}`);
+      lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  return { buildCalendar, eventUid, escapeText, foldLine, slugify };
+});
@@ -0,0 +1,141 @@
+/*
+ * Printable No-School calendar: one Mon–Fri month per page for a school, with every
+ * event written out (no "+N more" chips and no range bars to clip).
+ *
+ * Used by No_School_Viewer.html (window.SchoolPrint) and noschoolcalendar.jsx. Rows are
+ * the ones parseCalendarCsv() returns; the page opens as its own document so "Print to
+ * PDF" gives a clean wall calendar.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./safe-html'), require('./school-events'), require('./school-calendar'), require('./print-view'));
+  } else {
+    root.SchoolPrint = factory(root.SafeHtml, root.SchoolEvents, root.SchoolCalendar, root.PrintView);
+  }
+})(typeof self !== 'undefined' ? self : this, function (SafeHtml, SchoolEvents, SchoolCalendar, PrintView) {
+  'use strict';
+
+  const { escapeHtml } = SafeHtml;
+  const { printDocument, openView } = PrintView;
+  const { CATEGORIES, isRollup } = SchoolEvents;
+  const { weekStartOf, nextMonday, weekdaysOf } = SchoolCalendar;
+  const BY_ID = Object.fromEntries(CATEGORIES.map(c => [c.id, c]));
+
+  /**
+   * One school's rows (or a list of schools') plus the "All Schools" roll-ups that apply;
+   * every row for 'all' or an empty list.
+   */
+  function forSchool(rows, school) {
+    const schools = Array.isArray(school) ? school : [school].filter(s => s && s !== 'all');
+    if (!schools.length) return rows;
+    return rows.filter(r => schools.includes(r.school) || isRollup(r.school));
+  }
+
+  /** Every month from the first row's to the last row's, as 'YYYY-MM'. */
+  function monthsOf(rows) {
+    const isos = rows.map(r => r.iso).filter(Boolean).sort();
+    if (!isos.length) return [];
+    const out = [];
+    let [y, m] = isos[0].split('-').map(Number);
+    const last = isos[isos.length - 1].slice(0, 7);
+    for (;;) {
+      const month = `${y}-${String(m).padStart(2, '0')}`;
+      out.push(month);
+      if (month >= last) return out;
+      if (++m > 12) { m = 1; y++; }
+    }
+  }
+
+  /** Mon–Fri rows covering 'YYYY-MM'; days from the neighbouring months are null. */
+  function monthWeeks(month) {
+    const [y, m] = month.split('-').map(Number);
+    const lastIso = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+    const weeks = [];
+    for (let monday = weekStartOf(`${month}-01`); monday <= lastIso; monday = nextMonday(monday)) {
+      const week = weekdaysOf(monday).map(iso => (iso.startsWith(month) ? iso : null));
+      if (week.some(Boolean)) weeks.push(week);
+    }
+    return weeks;
+  }
+
+  function monthLabel(month) {
+    const [y, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  function eventHTML(r, showSchool) {
+    const cat = BY_ID[r.category] || {};
+    const where = showSchool || isRollup(r.school) ? ` · ${r.school}` : '';
+    const span = r.span ? ` (day ${r.span.index + 1} of ${r.span.length})` : '';
+    return `<div class="ev ${escapeHtml(cat.badge || '')}"><b>${escapeHtml(r.label)}</b>${escapeHtml(where)}${escapeHtml(span)}`
+      + (r.detail ? `<span class="detail">${escapeHtml(r.detail)}</span>` : '')
+      + (r.notes ? `<span class="detail">${escapeHtml(r.notes)}</span>` : '')
+      + '</div>';
+  }
+
+  const CSS = `
+    @page { size: letter landscape; margin: 0.4in; }
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 16px; background: #fff; color: #0f172a; font: 10pt/1.3 system-ui, Segoe UI, Roboto, Arial, sans-serif; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .month-page { break-after: page; }
+    .month-page:last-child { break-after: auto; }
+    .month-page header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #0f172a; margin-bottom: 6px; }
+    h1 { margin: 0; font-size: 18pt; }
+    h2 { margin: 0; font-size: 11pt; font-weight: 500; color: #475569; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th { font-size: 8.5pt; text-transform: uppercase; color: #475569; padding: 3px; }
+    td { border: 1px solid #94a3b8; vertical-align: top; height: 1.2in; padding: 3px 4px; }
+    td.out { background: #f1f5f9; }
+    .date { font-weight: 700; font-size: 9pt; }
+    .ev { margin-top: 3px; padding: 2px 4px; border: 1px solid #cbd5e1; border-radius: 4px; font-size: 8.5pt; break-inside: avoid; }
+    .ev .detail { display: block; font-size: 7.5pt; opacity: .85; }
+    .ev.red { background: #fee2e2; border-color: #fecaca; color: #991b1b; }
+    .ev.yellow { background: #fef9c3; border-color: #fef08a; color: #854d0e; }
+    .ev.green { background: #dcfce7; border-color: #bbf7d0; color: #166534; }
+    .ev.indigo { background: #e0e7ff; border-color: #c7d2fe; color: #3730a3; }
+    .ev.orange { background: #ffedd5; border-color: #fed7aa; color: #9a3412; }
+    .ev.blue { background: #e0f2fe; border-color: #bae6fd; color: #075985; }
+    .ev.purple { background: #f3e8ff; border-color: #e9d5ff; color: #6b21a8; }
+    .legend { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+    .legend .ev { margin: 0; }`;
+
+  /**
+   * The calendar document: one page per month in `months` (default: monthsOf(rows)).
+   * @param {Array<object>} rows  parsed rows, already narrowed to the school (see forSchool)
+   * @param {{ school?: string, months?: string[] }} [opts]
+   * @returns {string} a complete HTML document
+   */
+  function monthPages(rows, opts = {}) {
+    const school = opts.school && opts.school !== 'all' ? opts.school : '';
+    const title = `${school || 'All Schools'} — No School Days`;
+    const byDate = {};
+    rows.forEach(r => (byDate[r.iso] || (byDate[r.iso] = [])).push(r));
+
+    const pages = (opts.months || monthsOf(rows)).map(month => {
+      const seen = new Set();
+      const cells = week => week.map(iso => {
+        if (!iso) return '<td class="out"></td>';
+        const events = byDate[iso] || [];
+        events.forEach(r => seen.add(r.category));
+        return `<td><div class="date">${Number(iso.slice(8))}</div>${events.map(r => eventHTML(r, !school)).join('')}</td>`;
+      }).join('');
+      const body = monthWeeks(month).map(week => `<tr>${cells(week)}</tr>`).join('');
+      const legend = CATEGORIES.filter(c => seen.has(c.id)).map(c => `<span class="ev ${escapeHtml(c.badge)}">${escapeHtml(c.label)}</span>`).join('');
+      return `<section class="month-page">
+  <header><h1>${escapeHtml(monthLabel(month))}</h1><h2>${escapeHtml(title)}</h2></header>
+  <table><thead><tr><th>Mon</th><th>Tue</th><th>Wed</th><th>Thu</th><th>Fri</th></tr></thead><tbody>${body}</tbody></table>
+  <div class="legend">${legend}</div>
+</section>`;
+    });
+
+    const note = `${pages.length} month${pages.length === 1 ? '' : 's'}, one per page.`;
+    return printDocument({ title, css: CSS, body: pages.join('\n'), note });
+  }
+
+  /** Open monthPages() in a new tab for printing. */
+  function open(rows, opts = {}) {
+    return openView(monthPages(rows, opts));
+  }
+
+  return { forSchool, monthsOf, monthWeeks, monthPages, open };
+});
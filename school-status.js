@@ -0,0 +1,262 @@
+/*
+ * "Today's status" for the No-School calendar, small enough to embed: a headline such as
+ * "Today: 7 schools off, 3 half days" and each chosen school's next no-school day.
+ *
+ * statusReport() and renderStatus() are plain functions over parseCalendarCsv() rows, so
+ * the Node tests cover them. defineElement() registers <school-status>, which fetches the
+ * calendar and renders into its own shadow root; No_School_Status.html wraps it in a page
+ * Google Sites and LMS pages can iframe:
+ *
+ *   <school-status schools="Clio, Fenton Area" days="14" mode="compact"></school-status>
+ *
+ * Attributes: src (calendar CSV; the master sheet by default), schools (comma-separated;
+ * a name or the start of one, empty for every school), days (lookahead, default 14),
+ * mode (compact | full), date (YYYY-MM-DD instead of today), refresh (minutes, 0 = off).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./safe-html'), require('./school-events'), require('./school-calendar'));
+  else root.SchoolStatus = factory(root.SafeHtml, root.SchoolEvents, root.SchoolCalendar);
+})(typeof self !== 'undefined' ? self : this, function (SafeHtml, SchoolEvents, SchoolCalendar) {
+  'use strict';
+
+  const { escapeHtml } = SafeHtml;
+  const { isRollup, schoolColors, statusOf, summarizeDay } = SchoolEvents;
+  const { dayLabel, groupByDate, nextMonday, parseCalendarCsv } = SchoolCalendar;
+
+  const DEFAULT_SRC = 'https://aspiece.github.io/CSGames/School_Calendar_Master.csv';
+  const DEFAULT_DAYS = 14;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ===================== REPORT =====================
+
+  function addDays(iso, n) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d) + n * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /** Today's local date as 'YYYY-MM-DD'. */
+  function localToday(now = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  /**
+   * The calendar's school names for what an embed asked for: an exact name (any case), or
+   * every school whose name starts with it ("Clio" -> "Clio Schools").
+   * @returns {{ schools: string[], missing: string[] }}
+   */
+  function matchSchools(known, wanted) {
+    const schools = [];
+    const missing = [];
+    wanted.map(w => w.trim()).filter(Boolean).forEach(w => {
+      const lower = w.toLowerCase();
+      const exact = known.filter(k => k.toLowerCase() === lower);
+      const found = exact.length ? exact : known.filter(k => k.toLowerCase().startsWith(lower));
+      if (!found.length) missing.push(w);
+      found.forEach(s => { if (!schools.includes(s)) schools.push(s); });
+    });
+    return { schools, missing };
+  }
+
+  /**
+   * Who is out on the status day (`date`, or Monday when that is a weekend) and each
+   * school's next no-school day within `days` days after it.
+   * @param {object[]} rows  parseCalendarCsv() rows
+   * @param {{ today: string, date?: string, schools?: string[], days?: number }} opts  date defaults to today
+   * @returns {{ day: string, isToday: boolean, days: number, schools: string[], missing: string[],
+   *   summary: object, events: object[], next: Array<{ school: string, iso: string|null, events: object[] }>,
+   *   upcoming: Array<{ iso: string, events: object[] }> }}
+   */
+  function statusReport(rows, opts) {
+    const days = opts.days > 0 ? Math.floor(opts.days) : DEFAULT_DAYS;
+    const date = opts.date || opts.today;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const day = weekday === 0 || weekday === 6 ? nextMonday(date) : date;
+    const known = Array.from(new Set(rows.map(r => r.school).filter(s => !isRollup(s)))).sort();
+    const picked = opts.schools && opts.schools.some(s => s.trim())
+      ? matchSchools(known, opts.schools)
+      : { schools: known, missing: [] };
+    const mine = r => isRollup(r.school) || picked.schools.includes(r.school);
+    const byDate = groupByDate(rows.filter(mine));
+
+    const until = addDays(day, days);
+    const ahead = Object.keys(byDate).filter(iso => iso > day && iso <= until).sort();
+    const next = picked.schools.map(school => {
+      const iso = ahead.find(d => statusOf(byDate[d].filter(r => r.school === school || isRollup(r.school))) === 'off') || null;
+      return { school, iso, events: iso ? byDate[iso].filter(r => r.school === school || isRollup(r.school)) : [] };
+    });
+
+    return {
+      day,
+      isToday: day === opts.today,
+      days,
+      schools: picked.schools,
+      missing: picked.missing,
+      summary: summarizeDay(byDate[day] || [], picked.schools),
+      events: byDate[day] || [],
+      next,
+      upcoming: ahead.map(iso => ({ iso, events: byDate[iso] })),
+    };
+  }
+
+  const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+  /** "7 schools off, 3 half days", or "All 23 schools open". */
+  function headline(summary) {
+    const parts = [];
+    if (summary.off.length) parts.push(`${plural(summary.off.length, 'school', 'schools')} off`);
+    if (summary.half.length) parts.push(plural(summary.half.length, 'half day', 'half days'));
+    if (summary.delayed.length) parts.push(plural(summary.delayed.length, 'delayed start', 'delayed starts'));
+    if (summary.partial.length) parts.push(`${summary.partial.length} partial`);
+    if (parts.length) return parts.join(', ');
+    if (!summary.total) return 'No schools in the calendar';
+    return summary.total === 1 ? `${Object.keys(summary.bySchool)[0]} is open` : `All ${summary.total} schools open`;
+  }
+
+  // ===================== RENDER =====================
+
+  const STYLES = `
+    :host{display:block;font:14px/1.4 system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#0f172a}
+    .status{border:1px solid #e2e8f0;border-radius:12px;background:#fff;padding:10px 12px}
+    .headline{font-weight:600}
+    .when{color:#64748b;font-weight:400}
+    ul{list-style:none;margin:6px 0 0;padding:0}
+    li{margin:3px 0}
+    .chip{display:inline-block;border:1px solid;border-radius:8px;padding:1px 6px;font-size:12px;margin:1px 4px 1px 0}
+    .muted{color:#64748b}
+    h3{font-size:12px;text-transform:uppercase;letter-spacing:.04em;color:#64748b;margin:10px 0 2px}
+    a{color:#2563eb}
+    .error{color:#991b1b}
+  `;
+
+  function chip(school, text) {
+    const c = schoolColors(school);
+    return `<span class="chip" style="background:${c.bg};border-color:${c.border};color:${c.text}">${escapeHtml(text)}</span>`;
+  }
+
+  function eventChips(events) {
+    return events.map(r => chip(r.school, `${r.label}${r.detail ? ` (${r.detail})` : ''} · ${r.school}`)).join('');
+  }
+
+  /**
+   * HTML for a report. Compact: the headline and each chosen school's next no-school day.
+   * Full adds who is out on the status day and every event in the lookahead.
+   * @param {object} report  from statusReport()
+   * @param {{ mode?: 'compact'|'full', link?: string }} [opts]  link: "full calendar" URL (full mode)
+   */
+  function renderStatus(report, opts = {}) {
+    const full = opts.mode === 'full';
+    const when = report.isToday ? 'Today' : dayLabel(report.day);
+    let html = `<div class="status"><div class="headline"><span class="when">${escapeHtml(when)}:</span> ${escapeHtml(headline(report.summary))}</div>`;
+
+    // Every school's next day off is too long a list unless someone picked the schools
+    const listNext = report.schools.length <= 5 || full;
+    if (listNext && report.next.length) {
+      html += '<ul class="next">' + report.next.map(n => `<li>${n.iso
+        ? `Next no-school day for ${chip(n.school, n.school)} <strong>${escapeHtml(dayLabel(n.iso))}</strong>`
+        : `${chip(n.school, n.school)} <span class="muted">no days off in the next ${report.days} days</span>`}</li>`).join('') + '</ul>';
+    }
+    if (report.missing.length) {
+      html += `<div class="error">Not in the calendar: ${escapeHtml(report.missing.join(', '))}</div>`;
+    }
+
+    if (full) {
+      if (report.events.length) html += `<h3>${escapeHtml(when)}</h3><div>${eventChips(report.events)}</div>`;
+      html += `<h3>Next ${report.days} days</h3>`;
+      html += report.upcoming.length
+        ? '<ul class="upcoming">' + report.upcoming.map(u => `<li><strong>${escapeHtml(dayLabel(u.iso))}</strong> ${eventChips(u.events)}</li>`).join('') + '</ul>'
+        : '<div class="muted">Nothing scheduled.</div>';
+      if (opts.link) html += `<div style="margin-top:8px"><a href="${escapeHtml(opts.link)}" target="_blank" rel="noopener">Full calendar</a></div>`;
+    }
+    return html + '</div>';
+  }
+
+  // ===================== <school-status> =====================
+
+  const ATTRS = ['src', 'schools', 'days', 'mode', 'date', 'refresh'];
+
+  /** Register the <school-status> element (once; a no-op outside the browser). */
+  function defineElement(name = 'school-status') {
+    if (typeof customElements === 'undefined' || customElements.get(name)) return;
+
+    class SchoolStatusElement extends HTMLElement {
+      static get observedAttributes() { return ATTRS; }
+
+      constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        // Either may have been set before the element was defined
+        this.columns = this.columns || null;  // column mapping for a district's own sheet (see data-settings.js)
+        this.link = this.link || '';          // "Full calendar" link in full mode
+        this.rows = null;
+        this.timer = null;
+        this.loading = 0;
+        this.connected = false;
+      }
+
+      connectedCallback() {
+        this.connected = true;
+        this.load();
+        this.schedule();
+      }
+
+      disconnectedCallback() {
+        this.connected = false;
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+
+      attributeChangedCallback(attr, before, after) {
+        // Attributes present at upgrade arrive before connectedCallback, which loads anyway
+        if (!this.connected || before === after) return;
+        if (attr === 'src') this.load();
+        else if (attr === 'refresh') this.schedule();
+        else this.paint();
+      }
+
+      schedule() {
+        clearInterval(this.timer);
+        const minutes = parseFloat(this.getAttribute('refresh')) || 0;
+        this.timer = minutes > 0 ? setInterval(() => this.load(), minutes * 60 * 1000) : null;
+      }
+
+      async load() {
+        const src = this.getAttribute('src') || DEFAULT_SRC;
+        const ticket = ++this.loading;
+        try {
+          const res = await fetch(src, { cache: 'no-store' });
+          if (!res.ok) throw new Error(`fetch ${res.status}`);
+          const rows = parseCalendarCsv(await res.text(), { columns: this.columns || {} });
+          if (ticket !== this.loading) return;
+          if (!rows.length) throw new Error('no calendar rows');
+          this.rows = rows;
+          this.paint();
+        } catch (err) {
+          if (ticket !== this.loading) return;
+          console.warn('school-status: could not load', src, err);
+          // Keep showing the last good calendar; only say so when there is none
+          if (this.rows) this.paint();
+          else this.shadowRoot.innerHTML = `<style>${STYLES}</style><div class="status error">Calendar unavailable.</div>`;
+        }
+      }
+
+      paint() {
+        if (!this.rows) return;
+        const report = statusReport(this.rows, {
+          today: localToday(),
+          date: this.getAttribute('date') || '',
+          schools: (this.getAttribute('schools') || '').split(','),
+          days: parseInt(this.getAttribute('days'), 10) || DEFAULT_DAYS,
+        });
+        this.report = report;
+        this.shadowRoot.innerHTML = `<style>${STYLES}</style>` +
+          renderStatus(report, { mode: this.getAttribute('mode') === 'full' ? 'full' : 'compact', link: this.link });
+        this.dispatchEvent(new CustomEvent('status', { detail: report }));
+      }
+    }
+
+    customElements.define(name, SchoolStatusElement);
+  }
+
+  return { DEFAULT_SRC, DEFAULT_DAYS, localToday, matchSchools, statusReport, headline, renderStatus, defineElement };
+});
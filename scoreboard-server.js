@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/*
+ * Class scoreboard for the arcade: collects leaderboard scores from the classroom's
+ * browsers into one JSON file and serves the projector view.
+ *
+ *   node scoreboard-server.js [--port 8788] [--file scores.json] [--teacher-key <secret>]
+ *
+ * Put http://<this computer>:8788/scoreboard.html?scoreboard=/api on the projector and
+ * have students open http://<this computer>:8788/arcade.html?scoreboard=/api; saved
+ * scores are then sent here as well as kept in their browser.
+ *
+ *   GET    /api/scores   [?game=snake&period=3]
+ *                        -> 200 { ok: true, scores: [{ game, period, initials, score, at }] }
+ *   POST   /api/scores   { game, period, initials, score, at } or { scores: [...] }
+ *                        -> 200 { ok: true, added, scores }   every score after the merge
+ *                        -> 400 { ok: false, error: 'invalid', message }   nothing that can be a score
+ *   DELETE /api/scores   { teacher_key, game?, period? }
+ *                        -> 200 { ok: true, removed, scores }   a new class, a new board
+ *                        -> 403 { ok: false, error: 'forbidden' }   wrong key, or no --teacher-key set
+ *
+ * Scores are checked and trimmed with arcade.js, so the file holds the same top ten per
+ * game and period as each browser. Anyone on the network can post a score; only the
+ * teacher key (--teacher-key or SCOREBOARD_TEACHER_KEY) can clear them.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { cleanScore, mergeScores, importScores } = require('./arcade');
+const { HttpError, send, sendError, readBody, serveStatic, option } = require('./local-server');
+
+// A whole browser's export: every period of every game
+const MAX_SCORES_BODY = 64 * 1024;
+
+// ===================== STORAGE =====================
+
+function sameText(a, b) {
+  const x = Buffer.from(String(a || '')), y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/** Scores kept in memory and written to `file` (atomically) after every change. */
+function createScoreStore(file) {
+  let scores = [];
+  if (fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    scores = mergeScores((Array.isArray(data.scores) ? data.scores : []).map(cleanScore).filter(Boolean));
+  }
+  let queue = Promise.resolve();
+
+  function save(next) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ scores: next }, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+    scores = next;
+  }
+
+  // Run `fn` after every earlier change has been written
+  function serial(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    list: ({ game, period } = {}) => scores.filter(s => (!game || s.game === game) && (!period || s.period === period)),
+    add: entries => serial(() => {
+      const { scores: next, added } = importScores(scores, entries);
+      if (added) save(next);
+      return added;
+    }),
+    clear: ({ game, period }) => serial(() => {
+      const next = scores.filter(s => !((!game || s.game === game) && (!period || s.period === period)));
+      const removed = scores.length - next.length;
+      if (removed) save(next);
+      return removed;
+    }),
+  };
+}
+
+// ===================== VALIDATION =====================
+
+/** The scores in a POST body (one score, or { scores: [...] }); bad rows are dropped. */
+function cleanScores(body) {
+  const rows = Array.isArray(body.scores) ? body.scores : [body];
+  const scores = rows.map(cleanScore).filter(Boolean);
+  if (!scores.length) {
+    throw new HttpError(400, 'invalid', 'No score to save: each needs a known game, a period, initials, a whole-number score and a time.');
+  }
+  return scores;
+}
+
+function filterOf(source) {
+  return { game: String(source.game || ''), period: String(source.period || '').trim() };
+}
+
+// ===================== HTTP =====================
+
+function createServer({ file, root = __dirname, teacherKey = '' }) {
+  const store = createScoreStore(file);
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://x');
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204);
+      if (url.pathname === '/api/scores' && req.method === 'GET') {
+        return send(res, 200, { ok: true, scores: store.list(filterOf(Object.fromEntries(url.searchParams))) });
+      }
+      if (url.pathname === '/api/scores' && req.method === 'POST') {
+        const added = await store.add(cleanScores(await readBody(req, MAX_SCORES_BODY)));
+        return send(res, 200, { ok: true, added, scores: store.list() });
+      }
+      if (url.pathname === '/api/scores' && req.method === 'DELETE') {
+        const body = await readBody(req);
+        if (!teacherKey || !sameText(body.teacher_key, teacherKey)) {
+          throw new HttpError(403, 'forbidden', teacherKey ? 'That teacher key is not right.' : 'Start the server with --teacher-key to clear scores.');
+        }
+        const removed = await store.clear(filterOf(body));
+        return send(res, 200, { ok: true, removed, scores: store.list() });
+      }
+      if (url.pathname.startsWith('/api/')) throw new HttpError(404, 'not-found', `No route for ${req.method} ${url.pathname}.`);
+      if (req.method === 'GET') return serveStatic(req, res, root, 'scoreboard.html');
+      throw new HttpError(405, 'invalid', `${req.method} is not allowed here.`);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = Number(option(args, '--port', process.env.PORT || 8788));
+  const file = path.resolve(option(args, '--file', path.join(__dirname, 'scores.json')));
+  const teacherKey = option(args, '--teacher-key', process.env.SCOREBOARD_TEACHER_KEY || '');
+  createServer({ file, teacherKey }).listen(port, () => {
+    console.log(`Scores in ${file}`);
+    if (!teacherKey) console.log('No --teacher-key: scores can only be cleared by editing the file.');
+    console.log(`Projector: http://localhost:${port}/scoreboard.html?scoreboard=/api`);
+    console.log(`Students:  http://<this computer>:${port}/arcade.html?scoreboard=/api`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createServer, createScoreStore, cleanScores };
@@ -0,0 +1,134 @@
+/*
+ * Meal sign-up schedule: which dates are offered, how many families each date takes,
+ * and the calendar reminder for one claim.
+ *
+ * SCHEDULE is the single place to change the season. merge-meal-signups.html builds its
+ * cards from it (window.SignupSchedule) and signup-server.js refuses dates that are not
+ * on it or already full.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./school-ics'));
+  else root.SignupSchedule = factory(root.SchoolIcs);
+})(typeof self !== 'undefined' ? self : this, function (SchoolIcs) {
+  'use strict';
+
+  const { escapeText, foldLine } = SchoolIcs;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const UID_DOMAIN = 'csgames.aspiece.github.io';
+
+  const SCHEDULE = {
+    title: 'MERGE Youth Group Sunday Meal',
+    location: 'The Road Community Church',
+    weekday: 0,                 // 0 = Sunday … 6 = Saturday
+    start: '2025-09-07',
+    end: '2026-12-27',
+    blackout: [],               // 'YYYY-MM-DD' or 'YYYY-MM-DD/YYYY-MM-DD' ranges with no meal
+    slots: 1,                   // families per date
+    reminder: { daysBefore: 1, at: '09:00' },
+  };
+
+  function isoToUtc(iso) {
+    const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : NaN;
+  }
+
+  function utcToIso(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  function isBlackedOut(schedule, iso) {
+    return (schedule.blackout || []).some(b => {
+      const [from, to = from] = String(b).split('/');
+      return iso >= from && iso <= to;
+    });
+  }
+
+  /** Every offered date, in order, as 'YYYY-MM-DD'. */
+  function scheduleDates(schedule = SCHEDULE) {
+    const start = isoToUtc(schedule.start);
+    const end = isoToUtc(schedule.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) return [];
+    const first = start + ((schedule.weekday - new Date(start).getUTCDay() + 7) % 7) * DAY_MS;
+    const out = [];
+    for (let t = first; t <= end; t += 7 * DAY_MS) {
+      const iso = utcToIso(t);
+      if (!isBlackedOut(schedule, iso)) out.push(iso);
+    }
+    return out;
+  }
+
+  function isOffered(schedule, iso) {
+    const t = isoToUtc(iso);
+    return !Number.isNaN(t)
+      && new Date(t).getUTCDay() === schedule.weekday
+      && iso >= schedule.start && iso <= schedule.end
+      && !isBlackedOut(schedule, iso);
+  }
+
+  function claimsOn(signups, iso) {
+    return (signups || []).filter(r => String(r.date_iso).slice(0, 10) === iso);
+  }
+
+  function slotsLeft(schedule, signups, iso) {
+    return Math.max(0, (schedule.slots || 1) - claimsOn(signups, iso).length);
+  }
+
+  // ===================== EXPORTS =====================
+
+  // Names come from the public form: a leading = + - @ (or tab/CR) would run as a formula
+  // when the organizer opens the export in a spreadsheet, so such cells start with '
+  function csvCell(v) {
+    let s = String(v == null ? '' : v);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /** Organizer export: one line per claim, oldest date first. */
+  function signupsToCsv(signups) {
+    const rows = (signups || []).slice().sort((a, b) =>
+      String(a.date_iso).localeCompare(String(b.date_iso)) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+    const lines = [['Date', 'Day', 'Name', 'Signed up at', 'ID']].concat(rows.map(r =>
+      [String(r.date_iso).slice(0, 10), r.date_nice || '', r.name, r.created_at || '', r.id || '']));
+    return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * One-event calendar for a claim: an all-day event on the meal date with an alarm at
+   * `reminder.at` local time, `reminder.daysBefore` days ahead. The UID follows the claim
+   * id, so re-importing after a date swap moves the event instead of adding a second one.
+   */
+  function claimIcs(claim, schedule = SCHEDULE, now = new Date()) {
+    const t = isoToUtc(String(claim.date_iso).slice(0, 10));
+    const day = x => utcToIso(x).replace(/-/g, '');
+    const r = schedule.reminder || { daysBefore: 1, at: '09:00' };
+    const [h, m] = String(r.at || '09:00').split(':').map(Number);
+    const before = r.daysBefore * 24 * 60 - (h * 60 + (m || 0));
+    const trigger = before >= 0 ? `-PT${before}M` : `PT${-before}M`;
+    const uid = `signup-${claim.id || `${day(t)}-${String(claim.name).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`}@${UID_DOMAIN}`;
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//aspiece//CSGames Meal Sign-Ups//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+      `DTSTART;VALUE=DATE:${day(t)}`,
+      `DTEND;VALUE=DATE:${day(t + DAY_MS)}`,
+      `SUMMARY:${escapeText(`${schedule.title} — ${claim.name}`)}`,
+      `LOCATION:${escapeText(schedule.location || '')}`,
+      `DESCRIPTION:${escapeText(`You signed up to bring the meal${claim.date_nice ? ` on ${claim.date_nice}` : ''}.`)}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`Reminder: ${schedule.title}`)}`,
+      `TRIGGER:${trigger}`,
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  return { SCHEDULE, scheduleDates, isOffered, claimsOn, slotsLeft, signupsToCsv, claimIcs };
+});
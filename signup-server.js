@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/*
+ * Self-hosted backend for merge-meal-signups.html: a JSON API over a JSON file.
+ *
+ *   node signup-server.js [--port 8787] [--file signups.json] [--organizer-key <secret>]
+ *
+ * Then open http://localhost:8787/merge-meal-signups.html?api=/api (the page and its
+ * scripts are served from this folder), or point a hosted copy at it with ?api=<url>/api.
+ *
+ *   GET    /api/signups      -> 200 { ok: true, signups: [{ id, date_iso, date_nice, name, created_at }] }
+ *   POST   /api/signups      { date_iso, date_nice, name }
+ *                            -> 201 { ok: true, signup, edit_code }
+ *                            -> 409 { ok: false, error: 'conflict', message, taken }   date is full
+ *                            -> 400 { ok: false, error: 'invalid', message }           bad input, or not on the schedule
+ *   PATCH  /api/signups/:id  { edit_code | organizer_key, date_iso?, date_nice?, name? }
+ *                            -> 200 { ok: true, signup }   moved to another date and/or handed to another name
+ *   DELETE /api/signups/:id  { edit_code | organizer_key }
+ *                            -> 200 { ok: true, signup }
+ *   A wrong code is 403 { error: 'forbidden' }; an unknown id is 404 { error: 'not-found' }.
+ *
+ * Offered dates and slots per date come from SignupSchedule.SCHEDULE (signup-schedule.js).
+ * The edit code is returned once, to whoever made the claim; the file keeps only its hash.
+ * The organizer key (--organizer-key or SIGNUP_ORGANIZER_KEY) can change any claim.
+ *
+ * Changes are applied one at a time and each write replaces the file atomically, so two
+ * people pressing "Sign up" for the last slot on a Sunday get one success and one conflict.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { SCHEDULE, isOffered, claimsOn } = require('./signup-schedule');
+const { HttpError, send, sendError, readBody, serveStatic, option } = require('./local-server');
+
+// ===================== STORAGE =====================
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function newEditCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+}
+
+function sameText(a, b) {
+  const x = Buffer.from(String(a || '')), y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// What list() and every response show: never the edit code hash
+function publicRow(r) {
+  return { id: r.id, date_iso: r.date_iso, date_nice: r.date_nice, name: r.name, created_at: r.created_at };
+}
+
+/**
+ * Signups kept in memory and mirrored to `file` after every change. Rows written before
+ * claims had ids get one on load; they have no edit code, so only the organizer can
+ * change them.
+ */
+function createFileStore(file, { schedule = SCHEDULE, organizerKey = '' } = {}) {
+  let data = { signups: [] };
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    if (!Array.isArray(data.signups)) data.signups = [];
+  }
+  data.signups.forEach(r => { if (!r.id) r.id = crypto.randomBytes(6).toString('hex'); });
+  let queue = Promise.resolve();
+
+  function save() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  // Apply `change` to a copy of the rows and keep it only if the file write succeeds
+  function commit(change) {
+    const before = data.signups;
+    data.signups = change(before.map(r => Object.assign({}, r)));
+    try {
+      save();
+    } catch (err) {
+      data.signups = before;
+      throw err;
+    }
+  }
+
+  // Run `fn` after every earlier mutation has finished
+  function serial(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function checkOpen(signup, others) {
+    const label = signup.date_nice || signup.date_iso;
+    if (!isOffered(schedule, signup.date_iso)) throw new HttpError(400, 'invalid', `${label} is not on the meal schedule.`);
+    const booked = claimsOn(others, signup.date_iso);
+    const mine = booked.find(r => r.name.toLowerCase() === signup.name.toLowerCase());
+    if (mine) throw new HttpError(409, 'conflict', `${mine.name} is already signed up for ${label}.`, { taken: publicRow(mine) });
+    if (booked.length >= (schedule.slots || 1)) {
+      const names = booked.map(r => r.name).join(', ');
+      throw new HttpError(409, 'conflict', `${label} was already taken by ${names}.`, { taken: publicRow(booked[0]) });
+    }
+  }
+
+  function find(id, auth) {
+    const row = data.signups.find(r => r.id === id);
+    if (!row) throw new HttpError(404, 'not-found', 'That sign-up no longer exists.');
+    const byOrganizer = organizerKey && sameText(auth.organizer_key, organizerKey);
+    if (!byOrganizer && !(row.edit_hash && auth.edit_code && sameText(hashCode(auth.edit_code), row.edit_hash))) {
+      throw new HttpError(403, 'forbidden', 'That edit code does not match this sign-up.');
+    }
+    return row;
+  }
+
+  return {
+    list: () => data.signups.slice()
+      .sort((a, b) => a.date_iso.localeCompare(b.date_iso) || a.created_at.localeCompare(b.created_at))
+      .map(publicRow),
+    claim: signup => serial(() => {
+      checkOpen(signup, data.signups);
+      const edit_code = newEditCode();
+      const row = Object.assign({ id: crypto.randomBytes(6).toString('hex') }, signup,
+        { created_at: new Date().toISOString(), edit_hash: hashCode(edit_code) });
+      commit(rows => rows.concat(row));
+      return { signup: publicRow(row), edit_code };
+    }),
+    update: (id, changes, auth) => serial(() => {
+      const row = find(id, auth);
+      const next = Object.assign({}, row, changes);
+      if (next.date_iso !== row.date_iso || next.name.toLowerCase() !== row.name.toLowerCase()) {
+        checkOpen(next, data.signups.filter(r => r.id !== id));
+      }
+      if (next.date_iso !== row.date_iso && !changes.date_nice) next.date_nice = '';
+      commit(rows => rows.map(r => (r.id === id ? next : r)));
+      return publicRow(next);
+    }),
+    cancel: (id, auth) => serial(() => {
+      const row = find(id, auth);
+      commit(rows => rows.filter(r => r.id !== id));
+      return publicRow(row);
+    }),
+  };
+}
+
+// ===================== VALIDATION =====================
+
+function cleanText(v) {
+  return String(v == null ? '' : v).replace(/\s+/g, ' ').trim();
+}
+
+function checkDate(iso) {
+  const m = iso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  if (!d || d.toISOString().slice(0, 10) !== iso) {
+    throw new HttpError(400, 'invalid', 'date_iso must be a date like 2025-09-07.');
+  }
+}
+
+function checkName(name) {
+  if (!name) throw new HttpError(400, 'invalid', 'Please enter your name.');
+  if (name.length > 80) throw new HttpError(400, 'invalid', 'Name is too long (80 characters at most).');
+}
+
+function cleanSignup(body) {
+  const signup = { date_iso: cleanText(body.date_iso), date_nice: cleanText(body.date_nice).slice(0, 80), name: cleanText(body.name) };
+  checkDate(signup.date_iso);
+  checkName(signup.name);
+  return signup;
+}
+
+/** The fields a PATCH may change; anything left out stays as it is. */
+function cleanChanges(body) {
+  const changes = {};
+  if (body.date_iso != null) { changes.date_iso = cleanText(body.date_iso); checkDate(changes.date_iso); }
+  if (body.date_nice != null) changes.date_nice = cleanText(body.date_nice).slice(0, 80);
+  if (body.name != null) { changes.name = cleanText(body.name); checkName(changes.name); }
+  if (!Object.keys(changes).length) throw new HttpError(400, 'invalid', 'Nothing to change: send date_iso or name.');
+  return changes;
+}
+
+function authOf(body) {
+  return { edit_code: cleanText(body.edit_code), organizer_key: String(body.organizer_key || '') };
+}
+
+// ===================== HTTP =====================
+
+function createServer({ file, root = __dirname, schedule, organizerKey }) {
+  const store = createFileStore(file, { schedule, organizerKey });
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://x');
+    const one = pathname.match(/^\/api\/signups\/([\w-]+)$/);
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204);
+      if (pathname === '/api/signups' && req.method === 'GET') return send(res, 200, { ok: true, signups: store.list() });
+      if (pathname === '/api/signups' && req.method === 'POST') {
+        const { signup, edit_code } = await store.claim(cleanSignup(await readBody(req)));
+        return send(res, 201, { ok: true, signup, edit_code });
+      }
+      if (one && req.method === 'PATCH') {
+        const body = await readBody(req);
+        return send(res, 200, { ok: true, signup: await store.update(one[1], cleanChanges(body), authOf(body)) });
+      }
+      if (one && req.method === 'DELETE') {
+        return send(res, 200, { ok: true, signup: await store.cancel(one[1], authOf(await readBody(req))) });
+      }
+      if (pathname.startsWith('/api/')) throw new HttpError(404, 'not-found', `No route for ${req.method} ${pathname}.`);
+      if (req.method === 'GET') return serveStatic(req, res, root, 'merge-meal-signups.html');
+      throw new HttpError(405, 'invalid', `${req.method} is not allowed here.`);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const opt = (name, fallback) => option(args, name, fallback);
+  const port = Number(opt('--port', process.env.PORT || 8787));
+  const file = path.resolve(opt('--file', path.join(__dirname, 'signups.json')));
+  const organizerKey = opt('--organizer-key', process.env.SIGNUP_ORGANIZER_KEY || '');
+  createServer({ file, organizerKey }).listen(port, () => {
+    console.log(`Signups in ${file}`);
+    if (!organizerKey) console.log('No --organizer-key: claims can only be changed with their own edit code.');
+    console.log(`Open http://localhost:${port}/merge-meal-signups.html?api=/api`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createServer, createFileStore, cleanSignup, cleanChanges };
@@ -0,0 +1,169 @@
+/*
+ * Storage backends for merge-meal-signups.html.
+ *
+ * Every backend answers the same calls:
+ *   list()                                -> Promise<Array<{ id?, date_iso, date_nice, name }>>
+ *   claim({ date_iso, date_nice, name })  -> Promise<{ id?, date_iso, date_nice, name, edit_code? }>
+ *   update(id, changes, auth)             -> Promise<signup>   changes: { date_iso, date_nice } and/or { name }
+ *   cancel(id, auth)                      -> Promise<signup>   auth: { edit_code } or { organizer_key }
+ * and rejects with a SignupError whose `code` is 'conflict' (the date is full; `taken` holds
+ * a claim on it), 'invalid' (bad input), 'forbidden' (wrong edit code), 'not-found',
+ * 'unsupported' (the backend can't do that) or 'unavailable' (can't reach it).
+ * `canEdit` says whether update() and cancel() work at all.
+ *
+ *   SignupStore.appsScript(url, { slots })  the Google Apps Script web app (JSONP reads, form POST); claim only
+ *   SignupStore.jsonServer(base)            signup-server.js, or anything speaking its JSON API:
+ *                                             GET    <base>/signups     -> { ok, signups }
+ *                                             POST   <base>/signups     -> 201 { ok, signup, edit_code } | 409 { ok: false, error: 'conflict', taken }
+ *                                             PATCH  <base>/signups/:id -> { ok, signup }
+ *                                             DELETE <base>/signups/:id -> { ok, signup }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SignupStore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  class SignupError extends Error {
+    constructor(code, message, taken) {
+      super(message);
+      this.name = 'SignupError';
+      this.code = code;
+      this.taken = taken || null;
+    }
+  }
+
+  function sameName(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+  }
+
+  function isoOf(r) {
+    return String(r.date_iso || '').slice(0, 10);
+  }
+
+  function findClaim(signups, iso) {
+    return (signups || []).find(r => isoOf(r) === iso) || null;
+  }
+
+  function claimsOn(signups, iso) {
+    return (signups || []).filter(r => isoOf(r) === iso);
+  }
+
+  // ===================== GOOGLE APPS SCRIPT =====================
+
+  function jsonp(url) {
+    return new Promise((resolve, reject) => {
+      const cb = 'cb_' + Math.random().toString(36).slice(2);
+      const s = document.createElement('script');
+      function cleanup() { try { delete window[cb]; } catch (_) { /* old browsers */ } s.remove(); }
+      window[cb] = data => { resolve(data); cleanup(); };
+      s.src = url + (url.includes('?') ? '&' : '?') + 'callback=' + cb + '&_ts=' + Date.now();
+      s.onerror = () => { cleanup(); reject(new Error('JSONP load error')); };
+      document.head.appendChild(s);
+    });
+  }
+
+  /**
+   * The Apps Script web app. It can't answer CORS requests, so reads go through JSONP
+   * (with the googleusercontent.com mirror as a fallback) and the write is a no-cors POST.
+   * The script itself doesn't refuse a full date, so claim() checks the list before
+   * writing and reads it back afterwards to report a lost race as a conflict. The sheet
+   * has no row ids or edit codes, so claims made here can't be changed from the page.
+   */
+  function appsScript(url, { slots = 1 } = {}) {
+    const bases = [url, url.replace('script.google.com', 'script.googleusercontent.com')];
+    const unavailable = err => new SignupError('unavailable',
+      'Could not reach the Google sign-up sheet. School Google accounts sometimes block it: ' +
+      'try a personal Chrome profile, an Incognito window, or a different browser.' + (err ? ` (${err.message})` : ''));
+
+    function call(query) {
+      return bases.reduce((p, base) => p.catch(() => jsonp(base + query)), Promise.reject(new Error('JSONP init')));
+    }
+
+    async function list() {
+      try {
+        const data = await call('?action=list');
+        return Array.isArray(data) ? data : (data && data.signups) || [];
+      } catch (err) {
+        throw unavailable(err);
+      }
+    }
+
+    // Someone else holds the date if it is full and `name` isn't among the claims
+    function fullFor(signups, signup) {
+      const on = claimsOn(signups, signup.date_iso);
+      return on.length >= slots && !on.some(r => sameName(r.name, signup.name)) ? on : null;
+    }
+
+    async function claim(signup) {
+      const before = fullFor(await list(), signup);
+      if (before) {
+        throw new SignupError('conflict', `${signup.date_nice || signup.date_iso} was already taken by ${before.map(r => r.name).join(', ')}.`, before[0]);
+      }
+      const form = new URLSearchParams(Object.assign({ action: 'signup' }, signup));
+      let sent = false;
+      try {
+        const res = await fetch(url, { method: 'POST', body: form, mode: 'cors' });
+        sent = res.ok || res.type === 'opaque';
+      } catch (_) {
+        // Blocked POSTs fall back to the JSONP form of the same call
+      }
+      if (!sent) {
+        let result;
+        try { result = await call('?' + form.toString()); } catch (err) { throw unavailable(err); }
+        if (result && result.ok === false) throw new SignupError('invalid', result.message || 'Signup failed.');
+      }
+      const after = claimsOn(await list(), signup.date_iso);
+      const mine = after.findIndex(r => sameName(r.name, signup.name));
+      if (mine < 0 || mine >= slots) {
+        const others = after.filter(r => !sameName(r.name, signup.name));
+        throw new SignupError('conflict', `${signup.date_nice || signup.date_iso} was just taken by ${others.map(r => r.name).join(', ')}.`, others[0]);
+      }
+      return Object.assign({}, signup);
+    }
+
+    const unsupported = () => Promise.reject(new SignupError('unsupported',
+      'The Google sheet can\'t change or cancel a sign-up. Ask the organizer to edit the sheet.'));
+
+    return { kind: 'apps-script', canEdit: false, list, claim, update: unsupported, cancel: unsupported };
+  }
+
+  // ===================== JSON SERVER =====================
+
+  /** signup-server.js (or a compatible host) at `base`, e.g. '/api' or 'http://localhost:8787/api'. */
+  function jsonServer(base) {
+    const root = String(base || '').replace(/\/+$/, '');
+
+    async function request(method, body, id) {
+      let resp;
+      try {
+        resp = await fetch(root + '/signups' + (id ? '/' + encodeURIComponent(id) : ''), {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : {},
+          body: body ? JSON.stringify(body) : undefined,
+          cache: 'no-store',
+        });
+      } catch (err) {
+        throw new SignupError('unavailable', `Could not reach the sign-up server (${err.message}).`);
+      }
+      const data = await resp.json().catch(() => null);
+      if (!resp.ok || !data || data.ok === false) {
+        const byStatus = { 400: 'invalid', 403: 'forbidden', 404: 'not-found', 409: 'conflict' };
+        const code = (data && data.error) || byStatus[resp.status] || 'unavailable';
+        throw new SignupError(code, (data && data.message) || `Sign-up server answered HTTP ${resp.status}.`, data && data.taken);
+      }
+      return data;
+    }
+
+    return {
+      kind: 'json-server',
+      canEdit: true,
+      list: () => request('GET').then(d => d.signups || []),
+      claim: signup => request('POST', signup).then(d => Object.assign({}, d.signup, { edit_code: d.edit_code })),
+      update: (id, changes, auth) => request('PATCH', Object.assign({}, changes, auth), id).then(d => d.signup),
+      cancel: (id, auth) => request('DELETE', Object.assign({}, auth), id).then(d => d.signup),
+    };
+  }
+
+  return { SignupError, appsScript, jsonServer, findClaim, claimsOn, sameName };
+});
@@ -0,0 +1,349 @@
+/*
+ * Slide decks (.pptx) linked from the pacing sheets: an in-browser outline reader and an
+ * inventory of which repo decks the days link to.
+ *
+ * A .pptx file is a zip of XML parts. readZip() reads the zip directory and inflates parts
+ * with the platform's DecompressionStream (browsers, Node 18+). readDeck() then pulls each
+ * slide's title and text lines in presentation order, including SmartArt text. No library
+ * is needed, so the reader works offline from sw.js's cache.
+ *
+ * The plugin() adds a "Show slides" outline under each deck link in a day card, plus a
+ * "Slide decks" panel listing every linked deck, the days that use it, and links to repo
+ * files that are missing. It also lists repo decks that no day links to, read from the
+ * GitHub contents API when it is reachable. deck-inventory.js runs the same cross-check
+ * from the Node command line against the files on disk.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'), require('./pacing-validate'));
+  else root.SlideDecks = factory(root.PacingEngine, root.PacingValidate);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine, PacingValidate) {
+  'use strict';
+
+  const { escapeHtml, extractUrls, sanitizeUrl, matchesRole } = PacingEngine;
+  const { repoLinkOf, repoFileOf } = PacingValidate;
+  const DECK = /\.pptx$/i;
+
+  // ===================== ZIP =====================
+
+  /**
+   * The zip's central directory.
+   * @param {Uint8Array} bytes
+   * @returns {Map<string, { method: number, offset: number, compressedSize: number, size: number }>}
+   */
+  function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a zip file (no central directory).');
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    if (p === 0xffffffff) throw new Error('Zip64 files are not supported.');
+
+    const names = new TextDecoder();
+    const entries = new Map();
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      entries.set(names.decode(bytes.subarray(p + 46, p + 46 + nameLen)), {
+        encrypted: (view.getUint16(p + 8, true) & 1) === 1,
+        method: view.getUint16(p + 10, true),
+        compressedSize: view.getUint32(p + 20, true),
+        size: view.getUint32(p + 24, true),
+        offset: view.getUint32(p + 42, true),
+      });
+      p += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+  }
+
+  async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /** One part's bytes (stored or deflated). */
+  async function unzipEntry(bytes, entry) {
+    if (entry.encrypted) throw new Error('Encrypted zip entries are not supported.');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.offset, true) !== 0x04034b50) throw new Error('Corrupt zip entry.');
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflateRaw(data);
+    throw new Error(`Unsupported zip compression method ${entry.method}.`);
+  }
+
+  // ===================== PPTX =====================
+
+  function decodeXml(s) {
+    return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+      if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e.toLowerCase()];
+    });
+  }
+
+  /** Relationship Id -> Target from a .rels part. */
+  function relsOf(xml) {
+    const out = {};
+    (xml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+      const id = tag.match(/\bId="([^"]*)"/);
+      const target = tag.match(/\bTarget="([^"]*)"/);
+      if (id && target) out[id[1]] = decodeXml(target[1]);
+    });
+    return out;
+  }
+
+  // 'ppt/slides' + '../diagrams/data1.xml' -> 'ppt/diagrams/data1.xml'
+  function resolvePart(dir, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = dir.split('/').filter(Boolean);
+    target.split('/').forEach(seg => {
+      if (seg === '..') parts.pop();
+      else if (seg && seg !== '.') parts.push(seg);
+    });
+    return parts.join('/');
+  }
+
+  /** Text paragraphs of a DrawingML fragment, with their outline level. */
+  function paragraphsOf(xml) {
+    const out = [];
+    (xml.match(/<a:p(?=[\s>])[\s\S]*?<\/a:p>/g) || []).forEach(p => {
+      const text = (p.match(/<a:t>[^<]*<\/a:t>|<a:br\/>/g) || [])
+        .map(t => (t === '<a:br/>' ? ' ' : decodeXml(t.slice(5, -6))))
+        .join('').replace(/\s+/g, ' ').trim();
+      const lvl = p.match(/<a:pPr\b[^>]*\blvl="(\d+)"/);
+      if (text) out.push({ text, level: lvl ? Number(lvl[1]) : 0 });
+    });
+    return out;
+  }
+
+  /**
+   * Title and text lines of one slide. `diagrams` maps the slide's relationship ids to
+   * SmartArt data parts, whose text is read in place of the diagram.
+   * @returns {{ title: string, lines: Array<{ text: string, level: number }> }}
+   */
+  function slideOutline(xml, diagrams = {}) {
+    let title = '';
+    const lines = [];
+    (xml.match(/<p:(sp|graphicFrame)\b[^>]*>[\s\S]*?<\/p:\1>/g) || []).forEach(shape => {
+      const dm = shape.match(/\br:dm="([^"]*)"/);
+      const paras = paragraphsOf(dm ? diagrams[dm[1]] || '' : shape);
+      if (!title && /<p:ph\b[^>]*\btype="(title|ctrTitle)"/.test(shape)) title = paras.map(p => p.text).join(' ');
+      else lines.push(...paras);
+    });
+    return { title, lines };
+  }
+
+  /**
+   * Outline of a whole deck, in presentation order.
+   * @param {Uint8Array|ArrayBuffer} data  the .pptx file
+   * @returns {Promise<{ slides: Array<{ n: number, title: string, lines: Array<{ text: string, level: number }> }> }>}
+   */
+  async function readDeck(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const zip = readZip(bytes);
+    const utf8 = new TextDecoder();
+    const part = async name => (zip.has(name) ? utf8.decode(await unzipEntry(bytes, zip.get(name))) : '');
+
+    const presRels = relsOf(await part('ppt/_rels/presentation.xml.rels'));
+    const order = ((await part('ppt/presentation.xml')).match(/<p:sldId\b[^>]*>/g) || [])
+      .map(tag => (tag.match(/\br:id="([^"]*)"/) || [])[1])
+      .filter(id => presRels[id])
+      .map(id => resolvePart('ppt', presRels[id]));
+    // No presentation part (or an odd one): slide1, slide2, ... by number
+    const names = order.length ? order : Array.from(zip.keys())
+      .filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+      .sort((a, b) => Number(a.match(/\d+/g).pop()) - Number(b.match(/\d+/g).pop()));
+
+    const slides = [];
+    for (const name of names) {
+      const xml = await part(name);
+      const dir = name.replace(/\/[^/]*$/, '');
+      const rels = relsOf(await part(`${dir}/_rels/${name.slice(dir.length + 1)}.rels`));
+      const diagrams = {};
+      for (const id of (xml.match(/\br:dm="([^"]*)"/g) || []).map(m => m.slice(6, -1))) {
+        if (rels[id]) diagrams[id] = await part(resolvePart(dir, rels[id]));
+      }
+      slides.push(Object.assign({ n: slides.length + 1 }, slideOutline(xml, diagrams)));
+    }
+    return { slides };
+  }
+
+  // ===================== INVENTORY =====================
+
+  /**
+   * Deck links in the days: every link in a slides column, plus .pptx links anywhere else.
+   * `file` is the repo path for GitHub file links, '' for other hosts.
+   * @returns {Array<{ key: string, column: string, url: string, file: string }>}
+   */
+  function deckLinks(days, headers, config) {
+    const out = [];
+    days.forEach(day => headers.forEach(h => {
+      const slides = matchesRole(config.columns.slides, h);
+      extractUrls(day.row[h]).map(sanitizeUrl).filter(Boolean).forEach(url => {
+        if (slides || DECK.test(new URL(url).pathname)) out.push({ key: day.key, column: h, url, file: repoFileOf(url) });
+      });
+    }));
+    return out;
+  }
+
+  /**
+   * Cross-check deck links against the repo's files (null when the file list is unknown).
+   * @param {Array<{ key: string, file: string }>} links  from deckLinks(); extra fields are kept
+   * @param {string[]|null} repoFiles
+   * @returns {{ decks: Array<{ file: string, links: object[], exists: boolean|null }>, missing: object[], unused: string[]|null, external: object[] }}
+   */
+  function inventory(links, repoFiles) {
+    const known = repoFiles ? new Set(repoFiles) : null;
+    const byFile = new Map();
+    links.filter(l => l.file).forEach(l => {
+      if (!byFile.has(l.file)) byFile.set(l.file, { file: l.file, links: [], exists: known ? known.has(l.file) : null });
+      byFile.get(l.file).links.push(l);
+    });
+    const decks = Array.from(byFile.values()).sort((a, b) => a.file.localeCompare(b.file));
+    return {
+      decks,
+      missing: decks.filter(d => d.exists === false).flatMap(d => d.links),
+      unused: known ? repoFiles.filter(f => DECK.test(f) && !byFile.has(f)).sort() : null,
+      external: links.filter(l => !l.file),
+    };
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  function outlineHTML(deck) {
+    if (!deck.slides.length) return '<p>No slides found.</p>';
+    return `<ol class="deck-outline">${deck.slides.map(s => `
+      <li><strong>${escapeHtml(s.title || `Slide ${s.n}`)}</strong>${s.lines.length
+        ? `<ul>${s.lines.map(l => `<li style="--lvl:${l.level}">${escapeHtml(l.text)}</li>`).join('')}</ul>` : ''}</li>`).join('')}
+    </ol>`;
+  }
+
+  /**
+   * Pacing-engine plugin: slide outlines in the day cards and a "Slide decks" inventory panel.
+   * Repo decks load from this site (the GitHub Pages copy), so no cross-origin request is needed.
+   */
+  function plugin() {
+    return engine => {
+      const decks = new Map();   // url -> Promise<deck>
+      let repoFiles;             // undefined = not asked yet, null = unavailable
+
+      function loadDeck(url) {
+        if (!decks.has(url)) {
+          const file = repoFileOf(url);
+          const p = fetch(file ? encodeURI(file) : url)
+            .then(resp => { if (!resp.ok) throw new Error('HTTP ' + resp.status); return resp.arrayBuffer(); })
+            .then(readDeck);
+          p.catch(() => decks.delete(url));
+          decks.set(url, p);
+        }
+        return decks.get(url);
+      }
+
+      // ---------- Outline under each deck link ----------
+
+      engine.on('card', ({ card }) => {
+        card.querySelectorAll('.section a[href]').forEach(a => {
+          if (!DECK.test(a.pathname)) return;
+          const name = decodeURIComponent(a.pathname.split('/').pop());
+          const box = document.createElement('div');
+          box.className = 'deck-preview';
+          box.innerHTML = `<button type="button" class="btn deck-toggle" aria-expanded="false">Show slides: ${escapeHtml(name)}</button><div class="deck-body" hidden></div>`;
+          // After the link list, below any outlines already added for earlier links in it
+          let after = a.closest('.link-list') || a;
+          while (after.nextElementSibling && after.nextElementSibling.classList.contains('deck-preview')) after = after.nextElementSibling;
+          after.insertAdjacentElement('afterend', box);
+          const btn = box.querySelector('button');
+          const body = box.querySelector('.deck-body');
+          btn.addEventListener('click', () => {
+            const open = body.hidden;
+            body.hidden = !open;
+            btn.setAttribute('aria-expanded', String(open));
+            btn.textContent = `${open ? 'Hide' : 'Show'} slides: ${name}`;
+            if (!open || body.dataset.loaded) return;
+            body.textContent = 'Reading slides...';
+            loadDeck(a.href)
+              .then(deck => { body.innerHTML = outlineHTML(deck); body.dataset.loaded = '1'; })
+              .catch(err => { body.textContent = `Could not read ${name} (${err.message}). Use the link to download it.`; });
+          });
+        });
+      });
+
+      // ---------- Inventory panel ----------
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.hidden = true;
+      btn.setAttribute('aria-expanded', 'false');
+      engine.el.toolbar.appendChild(btn);
+
+      const box = document.createElement('section');
+      box.className = 'decks-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'Slide decks');
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+
+      // The repo's file list, from the GitHub contents API for the repo the links point at
+      function listRepo(links) {
+        const link = links.map(l => repoLinkOf(l.url)).find(Boolean);
+        if (!link) return Promise.resolve(null);
+        const dir = link.path.includes('/') ? link.path.replace(/\/[^/]*$/, '') : '';
+        return fetch(`https://api.github.com/repos/${link.owner}/${link.repo}/contents/${dir}?ref=${encodeURIComponent(link.ref)}`)
+          .then(resp => { if (!resp.ok) throw new Error('HTTP ' + resp.status); return resp.json(); })
+          .then(list => list.filter(f => f.type === 'file').map(f => f.path))
+          .catch(err => { console.warn('Could not list the repository files:', err); return null; });
+      }
+
+      function dayLinks(links) {
+        return links.map(l => `<a href="${escapeHtml(engine.dayHref(l.key))}" data-key="${escapeHtml(l.key)}">${escapeHtml(l.key)}</a>`).join(', ');
+      }
+
+      function draw() {
+        const links = deckLinks(engine.days, engine.headers, engine.config);
+        btn.hidden = !links.length;
+        btn.textContent = `Slide decks (${new Set(links.map(l => l.file || l.url)).size})`;
+        if (box.hidden) return;
+        const inv = inventory(links, repoFiles || null);
+        const status = d => (d.exists === null ? 'Not checked' : d.exists ? 'In repository' : 'Missing');
+        box.innerHTML = `
+          <h3>Linked decks</h3>
+          <table class="decks-table">
+            <thead><tr><th>Deck</th><th>Days</th><th>Status</th></tr></thead>
+            <tbody>${inv.decks.map(d => `
+              <tr class="${d.exists === false ? 'missing' : ''}"><td>${escapeHtml(d.file)}</td><td>${dayLinks(d.links)}</td><td>${status(d)}</td></tr>`).join('')}
+            </tbody>
+          </table>
+          ${inv.external.length ? `<h3>Other slide links</h3><ul>${inv.external.map(l => `<li>${dayLinks([l])}: <a href="${escapeHtml(l.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(l.url)}</a></li>`).join('')}</ul>` : ''}
+          <h3>Decks no day links to</h3>
+          ${repoFiles === undefined ? '<p>Checking the repository...</p>'
+            : inv.unused === null ? '<p>Could not list the repository files; <code>node deck-inventory.js</code> checks them from a checkout.</p>'
+              : inv.unused.length ? `<ul>${inv.unused.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>` : '<p>None: every deck is linked.</p>'}`;
+      }
+
+      btn.addEventListener('click', () => {
+        box.hidden = !box.hidden;
+        btn.setAttribute('aria-expanded', String(!box.hidden));
+        if (!box.hidden && repoFiles === undefined) {
+          listRepo(deckLinks(engine.days, engine.headers, engine.config)).then(files => { repoFiles = files; draw(); });
+        }
+        draw();
+      });
+      box.addEventListener('click', e => {
+        const a = e.target.closest('a[data-key]');
+        if (!a) return;
+        e.preventDefault();
+        engine.openDay(a.dataset.key, { updateUrl: true, scroll: false });
+      });
+
+      engine.on('render', draw);
+      engine.on('patch', draw);
+    };
+  }
+
+  return { readZip, unzipEntry, relsOf, paragraphsOf, slideOutline, readDeck, deckLinks, inventory, plugin };
+});
@@ -0,0 +1,310 @@
+/*
+ * Standards alignment parsing and coverage for the pacing guides.
+ *
+ * Alignment cells come in two shapes:
+ *   tech+pacing.csv  "CompTIA Tech Standards: 3.5 Identify ...; 6.2 Explain ...; CSTA 3A Standards: 3A-IC-28 ..."
+ *                    (a "<Framework> Standards:" prefix carries over to the following codes)
+ *   pacing.csv       "CompTIA A+ Core 1 — Boot process, BIOS/UEFI, hardware diagnostics (...)"
+ *                    (no codes, so each listed topic counts as the standard)
+ *
+ * The coverage() plugin adds a "Standards coverage" panel to the pacing pages; the
+ * optional standards_catalog.csv lists every standard of a framework so the panel can
+ * show the ones no day covers.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pacing-engine'));
+  else root.Standards = factory(root.PacingEngine);
+})(typeof self !== 'undefined' ? self : this, function (PacingEngine) {
+  'use strict';
+
+  const { escapeHtml, matchesRole, csvToObjects } = PacingEngine;
+
+  // Alignment columns and the per-day lesson title columns
+  const ALIGNMENT = /alignment/i;
+  const LESSON = /^(lesson( \d+)?|title)$/i;
+
+  // "CSTA 3A Standards: ...", "IC3 GS6 Level 3: 1.1.3 ..." (a colon prefix without "Standards" only when a code follows)
+  const FRAMEWORK = /^([^:]{2,60}?)( Standards)?(?: \(([^)]*)\))?:\s*(.*)$/i;
+  const TOPIC_FRAMEWORK = /^(.+?)\s+[—–]\s+(.+)$/;
+  // Frameworks a "<Framework> — topics" cell may start with; other text before a dash is prose
+  const KNOWN_FRAMEWORKS = /^(CompTIA|CSTA|IB CS|IC3|Certiport|CYBER ?ORG|NCMF|PRAXIS|Michigan)\b/i;
+  // Other spellings of one framework: "IB CS Core HL" is "IB CS HL", and Michigan's
+  // levels ("Michigan 3A") share one code list whose codes already carry the level
+  const ALIASES = [
+    [/^IB CS Core (HL|SL)$/i, 'IB CS $1'],
+    [/^Michigan\b.*$/i, 'Michigan'],
+  ];
+  const CODE = /^((?:[A-Z]{1,2}\d|\d)[\w.\-]*|[IVX]+(?:\.\w+)+)(?=\s|$)/;
+
+  function clean(s) {
+    return String(s || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function stripEnd(s) {
+    return clean(s).replace(/[.;,]+$/, '');
+  }
+
+  // "CompTIA A+ Core 1 & Core 2" / "Core 1 & 2" -> both; "IB CS HL/SL" -> "IB CS HL", "IB CS SL";
+  // aliases resolved ("IB CS Core HL/SL" -> the same two)
+  function splitFrameworks(name) {
+    const parts = clean(name).split(/\s*&\s*/);
+    const first = parts[0];
+    const names = [first].concat(parts.slice(1).map(p => {
+      if (!p.includes(' ')) return first.replace(/\S+$/, p);
+      const at = first.lastIndexOf(p.split(' ')[0]);
+      return at > 0 ? first.slice(0, at) + p : p;
+    }));
+    const split = names.flatMap(n => {
+      const m = n.match(/^(.*\s)(\w+(?:\/\w+)+)$/);
+      return m ? m[2].split('/').map(v => m[1] + v) : [n];
+    });
+    return Array.from(new Set(split.map(canonical)));
+  }
+
+  function canonical(name) {
+    const alias = ALIASES.find(([re]) => re.test(name));
+    return alias ? name.replace(alias[0], alias[1]) : name;
+  }
+
+  function isFramework(name, known) {
+    const lower = name.toLowerCase();
+    return KNOWN_FRAMEWORKS.test(name) || known.some(k => k.toLowerCase() === lower);
+  }
+
+  function topicItems(text) {
+    return clean(text).replace(/\([^)]*\)/g, '').split(/[;,]/).map(stripEnd).filter(Boolean);
+  }
+
+  /**
+   * Parse one alignment cell.
+   * @param {string} text
+   * @param {string[]} [known]  more framework names (the catalog's) a topic cell may start with
+   * @returns {Array<{ framework: string, code: string, description: string }>}
+   */
+  function parseAlignment(text, known = []) {
+    const out = [];
+    let frameworks = [];
+    let topicMode = false;
+    const push = (code, description) => frameworks.forEach(framework => out.push({ framework, code, description }));
+
+    String(text || '').split(';').forEach(raw => {
+      let seg = clean(raw).replace(/^lesson [\d.]+ standards:\s*/i, '');
+      if (!seg) return;
+
+      const fw = seg.match(FRAMEWORK);
+      if (fw && (fw[2] || CODE.test(fw[4]))) {
+        frameworks = splitFrameworks(fw[1]);
+        topicMode = false;
+        seg = fw[4];
+      } else {
+        const tf = seg.match(TOPIC_FRAMEWORK);
+        if (tf && !CODE.test(seg) && splitFrameworks(tf[1]).every(n => isFramework(n, known))) {
+          frameworks = splitFrameworks(tf[1]);
+          topicMode = true;
+          seg = tf[2];
+        }
+      }
+      if (!frameworks.length || !seg || /^none\b/i.test(seg)) return;
+
+      if (topicMode) {
+        topicItems(seg).forEach(t => push(t, ''));
+        return;
+      }
+      // Code lists: segments without a code are notes ("Michigan 3A/3B mirror above.")
+      const code = seg.match(CODE);
+      if (code) {
+        const rest = stripEnd(seg.slice(code[0].length)).replace(/^\((.*)\)$/, '$1');
+        push(stripEnd(code[1]), rest);
+      }
+    });
+    return out;
+  }
+
+  /** Parse standards_catalog.csv (Framework, Code, Description). */
+  function parseCatalog(text) {
+    return csvToObjects(text, 'Framework').rows
+      .filter(r => r.Code)
+      .map(r => ({ framework: r.Framework, code: r.Code, description: r.Description || '' }));
+  }
+
+  function lessonOf(row, headers) {
+    return headers.filter(h => LESSON.test(h)).map(h => row[h]).filter(Boolean).join(' / ');
+  }
+
+  /**
+   * Coverage per framework from the engine's days (or any [{ key, row }]).
+   * @param {Array<{ key: string, row: object }>} days
+   * @param {string[]} headers
+   * @param {Array<{ framework: string, code: string, description: string }>} [catalog]
+   * @returns {Array<{ framework: string, standards: Array<{ code: string, description: string, hits: Array<{ key: string, lesson: string, column: string }> }> }>}
+   */
+  function buildCoverage(days, headers, catalog = []) {
+    const alignCols = headers.filter(h => matchesRole(ALIGNMENT, h));
+    const map = new Map();
+    const entry = (framework, code, description) => {
+      if (!map.has(framework)) map.set(framework, new Map());
+      const fw = map.get(framework);
+      const key = code.toLowerCase();
+      if (!fw.has(key)) fw.set(key, { code, description: '', hits: [] });
+      const st = fw.get(key);
+      if (description.length > st.description.length) st.description = description;
+      return st;
+    };
+
+    catalog.forEach(c => entry(c.framework, c.code, c.description));
+    const known = Array.from(new Set(catalog.map(c => c.framework)));
+    days.forEach(day => {
+      const lesson = lessonOf(day.row, headers);
+      alignCols.forEach(column => {
+        parseAlignment(day.row[column], known).forEach(s => {
+          const st = entry(s.framework, s.code, s.description);
+          if (!st.hits.some(h => h.key === day.key)) st.hits.push({ key: day.key, lesson, column });
+        });
+      });
+    });
+
+    // Catalog frameworks this course never references are left out
+    const byCode = (a, b) => a.code.localeCompare(b.code, undefined, { numeric: true });
+    return Array.from(map, ([framework, fw]) => ({ framework, standards: Array.from(fw.values()).sort(byCode) }))
+      .filter(fw => fw.standards.some(st => st.hits.length))
+      .sort((a, b) => a.framework.localeCompare(b.framework));
+  }
+
+  function csvCell(v) {
+    const s = String(v == null ? '' : v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /** Flatten coverage to CSV: one line per standard, covered or not. */
+  function coverageToCSV(coverage) {
+    const lines = [['Framework', 'Code', 'Description', 'Covered', 'Times Covered', 'Days', 'Lessons']];
+    coverage.forEach(fw => fw.standards.forEach(st => lines.push([
+      fw.framework,
+      st.code,
+      st.description,
+      st.hits.length ? 'Yes' : 'No',
+      st.hits.length,
+      st.hits.map(h => h.key).join('; '),
+      st.hits.map(h => h.lesson).filter(Boolean).join('; '),
+    ])));
+    return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // ===================== ENGINE PLUGIN =====================
+
+  /**
+   * Pacing-engine plugin: a "Standards coverage" toolbar button and panel listing every
+   * standard, the days that hit it and the uncovered ones, with CSV export.
+   * @param {{ catalog?: string }} [options]  catalog CSV URL; '' to skip
+   */
+  function coverage(options = {}) {
+    const opts = Object.assign({ catalog: 'standards_catalog.csv' }, options);
+
+    return engine => {
+      let catalog = [];
+      let current = [];
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.textContent = 'Standards coverage';
+      btn.setAttribute('aria-expanded', 'false');
+      engine.el.toolbar.appendChild(btn);
+
+      const box = document.createElement('section');
+      box.className = 'standards-panel';
+      box.hidden = true;
+      box.setAttribute('aria-label', 'Standards coverage');
+      box.innerHTML = `
+        <div class="standards-controls">
+          <select id="stdFramework" aria-label="Framework"></select>
+          <label><input type="checkbox" id="stdUncovered"> Only uncovered</label>
+          <button id="stdExport" class="btn" type="button">Export CSV</button>
+        </div>
+        <div id="stdSummary" class="standards-summary"></div>
+        <div id="stdTable"></div>`;
+      engine.el.toolbar.closest('header').insertAdjacentElement('afterend', box);
+      const $ = id => box.querySelector('#' + id);
+
+      function compute() {
+        const hasAlignment = engine.headers.some(h => matchesRole(ALIGNMENT, h));
+        current = hasAlignment ? buildCoverage(engine.days, engine.headers, catalog) : [];
+        const sel = $('stdFramework');
+        const prev = sel.value;
+        sel.innerHTML = '<option value="">All frameworks</option>' +
+          current.map(fw => `<option value="${escapeHtml(fw.framework)}">${escapeHtml(fw.framework)}</option>`).join('');
+        if (current.some(fw => fw.framework === prev)) sel.value = prev;
+        btn.hidden = !current.length;
+        draw();
+      }
+
+      function draw() {
+        const only = $('stdFramework').value;
+        const uncoveredOnly = $('stdUncovered').checked;
+        const list = current.filter(fw => !only || fw.framework === only);
+        const total = list.reduce((n, fw) => n + fw.standards.length, 0);
+        const covered = list.reduce((n, fw) => n + fw.standards.filter(s => s.hits.length).length, 0);
+        $('stdSummary').textContent = `${covered} of ${total} standards covered${catalog.length ? '' : ' (add standards_catalog.csv to list uncovered standards)'}.`;
+
+        $('stdTable').innerHTML = list.map(fw => {
+          const rows = fw.standards.filter(s => !uncoveredOnly || !s.hits.length);
+          if (!rows.length) return '';
+          const hit = fw.standards.filter(s => s.hits.length).length;
+          return `
+            <h3>${escapeHtml(fw.framework)} <span class="standards-count">${hit}/${fw.standards.length}</span></h3>
+            <table class="standards-table">
+              <thead><tr><th>Standard</th><th>Description</th><th>Days</th></tr></thead>
+              <tbody>${rows.map(s => `
+                <tr class="${s.hits.length ? '' : 'uncovered'}">
+                  <td>${escapeHtml(s.code)}</td>
+                  <td>${escapeHtml(s.description)}</td>
+                  <td>${s.hits.length
+                    ? s.hits.map(h => `<a href="${escapeHtml(engine.dayHref(h.key))}" data-key="${escapeHtml(h.key)}" title="${escapeHtml(h.lesson)}">${escapeHtml(h.key)}</a>`).join(', ')
+                    : 'Not covered'}</td>
+                </tr>`).join('')}
+              </tbody>
+            </table>`;
+        }).join('') || '<p>No standards match.</p>';
+      }
+
+      function exportCsv() {
+        const only = $('stdFramework').value;
+        const csv = coverageToCSV(current.filter(fw => !only || fw.framework === only));
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${engine.config.id || 'pacing'}-standards-coverage.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+      }
+
+      btn.addEventListener('click', () => {
+        box.hidden = !box.hidden;
+        btn.setAttribute('aria-expanded', String(!box.hidden));
+      });
+      $('stdFramework').addEventListener('change', draw);
+      $('stdUncovered').addEventListener('change', draw);
+      $('stdExport').addEventListener('click', exportCsv);
+      $('stdTable').addEventListener('click', e => {
+        const a = e.target.closest('a[data-key]');
+        if (!a) return;
+        e.preventDefault();
+        engine.openDay(a.dataset.key, { updateUrl: true, scroll: false });
+      });
+
+      engine.on('render', compute);
+      engine.on('patch', compute);
+
+      if (opts.catalog) {
+        fetch(opts.catalog)
+          .then(resp => { if (!resp.ok) throw new Error('HTTP ' + resp.status); return resp.text(); })
+          .then(text => { catalog = parseCatalog(text); if (engine.days.length) compute(); })
+          .catch(err => console.warn('Standards catalog not loaded:', err));
+      }
+    };
+  }
+
+  return { parseAlignment, splitFrameworks, parseCatalog, buildCoverage, coverageToCSV, coverage };
+});
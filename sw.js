@@ -0,0 +1,144 @@
+/*
+ * Service worker for the pacing pages (registered by pacing-engine.js).
+ *
+ * - App shell (pages, scripts, styles, local CSVs) is precached; it and other same-origin
+ *   .html/.js/.css files are served stale-while-revalidate. Bump VERSION when SHELL
+ *   changes so the old cache is dropped on activate.
+ * - CSV requests, including the published Google Sheets, are network-first. The cache
+ *   key drops the engine's `t=` cache-buster, and a cached fallback carries an
+ *   `X-Cached-At` header so the page can say how old the data is.
+ * - Slide decks (.pptx) and CDN scripts are cache-first once fetched.
+ * - /api/ (the sign-up and scoreboard servers) and anything else goes straight to the network.
+ */
+const CACHE_PREFIX = 'csgames-';
+const VERSION = 'v4';
+const CACHE = CACHE_PREFIX + VERSION;
+const SHELL = [
+  './',
+  'A+Pacing.html',
+  'Tech+Pacing.html',
+  'interactive_java_pacing.html',
+  'pacing.css',
+  'safe-html.js',
+  'pacing-engine.js',
+  'pacing-courses.js',
+  'data-settings.js',
+  'school-calendar.js',
+  'pacing-schedule.js',
+  'pacing-validate.js',
+  'standards.js',
+  'pacing-timer.js',
+  'print-view.js',
+  'pacing-print.js',
+  'slide-decks.js',
+  'brain-breaks.js',
+  'pacing-search.js',
+  'pacing-roles.js',
+  'school-events.js',
+  'school-changes.js',
+  'pacing.csv',
+  'tech%2Bpacing.csv',
+  'java_pacing.csv',
+  'java_graded.csv',
+  'School_Calendar_Master.csv',
+  'standards_catalog.csv',
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      // One missing file must not fail the whole install
+      .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(err => console.warn('precache failed:', url, err)))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function cacheKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.delete('t');
+  return url.toString();
+}
+
+function isCsv(url) {
+  return /\.csv$/i.test(url.pathname) || url.searchParams.get('output') === 'csv';
+}
+
+const SHELL_PATHS = new Set(SHELL.map(entry => new URL(entry, self.registration.scope).pathname));
+
+function isShell(url) {
+  return url.origin === self.location.origin
+    && (SHELL_PATHS.has(url.pathname) || /\.(html|js|css)$/i.test(url.pathname));
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  const key = cacheKey(request);
+  try {
+    const resp = await fetch(request);
+    if (!resp.ok) throw new Error('HTTP ' + resp.status);
+    const headers = new Headers(resp.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const body = await resp.clone().blob();
+    await cache.put(key, new Response(body, { status: 200, statusText: 'OK', headers }));
+    return resp;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const resp = await fetch(request);
+  if (resp.ok || resp.type === 'opaque') cache.put(request, resp.clone());
+  return resp;
+}
+
+// Shell files: serve the cached copy, refresh it in the background. A page is stored
+// without its query string, so every ?day= link shares the one entry.
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE);
+  let key = request;
+  if (request.mode === 'navigate') {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    key = url.href;
+  }
+  const hit = await cache.match(key, { ignoreSearch: request.mode === 'navigate' });
+  const update = fetch(request)
+    .then(resp => { if (resp.ok) cache.put(key, resp.clone()); return resp; })
+    .catch(() => new Response('Offline, and this page has not been saved for offline use yet.', {
+      status: 504,
+      statusText: 'Gateway Timeout',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    }));
+  return hit || update;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.includes('/api/')) return;
+
+  if (isCsv(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (/\.pptx$/i.test(url.pathname) || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (isShell(url)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
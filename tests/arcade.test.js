@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PER_BOARD, cleanInitials, cleanScore, mergeScores, importScores, topScores, qualifies, addScore,
+  exportScores, parseScores, readScores, writeScores, readSettings, writeSettings, settingsFromUrl,
+  bestScore, noteBest, renderBoard, periodLabel,
+} = require('../arcade.js');
+const { memoryStore } = require('./helpers');
+
+const at = n => new Date(Date.UTC(2026, 9, 1, 12, n)).toISOString();
+const entry = (initials, score, extra) => Object.assign({ game: 'snake', period: '3', initials, score, at: at(score % 60) }, extra);
+
+test('initials and scores are cleaned; anything that can’t be a score is null', () => {
+  assert.equal(cleanInitials(' j.d '), 'JD');
+  assert.equal(cleanInitials('abcd'), 'ABC');
+  assert.deepEqual(cleanScore({ game: 'invaders', period: ' Open ', initials: 'ab', score: '120', at: '2026-10-01T12:00:00Z' }),
+    { game: 'invaders', period: 'Open', initials: 'AB', score: 120, at: '2026-10-01T12:00:00.000Z' });
+  assert.equal(cleanScore(entry('AB', 1.5)), null);
+  assert.equal(cleanScore(entry('AB', -1)), null);
+  assert.equal(cleanScore(entry('..', 10)), null);
+  assert.equal(cleanScore(entry('AB', 10, { game: 'pong' })), null);
+  assert.equal(cleanScore(entry('AB', 10, { period: '  ' })), null);
+  assert.equal(cleanScore(entry('AB', 10, { at: 'yesterday' })), null);
+  assert.equal(periodLabel('3'), 'Period 3');
+  assert.equal(periodLabel('Open'), 'Open');
+});
+
+test('each game and period keeps its own top ten, ties going to the earlier score', () => {
+  let scores = [];
+  for (let i = 1; i <= 12; i++) scores = addScore(scores, entry('P' + i, i * 10)).scores;
+  scores = addScore(scores, entry('INV', 5, { game: 'invaders' })).scores;
+  scores = addScore(scores, entry('P4', 500, { period: '4' })).scores;
+  const board = topScores(scores, 'snake', '3');
+  assert.equal(board.length, MAX_PER_BOARD);
+  assert.deepEqual([board[0].initials, board[9].initials], ['P12', 'P3']);
+  assert.equal(topScores(scores, 'invaders', '3').length, 1);
+  assert.equal(topScores(scores, 'snake', '4')[0].score, 500);
+
+  assert.ok(!qualifies(scores, 'snake', '3', 30));
+  assert.ok(qualifies(scores, 'snake', '3', 31));
+  assert.ok(qualifies(scores, 'snake', '5', 1));
+  assert.ok(!qualifies(scores, 'snake', '5', 0));
+
+  const tie = addScore(scores, { game: 'snake', period: '3', initials: 'NEW', score: 120, at: at(59) });
+  assert.equal(tie.rank, 2);
+  assert.equal(addScore(scores, entry('LOW', 1)).rank, 0);
+  assert.throws(() => addScore(scores, entry('', 100)), /needs a game, a period and initials/);
+});
+
+test('export and import round-trip; importing the same file twice adds nothing', () => {
+  const mine = [entry('AB', 40), entry('CD', 30)].map(cleanScore);
+  const theirs = [entry('AB', 40), entry('EF', 50), entry('GH', 20, { period: '6' })].map(cleanScore);
+  const parsed = parseScores(exportScores(theirs, new Date('2026-10-18T15:00:00Z')));
+  assert.deepEqual(parsed, { scores: theirs, skipped: 0 });
+
+  const first = importScores(mine, parsed.scores);
+  assert.equal(first.added, 2);
+  assert.deepEqual(topScores(first.scores, 'snake', '3').map(s => s.initials), ['EF', 'AB', 'CD']);
+  assert.equal(importScores(first.scores, parsed.scores).added, 0);
+  assert.equal(mergeScores(first.scores, first.scores).length, first.scores.length);
+});
+
+test('parseScores takes a bare array, skips bad rows and explains a wrong file', () => {
+  assert.deepEqual(parseScores(JSON.stringify([entry('AB', 10), { game: 'snake' }, null])).skipped, 2);
+  assert.throws(() => parseScores('{oops'), /isn’t JSON/);
+  assert.throws(() => parseScores('{"signups": []}'), /no scores/);
+});
+
+test('storage: unreadable scores read as none, settings remember period, initials and server', () => {
+  const store = memoryStore();
+  store.setItem('arcade:v1:scores', '{oops');
+  assert.deepEqual(readScores(store), []);
+  writeScores(store, [cleanScore(entry('AB', 10)), { game: 'snake' }]);
+  assert.equal(readScores(store).length, 1);
+
+  assert.deepEqual(readSettings(store), { period: '1', initials: '', scoreboard: '' });
+  writeSettings(store, { period: '4', initials: 'zz!' });
+  assert.deepEqual(settingsFromUrl(store, '?scoreboard=%20/api%20'), { period: '4', initials: 'ZZ', scoreboard: '/api' });
+  assert.equal(settingsFromUrl(store, '?period=2').scoreboard, '/api');
+  assert.equal(settingsFromUrl(store, '?scoreboard=').scoreboard, '');
+});
+
+test('settingsFromUrl only saves a scoreboard on the page’s own server', () => {
+  const store = memoryStore();
+  const page = 'http://10.0.0.5:8788/arcade.html?scoreboard=x';
+  assert.equal(settingsFromUrl(store, '?scoreboard=http://10.0.0.5:8788/api', page).scoreboard, 'http://10.0.0.5:8788/api');
+  assert.equal(settingsFromUrl(store, '?scoreboard=/api', page).scoreboard, '/api');
+  for (const hostile of ['https://evil.test/api', '//evil.test/api', 'http://10.0.0.5:9999/api', 'javascript:alert(1)']) {
+    assert.equal(settingsFromUrl(store, `?scoreboard=${encodeURIComponent(hostile)}`, page).scoreboard, '/api', hostile);
+  }
+  assert.equal(settingsFromUrl(store, '?scoreboard=https://evil.test/api').scoreboard, '/api', 'no page address: relative only');
+});
+
+test('Best carries over the old per-game best and follows the leaderboards', () => {
+  const store = memoryStore();
+  store.setItem('snake-best', '42');
+  assert.equal(bestScore(store, 'snake'), 42);
+  assert.equal(bestScore(store, 'invaders'), 0);
+  writeScores(store, [cleanScore(entry('AB', 50))]);
+  assert.equal(bestScore(store, 'snake'), 50);
+  noteBest(store, 'invaders', 300);
+  noteBest(store, 'invaders', 200);
+  assert.equal(store.getItem('invaders-best'), '300');
+});
+
+test('renderBoard marks the new score and escapes imported text', () => {
+  const board = [cleanScore(entry('AB', 1200)), cleanScore(entry('CD', 30))];
+  const html = renderBoard(board, { highlight: 2 });
+  assert.match(html, /<li><span class="arcade-initials">AB<\/span><span class="arcade-score">1,200<\/span>/);
+  assert.match(html, /<li class="arcade-new"><span class="arcade-initials">CD/);
+  assert.match(renderBoard([], { empty: '<b>none</b>' }), /&lt;b&gt;none&lt;\/b&gt;/);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, dayRange, parseCSV, resolveConfig } = require('../pacing-engine.js');
+const { parseBreaks, breakColumn, buildLibrary, repeats, suggest, columnToCSV } = require('../brain-breaks.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+function load(id, file) {
+  const config = resolveConfig(courses[id]);
+  const { headers, rows } = csvToObjects(repo(file), config.columns.day);
+  const days = rows.map(row => {
+    const range = dayRange(row[config.columns.day], config);
+    return { key: row[config.columns.day], start: range && range.start, end: range && range.end, row };
+  });
+  return { headers, rows, days, column: breakColumn(headers) };
+}
+
+test('parseBreaks names each activity in a cell', () => {
+  assert.deepEqual(parseBreaks('Brain Break: Riddle 1: Egg Riddle; Riddle 2: Candle Riddle; Phones/snack/drink allowed').map(a => a.name),
+    ['Egg Riddle', 'Candle Riddle']);
+  assert.deepEqual(parseBreaks('Brain Break (5 min): Quick Draw Challenge — Draw a robot (2 minutes).').map(a => a.name), ['Quick Draw Challenge']);
+  assert.deepEqual(parseBreaks('Brain Break: OS Charades (15 min) — Instructor hides slides').map(a => a.name), ['OS Charades']);
+  assert.equal(parseBreaks('Would You Rather (Round 2).')[0].key, parseBreaks('Would You Rather: Fun scenarios.')[0].key);
+  assert.equal(parseBreaks('Trivia 2: Mixed topics.')[0].name, 'Trivia');
+  assert.deepEqual(parseBreaks('  '), []);
+});
+
+test('breakColumn finds the brain-break column but not its minutes column', () => {
+  assert.equal(load('techplus', 'tech+pacing.csv').column, 'Brain Break (5-10 min)');
+  assert.equal(breakColumn(['Day', 'Minutes: Brain Break']), '');
+});
+
+test('the Tech+ library counts uses and flags the nearby Would You Rather repeat', () => {
+  const { days, column } = load('techplus', 'tech+pacing.csv');
+  const library = buildLibrary(days, column);
+  const wyr = library.find(e => e.name === 'Would You Rather');
+  assert.deepEqual(wyr.uses.map(u => u.day.key), ['09/03/2025', '09/16/2025']);
+  assert.deepEqual(repeats(library, 10).map(r => [r.activity.name, r.first.key, r.second.key, r.gap]),
+    [['Would You Rather', '09/03/2025', '09/16/2025', 9]]);
+  assert.deepEqual(repeats(library, 8), []);
+});
+
+test('suggest rotates the least recently used activity into empty cells', () => {
+  const day = (n, text) => ({ key: `9/${n}`, start: new Date(2025, 8, n), row: { Day: `9/${n}`, 'Brain Break': text } });
+  const days = [day(1, 'Simon Says'), day(2, 'Pictionary'), day(3, 'Story Chain'), day(4, ''), day(5, ''), day(8, 'Pictionary'), day(9, '')];
+  const library = buildLibrary(days, 'Brain Break');
+  const picks = suggest(days, 'Brain Break', library, 2);
+  assert.deepEqual(picks.map(p => [p.day.key, p.activity && p.activity.name]),
+    [['9/4', 'Simon Says'], ['9/5', null], ['9/9', 'Story Chain']]);
+  assert.equal(picks[0].text, 'Simon Says');
+});
+
+test('suggest leaves the A+ guide’s one empty day a valid pick', () => {
+  const { days, column } = load('aplus', 'pacing.csv');
+  const library = buildLibrary(days, column);
+  const picks = suggest(days, column, library, 10);
+  assert.deepEqual(picks.map(p => p.day.key), ['9/22/2025']);
+  const at = days.filter(d => d.start).sort((a, b) => a.start - b.start).findIndex(d => d.key === '9/22/2025');
+  assert.ok(picks[0].activity.uses.every(u => Math.abs(u.index - at) > 10));
+});
+
+test('columnToCSV exports the day and brain-break columns with fills, in sheet order', () => {
+  const { rows, column } = load('aplus', 'pacing.csv');
+  const empty = rows.find(r => !r[column].trim());
+  const csv = columnToCSV(rows, 'Day', column, new Map([[empty, 'Simon Says: 10 minutes.']]));
+  const table = parseCSV(csv).filter(r => r.some(Boolean));
+  assert.deepEqual(table[0], ['Day', 'Brain Break']);
+  assert.equal(table.length, rows.length + 1);
+  assert.deepEqual(table.find(r => r[0] === '9/22/2025'), ['9/22/2025', 'Simon Says: 10 minutes.']);
+  assert.equal(table[2][1], rows[1][column]);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sheetCsvUrl, fromQuery, readSaved, resolve, save, reset, shareLink, csvHeaders, guessColumns, pacingFields, pacingCourse,
+} = require('../data-settings.js');
+const { aplus, java } = require('../pacing-courses.js');
+const { repo, fixture, memoryStore } = require('./helpers');
+
+const DEFAULTS = { sources: ['School_Calendar_Master.csv'], refreshMinutes: 15, weekStart: 'monday', columns: {} };
+
+test('Google Sheet links become CSV links; other URLs pass through', () => {
+  assert.equal(sheetCsvUrl('https://docs.google.com/spreadsheets/d/abc_123/edit#gid=42'),
+    'https://docs.google.com/spreadsheets/d/abc_123/export?format=csv&gid=42');
+  assert.equal(sheetCsvUrl('https://docs.google.com/spreadsheets/d/abc_123/edit?usp=sharing'),
+    'https://docs.google.com/spreadsheets/d/abc_123/export?format=csv&gid=0');
+  assert.equal(sheetCsvUrl('https://docs.google.com/spreadsheets/d/e/2PACX-1v/pubhtml?gid=7&single=true'),
+    'https://docs.google.com/spreadsheets/d/e/2PACX-1v/pub?gid=7&single=true&output=csv');
+  assert.equal(sheetCsvUrl(aplus.sources[0]), aplus.sources[0], 'an already-published CSV link is left alone');
+  assert.equal(sheetCsvUrl(' tech%2Bpacing.csv '), 'tech%2Bpacing.csv');
+});
+
+test('URL parameters win over saved settings, which win over defaults', () => {
+  const storage = memoryStore();
+  assert.deepEqual(resolve('no-school', DEFAULTS, { search: '', storage }), Object.assign({ overridden: [] }, DEFAULTS));
+  save('no-school', { sources: ['mine.csv'], refreshMinutes: '0', weekStart: 'sunday', columns: { school: 'Building' } }, storage);
+  const saved = resolve('no-school', DEFAULTS, { search: '', storage });
+  assert.deepEqual([saved.sources, saved.refreshMinutes, saved.weekStart, saved.columns], [['mine.csv'], 0, 'sunday', { school: 'Building' }]);
+  const linked = resolve('no-school', DEFAULTS, { search: '?csv=a.csv&csv=b.csv&col.date=Start%20Date&day=09/02/2025', storage });
+  assert.deepEqual(linked.sources, ['a.csv', 'b.csv']);
+  assert.deepEqual(linked.columns, { school: 'Building', date: 'Start Date' }, 'column maps merge per field');
+  assert.equal(linked.weekStart, 'sunday');
+  assert.deepEqual(linked.overridden, ['csv', 'col.date']);
+  reset('no-school', storage);
+  assert.deepEqual(resolve('no-school', DEFAULTS, { search: '', storage }).sources, DEFAULTS.sources);
+});
+
+test('malformed saved or URL values are ignored', () => {
+  const storage = memoryStore();
+  storage.setItem('data-settings:v1:aplus', '{not json');
+  assert.deepEqual(resolve('aplus', DEFAULTS, { search: '?refresh=-5&weekStart=friday&csv=', storage }), Object.assign({ overridden: [] }, DEFAULTS));
+  assert.deepEqual(fromQuery('?refresh=soon'), {});
+});
+
+test('refresh: 0 turns it off, anything else is at least a minute', () => {
+  const storage = memoryStore();
+  assert.equal(fromQuery('?refresh=0').refreshMinutes, 0);
+  assert.equal(fromQuery('?refresh=0.001').refreshMinutes, 1);
+  assert.equal(fromQuery('?refresh=2.5').refreshMinutes, 2.5);
+  save('aplus', { refreshMinutes: '0.01' }, storage);
+  assert.equal(readSaved('aplus', storage).refreshMinutes, 1);
+  assert.equal(resolve('aplus', DEFAULTS, { search: '?refresh=0', storage }).refreshMinutes, 0);
+});
+
+test('shareLink round-trips through fromQuery and keeps unrelated parameters', () => {
+  const settings = { sources: ['https://example.org/a.csv?x=1&y=2', 'b.csv'], refreshMinutes: 5, weekStart: 'sunday', columns: { day: 'Date' } };
+  const link = shareLink(settings, 'https://aspiece.github.io/CSGames/A+Pacing.html?day=09/02/2025&csv=old.csv&col.video=Old');
+  const u = new URL(link);
+  assert.equal(u.searchParams.get('day'), '09/02/2025');
+  assert.deepEqual(fromQuery(u.search), settings);
+});
+
+test('csvHeaders skips the BOM and comment lines', () => {
+  assert.deepEqual(csvHeaders(fixture('clio-ranges-export.csv')), ['School Name', 'Event', 'Start Date', 'End Date', 'Notes']);
+  assert.deepEqual(csvHeaders(''), []);
+});
+
+test('guessColumns: explicit mappings win, optional fields stay blank when absent', () => {
+  const fields = pacingFields(aplus);
+  assert.deepEqual(guessColumns(['Date', 'Lesson', 'Videos'], fields), { day: 'Date', video: 'Videos', slides: '' });
+  assert.deepEqual(guessColumns(['Date', 'Lesson', 'Videos'], fields, { video: 'Lesson', slides: 'Gone' }),
+    { day: 'Date', video: 'Lesson', slides: '' });
+  const real = csvHeaders(repo('java_pacing.csv'));
+  assert.equal(guessColumns(real, pacingFields(java)).day, 'Week');
+});
+
+test('pacingCourse applies saved sources, refresh and column roles to a course', () => {
+  const storage = memoryStore();
+  const plain = pacingCourse(aplus, { search: '', storage });
+  assert.deepEqual(plain.sources, aplus.sources);
+  assert.equal(plain.refreshMs, 5 * 60 * 1000);
+  assert.equal(plain.plugins.length, 1, 'adds the toolbar button');
+  save('aplus', { sources: ['fork.csv'], refreshMinutes: 0, columns: { day: 'Date', video: 'Clips' } }, storage);
+  const forked = pacingCourse(aplus, { search: '', storage });
+  assert.deepEqual(forked.sources, ['fork.csv']);
+  assert.equal(forked.refreshMs, 0);
+  assert.equal(forked.columns.day, 'Date');
+  assert.equal(forked.columns.video, 'Clips');
+  assert.equal(forked.schema, aplus.schema, 'the rest of the course is untouched');
+});
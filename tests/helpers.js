@@ -0,0 +1,26 @@
+'use strict';
+
+// Shared by the test files; not a test itself
+const fs = require('fs');
+const path = require('path');
+
+/** Path of a file at the repo root. */
+const repoPath = name => path.join(__dirname, '..', name);
+
+/** A file at the repo root (the real CSVs), as text. */
+const repo = name => fs.readFileSync(repoPath(name), 'utf8');
+
+/** A file from tests/fixtures, as text. */
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/** Map-backed stand-in for localStorage. */
+function memoryStore() {
+  const map = new Map();
+  return {
+    getItem: k => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: k => map.delete(k),
+  };
+}
+
+module.exports = { repoPath, repo, fixture, memoryStore };
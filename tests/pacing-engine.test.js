@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCSV, findHeaderRow, csvToObjects, parseDay, normalizeDayKey, formatMDY,
+  inferAcademicStartYear, parseWeekRange, dayRange, resolveConfig,
+} = require('../pacing-engine.js');
+const courses = require('../pacing-courses.js');
+const { repo, fixture } = require('./helpers');
+
+test('parseCSV keeps quoted commas, doubled quotes and line breaks inside a cell', () => {
+  const rows = parseCSV('Day,Notes\r\n9/2/2025,"Ports, cables ""and"" power\nsecond line"\r\n');
+  assert.deepEqual(rows, [['Day', 'Notes'], ['9/2/2025', 'Ports, cables "and" power\nsecond line']]);
+});
+
+test('parseCSV keeps a last row without a trailing newline', () => {
+  assert.deepEqual(parseCSV('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCSV(''), []);
+});
+
+test('findHeaderRow skips BOM, comment and filepath lines', () => {
+  const records = parseCSV(fixture('pacing-export.csv'));
+  assert.equal(findHeaderRow(records), 1);
+  assert.equal(findHeaderRow(parseCSV('# only a comment\n\n')), -1);
+});
+
+test('csvToObjects reads a Sheets export with a BOM, a filepath comment and blank rows', () => {
+  const { headers, rows } = csvToObjects(fixture('pacing-export.csv'));
+  assert.equal(headers[0], 'Day');
+  assert.ok(headers.includes('CSTA Alignment'));
+  assert.deepEqual(rows.map(r => r.Day), ['8/29/2025', '9/2/2025', '9/3/2025']);
+  assert.match(rows[1]['Learning Objectives'], /^Explain causes of application freezes and blue screens\./);
+});
+
+test('csvToObjects returns no rows when the day column is missing', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(csvToObjects('Date,Lesson\n9/2/2025,Intro').rows, []);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('pacing.csv: every row has an M/D/YYYY day and quoted cells stay whole', () => {
+  const { headers, rows } = csvToObjects(repo('pacing.csv'));
+  assert.equal(rows.length, 17);
+  rows.forEach(r => assert.ok(parseDay(r.Day), `bad day ${r.Day}`));
+  rows.forEach(r => assert.equal(Object.keys(r).length, headers.length));
+  assert.ok(rows.some(r => r.Topics.includes(',') || r['Learning Objectives'].includes(',')));
+});
+
+test('tech+pacing.csv: zero-padded days, minutes columns are numbers', () => {
+  const config = resolveConfig(courses.techplus);
+  const { headers, rows } = csvToObjects(repo('tech+pacing.csv'), config.columns.day);
+  assert.equal(rows.length, 15);
+  assert.equal(rows[0].Day, '09/02/2025');
+  assert.match(rows[0]['Learning Objectives (Lesson 1)'], /^Evaluate the accuracy, relevance, comprehensiveness/);
+  const minutes = headers.filter(h => config.columns.minutes.test(h));
+  assert.equal(minutes.length, 5);
+  rows.forEach(r => minutes.forEach(h => assert.ok(!r[h] || Number.isFinite(Number(r[h])), `${r.Day} ${h}=${r[h]}`)));
+});
+
+test('parseDay / normalizeDayKey / formatMDY', () => {
+  const d = parseDay('9/2/2025');
+  assert.deepEqual([d.getFullYear(), d.getMonth(), d.getDate()], [2025, 8, 2]);
+  assert.equal(parseDay('2025-09-02'), null);
+  assert.equal(parseDay('9/33/2025'), null, 'no rolling into October');
+  assert.equal(parseDay('2/29/2025'), null);
+  assert.equal(parseDay('2/29/2028').getDate(), 29);
+  assert.equal(normalizeDayKey('9/2/2025'), normalizeDayKey('09/02/2025'));
+  assert.equal(formatMDY(d), '09/02/2025');
+});
+
+test('inferAcademicStartYear rolls over in July', () => {
+  assert.equal(inferAcademicStartYear(new Date(2026, 5, 30)), 2025);
+  assert.equal(inferAcademicStartYear(new Date(2026, 6, 1)), 2026);
+});
+
+test('parseWeekRange puts Jan–Jun in the next calendar year', () => {
+  const r = parseWeekRange('Week 19: Dec 29 – Jan 02', 2025);
+  assert.deepEqual([r.start.getFullYear(), r.start.getMonth(), r.start.getDate()], [2025, 11, 29]);
+  assert.deepEqual([r.end.getFullYear(), r.end.getMonth(), r.end.getDate()], [2026, 0, 2]);
+  assert.equal(parseWeekRange('Week 4: Sep 15 - 19', 2025).end.getDate(), 19);
+  assert.equal(parseWeekRange('Week 4', 2025), null);
+});
+
+test('java_pacing.csv: weeks run Monday to Friday, a week apart, across New Year', () => {
+  const config = resolveConfig(courses.java);
+  const { rows } = csvToObjects(repo('java_pacing.csv'), config.columns.day);
+  assert.equal(rows.length, 21);
+  let prev = null;
+  rows.forEach(r => {
+    const range = dayRange(r.Week, config);
+    assert.ok(range, `unparsed ${r.Week}`);
+    assert.equal(range.start.getDay(), 1, `${r.Week} starts on a Monday`);
+    assert.equal(range.end.getDay(), 5, `${r.Week} ends on a Friday`);
+    if (prev) assert.equal(Math.round((range.start - prev) / 86400000), 7, r.Week);
+    prev = range.start;
+  });
+  assert.equal(dayRange(rows[rows.length - 1].Week, config).start.getFullYear(), 2026);
+});
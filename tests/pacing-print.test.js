@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, dayRange, resolveConfig } = require('../pacing-engine.js');
+const { groupByWeek, semesterOf, weekPlan, booklet } = require('../pacing-print.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+// The engine's day list for a course CSV, without a browser
+function load(id, file) {
+  const config = resolveConfig(courses[id]);
+  const { headers, rows } = csvToObjects(repo(file), config.columns.day);
+  const days = rows.map(row => {
+    const range = dayRange(row[config.columns.day], config);
+    return { key: row[config.columns.day], start: range && range.start, end: range && range.end, row };
+  });
+  return { config, headers, days };
+}
+
+test('groupByWeek files days under their Monday, oldest first, and drops undated days', () => {
+  const { days } = load('techplus', 'tech+pacing.csv');
+  const weeks = groupByWeek(days.slice().reverse().concat([{ key: 'TBD', start: null, row: {} }]));
+  assert.equal(weeks[0].monday.toDateString(), 'Mon Sep 01 2025');
+  assert.deepEqual(weeks[0].days.map(d => d.key), ['09/02/2025', '09/03/2025', '09/04/2025', '09/05/2025']);
+  assert.equal(weeks[1].days[0].key, '09/08/2025');
+  assert.equal(weeks.flatMap(w => w.days).length, days.length);
+});
+
+test('semesterOf splits fall (Jul–Dec) from spring (Jan–Jun)', () => {
+  assert.equal(semesterOf(new Date(2025, 8, 2)).label, 'Fall 2025');
+  assert.equal(semesterOf(new Date(2026, 0, 5)).label, 'Spring 2026');
+  assert.equal(semesterOf(new Date(2026, 5, 30)).label, 'Spring 2026');
+  assert.equal(semesterOf(new Date(2026, 6, 1)).label, 'Fall 2026');
+});
+
+test('weekPlan lists each day’s lessons, objectives and standards for that week only', () => {
+  const { config, headers, days } = load('techplus', 'tech+pacing.csv');
+  const [week, next] = groupByWeek(days);
+  const html = weekPlan(week, headers, config);
+  week.days.forEach(d => {
+    assert.ok(html.includes(d.row['Lesson 1']), d.key);
+    if (d.row['Lesson 2']) assert.ok(html.includes(d.row['Lesson 2']), d.key);
+  });
+  assert.ok(!html.includes(next.days[0].row['Lesson 1']));
+  assert.match(html, /<h4>Objectives<\/h4>/);
+  assert.match(html, /<b>CompTIA Tech:<\/b> [\d.]+/);
+  assert.match(html, /--cols:4/);
+  assert.match(html, /Week of Sep 1 – Sep 5, 2025/);
+  // Teaching-only columns stay out of the one-pager
+  assert.ok(!html.includes('Brain Break'));
+});
+
+test('weekPlan on a week-range course prints the week as one column under its own label', () => {
+  const { config, headers, days } = load('java', 'java_pacing.csv');
+  const week = groupByWeek(days)[2];
+  const html = weekPlan(week, headers, config);
+  assert.match(html, /--cols:1/);
+  assert.ok(html.includes(`<h2>${days[2].key}</h2>`));
+  assert.ok(html.includes('<h4>Topics</h4>'));
+});
+
+test('booklet prints one page per week of the semester with every column', () => {
+  const { config, headers, days } = load('aplus', 'pacing.csv');
+  const html = booklet(days, headers, config, semesterOf(new Date(2025, 8, 1)));
+  const weeks = groupByWeek(days);
+  assert.equal((html.match(/class="week-page"/g) || []).length, weeks.length);
+  assert.match(html, /Fall 2025 pacing booklet/);
+  assert.ok(html.includes('<h4>Teacher Prep</h4>'));
+  // Video cells print their address instead of a player; cells keep only allow-listed formatting
+  assert.ok(html.includes('<a href="https://www.youtube.com/watch?v=-BH8L2h1hUc">'));
+  assert.ok(!/<iframe/.test(html));
+  assert.ok(html.includes('<b>Activation:</b>'));
+  assert.equal((booklet(days, headers, config, semesterOf(new Date(2026, 2, 1))).match(/class="week-page"/g) || []).length, 0);
+});
+
+test('booklet shows each day’s planned minutes by segment', () => {
+  const { config, headers, days } = load('techplus', 'tech+pacing.csv');
+  const html = booklet(days, headers, config);
+  assert.match(html, /Planned time: \d+ min \(Beginning Discussion \d+ · Lesson 1 \d+/);
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, dayRange, matchesRole, resolveConfig } = require('../pacing-engine.js');
+const { DEFAULT_ROLES, roleOf, fieldsFor, missedDays } = require('../pacing-roles.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+// A course's card columns the way cardHTML lists them, plus its dated days
+function load(id, file) {
+  const config = resolveConfig(courses[id]);
+  const cols = config.columns;
+  const { headers, rows } = csvToObjects(repo(file), cols.day);
+  const fields = headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h) && !matchesRole(cols.hidden, h));
+  const days = rows.map(row => {
+    const range = dayRange(row[cols.day], config);
+    return { key: row[cols.day], start: range && range.start, end: range && range.end, row };
+  });
+  return { config, fields, days };
+}
+
+test('roleOf prefers ?role=, then the stored role, and falls back to teacher', () => {
+  assert.equal(roleOf('?role=student', 'substitute'), 'student');
+  assert.equal(roleOf('?day=09/02/2025&role=SUB', null), 'substitute');
+  assert.equal(roleOf('', 'substitute'), 'substitute');
+  assert.equal(roleOf('?role=admin', null), 'teacher');
+  assert.equal(roleOf('', null), 'teacher');
+});
+
+test('A+ students see the lesson, objectives, topics, slides and video, never teacher columns', () => {
+  const { config, fields } = load('aplus', 'pacing.csv');
+  assert.deepEqual(fieldsFor('student', fields, config.roles), ['Lesson', 'Learning Objectives', 'Topics', 'Slide deck', 'Video']);
+  assert.deepEqual(fieldsFor('teacher', fields, config.roles), fields);
+});
+
+test('A+ substitutes get Agenda, Brain Break and During Class first, without alignment columns', () => {
+  const { config, fields } = load('aplus', 'pacing.csv');
+  const sub = fieldsFor('substitute', fields, config.roles);
+  assert.deepEqual(sub.slice(0, 3), ['Agenda', 'Brain Break', 'During Class']);
+  assert.ok(sub.includes('Teacher Prep'));
+  assert.ok(!sub.some(h => /alignment/i.test(h)));
+  assert.equal(sub.length, fields.length - 2);
+});
+
+test('Tech+ roles keep both lessons and drop the standards column for substitutes', () => {
+  const { config, fields } = load('techplus', 'tech+pacing.csv');
+  const student = fieldsFor('student', fields, config.roles);
+  assert.ok(student.includes('Lesson 2') && student.includes('Learning Objectives (Lesson 1)'));
+  assert.ok(!student.includes('Standards Alignment'));
+  const sub = fieldsFor('substitute', fields, config.roles);
+  assert.equal(sub[0], 'Daily Description');
+  assert.ok(!sub.includes('Standards Alignment'));
+});
+
+test('the default roles match by pattern when a course has no roles config', () => {
+  const fields = ['Title', 'Objectives', 'Video Link', 'Agenda', 'Teacher Notes', 'CSTA Alignment'];
+  assert.deepEqual(fieldsFor('student', fields, DEFAULT_ROLES), ['Title', 'Objectives', 'Video Link']);
+  assert.deepEqual(fieldsFor('substitute', fields), ['Agenda', 'Title', 'Objectives', 'Video Link', 'Teacher Notes']);
+});
+
+test('missedDays lists the dated days from the absence through the end date, oldest first', () => {
+  const { days } = load('techplus', 'tech+pacing.csv');
+  const missed = missedDays(days.slice().reverse(), new Date(2025, 8, 4), new Date(2025, 8, 9));
+  assert.deepEqual(missed.map(d => d.key), ['09/04/2025', '09/05/2025', '09/08/2025', '09/09/2025']);
+  assert.deepEqual(missedDays(days, new Date(2025, 8, 10), new Date(2025, 8, 9)), []);
+});
+
+test('missedDays includes a week-range row the absence falls inside', () => {
+  const week = { key: 'Sep 1 - Sep 5', start: new Date(2025, 8, 1), end: new Date(2025, 8, 5), row: {} };
+  assert.deepEqual(missedDays([week, { key: 'TBD', start: null, row: {} }], new Date(2025, 8, 3), new Date(2025, 8, 12)), [week]);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, parseDay } = require('../pacing-engine.js');
+const { parseCalendarCsv } = require('../school-calendar.js');
+const { MAJORITY, toIso, parseDate, schoolsOf, closedDates, scheduleLessons } = require('../pacing-schedule.js');
+const { repo } = require('./helpers');
+
+const calendar = parseCalendarCsv(repo('School_Calendar_Master.csv'));
+const planned = file => csvToObjects(repo(file)).rows.map(r => parseDay(r.Day)).filter(Boolean);
+
+test('closedDates: most schools closed for the majority, the host school or a roll-up otherwise', () => {
+  const majority = closedDates(calendar, MAJORITY);
+  assert.ok(majority.has('2025-08-29'), 'Friday before Labor Day');
+  assert.ok(majority.has('2025-09-01'), 'Labor Day');
+  assert.ok(!majority.has('2025-09-23'));
+  for (const iso of majority) assert.match(iso, /^\d{4}-\d{2}-\d{2}$/);
+
+  const host = schoolsOf(calendar)[0];
+  const own = closedDates(calendar, host);
+  const offRow = calendar.find(r => r.isOff && r.school === host);
+  assert.ok(own.has(offRow.iso));
+  assert.equal(closedDates([], host).size, 0);
+});
+
+test('parseDate reads the calendar’s formats and a date input’s value', () => {
+  assert.equal(toIso(parseDate('2025-09-02')), '2025-09-02');
+  assert.equal(toIso(parseDate('9/2/2025')), '2025-09-02');
+  assert.equal(parseDate('someday'), null);
+});
+
+test('with nothing closed, every lesson keeps its planned date', () => {
+  for (const file of ['pacing.csv', 'tech+pacing.csv']) {
+    const days = planned(file);
+    assert.deepEqual(scheduleLessons(days).map(toIso), days.map(toIso), file);
+  }
+});
+
+test('a closure pushes lessons later and never pulls one earlier', () => {
+  const closed = closedDates(calendar, MAJORITY);
+  for (const file of ['pacing.csv', 'tech+pacing.csv']) {
+    const days = planned(file);
+    const dates = scheduleLessons(days, { closed });
+    assert.equal(dates.length, days.length, file);
+    dates.forEach((d, i) => {
+      assert.ok(d >= days[i], `${file} lesson ${i + 1} moved from ${toIso(days[i])} to ${toIso(d)}`);
+      assert.ok(!closed.has(toIso(d)) && d.getDay() !== 0 && d.getDay() !== 6, `${file} lesson ${i + 1} lands on a school day`);
+      if (i) assert.ok(d > dates[i - 1], `${file} lessons stay in order`);
+    });
+  }
+
+  // pacing.csv opens on the majority-closed 8/29, so that lesson waits for 9/2 and the rest follow
+  const aplus = scheduleLessons(planned('pacing.csv'), { closed }).map(toIso);
+  assert.deepEqual(aplus.slice(0, 2), ['2025-09-02', '2025-09-03']);
+
+  // Tech+ skips 9/22 on purpose; its 9/23 lesson stays put
+  const tech = scheduleLessons(planned('tech+pacing.csv'), { closed }).map(toIso);
+  assert.equal(tech[tech.length - 1], '2025-09-23');
+  assert.ok(!tech.includes('2025-09-22'));
+});
+
+test('slip days push the lessons from that day on until a gap in the plan takes up the slack', () => {
+  const days = planned('tech+pacing.csv');
+  const dates = scheduleLessons(days, { slips: new Set(['2025-09-04']) }).map(toIso);
+  assert.deepEqual(dates.slice(0, 4), ['2025-09-02', '2025-09-03', '2025-09-05', '2025-09-08']);
+  assert.deepEqual(dates.slice(-2), ['2025-09-22', '2025-09-23']);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, dayRange, matchesRole, resolveConfig } = require('../pacing-engine.js');
+const { tokenize, parseQuery, buildIndex, search, snippet } = require('../pacing-search.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+// The index the Tech+ page builds: every card column of every day
+function techplus() {
+  const config = resolveConfig(courses.techplus);
+  const cols = config.columns;
+  const { headers, rows } = csvToObjects(repo('tech+pacing.csv'), cols.day);
+  const fields = headers.filter(h => h !== cols.day && !matchesRole(cols.minutes, h) && !matchesRole(cols.hidden, h));
+  const days = rows.map(row => {
+    const range = dayRange(row[cols.day], config);
+    return { key: row[cols.day], start: range && range.start, end: range && range.end, row };
+  });
+  return buildIndex(days, fields);
+}
+
+test('tokenize lowercases, drops accents and splits standards codes', () => {
+  assert.deepEqual(tokenize('Résumé: 1A-NI-04, MFA'), ['resume', '1a', 'ni', '04', 'mfa']);
+  assert.deepEqual(parseQuery('"Egg  Riddle" brain'), { terms: ['egg', 'riddle', 'brain'], phrases: ['egg riddle'] });
+});
+
+test('finds where a topic was covered, best match first', () => {
+  const index = techplus();
+  const mfa = search(index, 'MFA');
+  assert.deepEqual(mfa.map(r => r.day.key).sort(), ['09/03/2025', '09/08/2025']);
+  const egg = search(index, '"egg riddle"');
+  assert.deepEqual(egg.map(r => r.day.key), ['09/02/2025']);
+  assert.equal(egg[0].hits[0].field, 'Brain Break (5-10 min)');
+});
+
+test('words match word starts and every word must be present', () => {
+  const index = techplus();
+  assert.ok(search(index, 'authenticat').some(r => r.day.key === '09/03/2025'));
+  assert.deepEqual(search(index, 'egg zzzunlikely'), []);
+  assert.deepEqual(search(index, '"riddle egg"'), []);
+  assert.deepEqual(search(index, '  '), []);
+});
+
+test('column and date filters narrow the results', () => {
+  const index = techplus();
+  assert.deepEqual(search(index, 'mfa', { field: 'Brain Break (5-10 min)' }), []);
+  const sept8 = search(index, 'mfa', { from: new Date(2025, 8, 4), to: new Date(2025, 8, 30) });
+  assert.deepEqual(sept8.map(r => r.day.key), ['09/08/2025']);
+});
+
+test('snippet marks every matching word and trims around the first hit', () => {
+  assert.equal(snippet('Use MFA & <b>multifactor</b> codes', ['mf', 'multi']),
+    'Use <mark>MFA</mark> &amp; &lt;b&gt;<mark>multifactor</mark>&lt;/b&gt; codes');
+  const long = 'word '.repeat(60) + 'Egg Riddle ' + 'word '.repeat(60);
+  const html = snippet(long, ['egg'], 20);
+  assert.match(html, /^….*<mark>Egg<\/mark> Riddle.*…$/);
+  assert.ok(html.length < 120);
+});
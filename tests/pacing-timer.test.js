@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, resolveConfig } = require('../pacing-engine.js');
+const {
+  segmentsFor, locate, clockOn, formatClock, timeLeft, startSegment, skipSegment, extendSegment, advance, bellStart,
+} = require('../pacing-timer.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+const MIN = 60 * 1000;
+const config = resolveConfig(courses.techplus);
+const { headers, rows } = csvToObjects(repo('tech+pacing.csv'), config.columns.day);
+const segments = segmentsFor(rows[0], headers, config);
+
+test('segmentsFor turns Tech+ Minutes columns into the day’s segments and their prompts', () => {
+  assert.deepEqual(segments.map(s => [s.label, s.minutes]),
+    [['Beginning Discussion', 8], ['Lesson 1', 35], ['Brain Break', 7], ['Lesson 2', 35], ['End Discussion', 5]]);
+  assert.deepEqual(segments[1].columns, ['Lesson 1', 'Learning Objectives (Lesson 1)']);
+
+  const unmapped = segmentsFor(rows[0], headers, Object.assign({}, config, { timer: {} }));
+  assert.ok(unmapped[2].columns.includes('Brain Break (5-10 min)'), 'without a mapping, headers with every word match');
+  assert.deepEqual(segmentsFor(Object.assign({}, rows[0], { 'Minutes: Brain Break': '' }), headers, config).map(s => s.label),
+    ['Beginning Discussion', 'Lesson 1', 'Lesson 2', 'End Discussion'], 'a blank or zero segment is left out');
+});
+
+test('locate finds the running segment, segment boundaries belonging to the next one', () => {
+  assert.deepEqual(locate(segments, 0), { index: 0, remainingMs: 8 * MIN });
+  assert.deepEqual(locate(segments, 8 * MIN - 1), { index: 0, remainingMs: 1 });
+  assert.deepEqual(locate(segments, 8 * MIN), { index: 1, remainingMs: 35 * MIN });
+  assert.deepEqual(locate(segments, 45 * MIN), { index: 2, remainingMs: 5 * MIN });
+  assert.deepEqual(locate(segments, 90 * MIN), { index: 5, remainingMs: 0 });
+  assert.deepEqual(locate(segments, -5), { index: 0, remainingMs: 8 * MIN });
+});
+
+test('bellStart starts at the bell, joins mid-period and stays out before and after class', () => {
+  assert.equal(bellStart(segments, -1), null, 'just before the bell');
+  assert.deepEqual(bellStart(segments, 0), { index: 0, remainingMs: 8 * MIN });
+  assert.deepEqual(bellStart(segments, 20 * MIN), { index: 1, remainingMs: 23 * MIN });
+  assert.deepEqual(bellStart(segments, 90 * MIN - 1), { index: 4, remainingMs: 1 });
+  assert.equal(bellStart(segments, 90 * MIN), null, 'the plan is over');
+  assert.equal(bellStart([], 0), null);
+
+  const bell = clockOn('7:50', new Date(2025, 8, 2, 12, 0));
+  assert.deepEqual([bell.getHours(), bell.getMinutes(), bell.getDate()], [7, 50, 2]);
+  assert.equal(clockOn('soon'), null);
+});
+
+test('skip moves to the next segment at full length, running or paused', () => {
+  const now = 1000 * MIN;
+  const running = startSegment(segments, 0, 3 * MIN, now);
+  assert.deepEqual(skipSegment(segments, running, now + MIN), { index: 1, remainingMs: 35 * MIN, endsAt: now + 36 * MIN });
+
+  const paused = { index: 1, remainingMs: 10 * MIN, endsAt: 0 };
+  assert.deepEqual(skipSegment(segments, paused, now), { index: 2, remainingMs: 7 * MIN, endsAt: 0 });
+  assert.deepEqual(skipSegment(segments, startSegment(segments, 4, MIN, now), now), { index: 5, remainingMs: 0, endsAt: 0 },
+    'skipping the last segment finishes the plan');
+});
+
+test('extend adds to the running clock or the paused remainder, never after the plan', () => {
+  const now = 1000 * MIN;
+  const running = startSegment(segments, 1, 2 * MIN, now);
+  const longer = extendSegment(segments, running, 5);
+  assert.equal(timeLeft(longer, now + MIN), 6 * MIN);
+  assert.deepEqual(extendSegment(segments, { index: 3, remainingMs: 30 * 1000, endsAt: 0 }, 1), { index: 3, remainingMs: 90 * 1000, endsAt: 0 });
+  const done = { index: 5, remainingMs: 0, endsAt: 0 };
+  assert.equal(extendSegment(segments, done, 5), done);
+});
+
+test('advance carries the overrun into the next segment and stops at the end', () => {
+  const now = 1000 * MIN;
+  const running = startSegment(segments, 0, 8 * MIN, now);
+  assert.equal(advance(segments, running, now + 8 * MIN - 1), running, 'still time left');
+  const next = advance(segments, running, now + 8 * MIN + 2000);
+  assert.equal(next.index, 1);
+  assert.equal(timeLeft(next, now + 8 * MIN + 2000), 35 * MIN - 2000);
+  assert.deepEqual(advance(segments, startSegment(segments, 4, MIN, now), now + MIN), { index: 5, remainingMs: 0, endsAt: 0 });
+  const paused = { index: 2, remainingMs: 0, endsAt: 0 };
+  assert.equal(advance(segments, paused, now), paused, 'a paused timer never advances');
+  assert.equal(formatClock(35 * MIN - 2000), '34:58');
+});
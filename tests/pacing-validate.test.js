@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { validate, counts, suggestHeader, repoFileOf } = require('../pacing-validate.js');
+const courses = require('../pacing-courses.js');
+const { courseOfFile } = require('../validate-pacing.js');
+const { repo, fixture, repoPath } = require('./helpers');
+
+const fileExists = name => fs.existsSync(repoPath(name));
+const issuesOn = (issues, row) => issues.filter(i => i.row === row).map(i => `${i.level} ${i.column}: ${i.message}`);
+
+test('the fixture trips each row rule on the spreadsheet row it is on', () => {
+  const { issues, rows } = validate(fixture('pacing-issues.csv'), courses.aplus, { fileExists });
+  assert.equal(rows, 5, 'the row without a day is not counted');
+  assert.deepEqual(issuesOn(issues, 3), [], 'a good row with a deck that is in the repo');
+  assert.deepEqual(issuesOn(issues, 4), [
+    'error Slide deck: Link points to "Missing Deck.pptx", which is not in the repository.',
+    'warning Learning Objectives: "Learning Objectives" is empty.',
+  ]);
+  assert.deepEqual(issuesOn(issues, 5), [
+    'error Day: "9/33/2025" is not a date in M/D/YYYY form.',
+    'warning Video: "Video" has text but no http(s) link.',
+  ]);
+  assert.deepEqual(issuesOn(issues, 6), ['warning Day: 9/6/2025 is a weekend.']);
+  assert.deepEqual(issuesOn(issues, 7), ['error Day: Duplicate day "9/3/2025" (also on row 4); only one card is reachable.']);
+  assert.deepEqual(issuesOn(issues, 8), ['warning Day: Row has content but a blank "Day", so it is skipped.']);
+  assert.deepEqual(counts(issues), { errors: 3, warnings: 4 });
+});
+
+test('deck links are only checked against the repo when the caller can look', () => {
+  const { issues } = validate(fixture('pacing-issues.csv'), courses.aplus);
+  assert.ok(!issues.some(i => /not in the repository/.test(i.message)));
+  assert.equal(repoFileOf('https://github.com/aspiece/CSGames/raw/refs/heads/main/Missing%20Deck.pptx'), 'Missing Deck.pptx');
+  assert.equal(repoFileOf('https://example.com/deck.pptx'), '');
+});
+
+test('header problems: a typo gets a suggestion, a missing required column is an error', () => {
+  const csv = 'Day,Lesson,Learning Objectivs,Topics\n9/2/2025,Intro,Learn,Stuff\n';
+  const { issues } = validate(csv, courses.aplus);
+  const header = issuesOn(issues, 1);
+  assert.ok(header.includes('warning Learning Objectivs: Unknown column "Learning Objectivs". Did you mean "Learning Objectives"?'));
+  assert.ok(!header.some(i => /"Learning Objectives" is missing/.test(i)), 'a near miss is not also reported missing');
+  assert.ok(header.includes('warning Slide deck: Expected column "Slide deck" is missing.'));
+
+  const noLesson = validate('Day,Learning Objectives\n9/2/2025,Learn\n', courses.aplus).issues;
+  assert.ok(issuesOn(noLesson, 1).includes('error Lesson: Expected column "Lesson" is missing.'));
+
+  const noDay = validate('Date,Lesson\n9/2/2025,Intro\n', courses.aplus);
+  assert.equal(noDay.rows, 0);
+  assert.ok(issuesOn(noDay.issues, 1).includes('error Day: Missing the "Day" column (found "Date"); no rows can be shown.'));
+  assert.equal(validate('', courses.aplus).rows, 0);
+  assert.equal(suggestHeader('Lesson1', ['Lesson 1', 'Lesson 2']), 'Lesson 1');
+  assert.equal(suggestHeader('Homework', ['Lesson 1', 'Lesson 2']), '');
+});
+
+test('the course CSVs in the repo have no errors', () => {
+  assert.equal(counts(validate(repo('pacing.csv'), courses.aplus, { fileExists }).issues).errors, 0);
+  assert.equal(counts(validate(repo('tech+pacing.csv'), courses.techplus, { fileExists }).issues).errors, 0);
+});
+
+test('Tech+ minutes must be numbers and add up to the period', () => {
+  const text = repo('tech+pacing.csv').replace(/^(09\/02\/2025,.*),8,35,7,35,5(\r?)$/m, '$1,8,35,ten,35,5$2');
+  const { issues } = validate(text, courses.techplus);
+  assert.deepEqual(issuesOn(issues, 2), [
+    'error Minutes: Brain Break: "ten" is not a number of minutes.',
+    'warning : Minutes add up to 83, expected 90.',
+  ]);
+});
+
+test('a lone CSV on the command line is checked against the course that reads a file of that name', () => {
+  assert.equal(courseOfFile('pacing.csv'), 'aplus');
+  assert.equal(courseOfFile('/tmp/downloads/tech+pacing.csv'), 'techplus', 'tech%2Bpacing.csv is tech+pacing.csv on disk');
+  assert.equal(courseOfFile('export.csv'), '');
+});
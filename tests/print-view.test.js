@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRINT_BAR_CSS, printDocument } = require('../print-view.js');
+const { monthPages } = require('../school-print.js');
+const { parseCalendarCsv } = require('../school-calendar.js');
+
+test('printDocument wraps a view in the print bar and escapes the title and note', () => {
+  const html = printDocument({ title: 'A & B <plan>', css: '.x { color: red; }', body: '<p>body</p>', note: '2 months <b>' });
+  assert.match(html, /<title>A &amp; B &lt;plan&gt;<\/title>/);
+  assert.ok(html.includes(`.x { color: red; }${PRINT_BAR_CSS}`), 'the view’s styles, then the bar’s');
+  assert.match(html, /<span>2 months &lt;b&gt; Pick &quot;Save as PDF&quot;/);
+  assert.match(html, /<\/div>\n<p>body<\/p>\n<\/body>/);
+});
+
+test('the month pages carry the shared print bar once, with their own note', () => {
+  const months = monthPages(parseCalendarCsv('Date,Event,School\n2025-09-01,Labor Day,Clio Schools\n'));
+  assert.equal(months.split(PRINT_BAR_CSS).length, 2);
+  assert.match(months, /<span>1 month, one per page\. Pick/);
+});
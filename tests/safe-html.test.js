@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, sanitizeUrl, sanitizeHtml, stripTags } = require('../safe-html.js');
+const { csvToObjects, renderField, resolveConfig, listifyIfNeeded } = require('../pacing-engine.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+// What a page must never emit, whatever the sheet or a sign-up name says
+function assertInert(html) {
+  assert.doesNotMatch(html, /<(?!\/?(b|strong|i|em|u|s|mark|small|sub|sup|code|br|a|ul|li|div)\b)[a-z]/i, html);
+  assert.doesNotMatch(html, /<[^>]*\son[a-z]+\s*=/i, html);
+  assert.doesNotMatch(html, /<[^>]*(href|src)\s*=\s*"(?!https?:)/i, html);
+  assert.doesNotMatch(html, /<[^>]*style\s*=/i, html);
+}
+
+const HOSTILE = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<svg/onload=alert(1)>',
+  '<b onmouseover="alert(1)">hover</b>',
+  '<b style="background:url(javascript:alert(1))">x</b>',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href="JaVaScRiPt:alert(1)">click</a>',
+  '<a href="&#106;avascript:alert(1)">click</a>',
+  '<a href="java\tscript:alert(1)">click</a>',
+  '<a href="data:text/html,<script>alert(1)</script>">click</a>',
+  '<a href=https://ok.example onclick=alert(1)>ok</a>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<b><i>unclosed',
+  '</b></a></i>stray closers',
+  '"><script>alert(1)</script>',
+  "'><img src=x onerror=alert(1)>",
+  '<!--<script>alert(1)</script>-->',
+  '<a href="https://ok.example"><a href="https://evil.example">nested</a></a>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<<b>>b</b>',
+];
+
+test('escapeHtml makes text safe in element content and quoted attributes', () => {
+  assert.equal(escapeHtml(`<b class="x">Tom & Jerry's</b>`), '&lt;b class=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(0), '0');
+});
+
+test('sanitizeUrl only lets http and https through', () => {
+  assert.equal(sanitizeUrl('https://example.com/a b'), 'https://example.com/a%20b');
+  assert.equal(sanitizeUrl('HTTP://EXAMPLE.COM'), 'http://example.com/');
+  ['javascript:alert(1)', ' javascript:alert(1)', 'java\nscript:alert(1)', 'data:text/html,x', 'vbscript:x', 'file:///etc/passwd', '//evil.example', '/relative', '']
+    .forEach(u => assert.equal(sanitizeUrl(u), null, u));
+});
+
+test('sanitizeHtml keeps allow-listed inline formatting without attributes', () => {
+  assert.equal(sanitizeHtml('<b>Activation:</b> <EM class="x">now</EM><br/>next'), '<b>Activation:</b> <em>now</em><br>next');
+  assert.equal(sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2" target="_top">docs</a>'),
+    '<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">docs</a>');
+  assert.equal(sanitizeHtml('R&D &amp; QA &nbsp; 1 < 2 > 0'), 'R&amp;D &amp; QA &nbsp; 1 &lt; 2 &gt; 0');
+  assert.equal(sanitizeHtml('<b>x</b>', { tags: [] }), '&lt;b&gt;x&lt;/b&gt;');
+});
+
+test('sanitizeHtml shows other tags as text and balances what it keeps', () => {
+  assert.equal(sanitizeHtml('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">click</a>'), 'click');
+  assert.equal(sanitizeHtml('<b><i>unclosed'), '<b><i>unclosed</i></b>');
+  assert.equal(sanitizeHtml('<b>one <i>two</b> three</i>'), '<b>one <i>two</i></b> three');
+  assert.equal(sanitizeHtml('</b>stray'), 'stray');
+});
+
+test('no hostile input survives sanitizeHtml', () => {
+  HOSTILE.forEach(input => assertInert(sanitizeHtml(input)));
+});
+
+test('no hostile input survives renderField in any column or text style', () => {
+  const headers = ['Lesson', 'Agenda', 'Video', 'Slide deck', 'Links'];
+  [resolveConfig(courses.aplus), resolveConfig(courses.techplus)].forEach(config => {
+    HOSTILE.forEach(input => headers.forEach(h => {
+      assertInert(renderField(h, input, config));
+      assertInert(renderField(h, `Step one; ${input}; https://example.com/a.pptx`, config));
+    }));
+  });
+});
+
+test('the A+ Agenda renders its bold labels, not their tags', () => {
+  const config = resolveConfig(courses.aplus);
+  const { rows } = csvToObjects(repo('pacing.csv'), 'Day');
+  const html = renderField('Agenda', rows[0].Agenda, config);
+  assert.match(html, /<b>Activation:<\/b>/);
+  assert.doesNotMatch(html, /&lt;b&gt;/);
+});
+
+test('semicolons inside entities do not split list items', () => {
+  assert.equal(listifyIfNeeded('Tom &amp; Jerry'), 'Tom &amp; Jerry');
+  assert.equal(listifyIfNeeded('R&D; Q&amp;A'), '<ul class="line-list"><li>R&amp;D</li><li>Q&amp;A</li></ul>');
+  assert.equal(listifyIfNeeded('<b>Warm-up</b>; discuss'), '<ul class="line-list"><li><b>Warm-up</b></li><li>discuss</li></ul>');
+});
+
+test('stripTags leaves the text of a cell', () => {
+  assert.equal(stripTags('<b>Activation:</b> Tom &amp; Jerry &#8212; <i>go</i>'), 'Activation: Tom & Jerry — go');
+});
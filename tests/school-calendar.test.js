@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDateFlexible, shortDate, dayLabel, weekStartOf, schoolWeekOf, nextMonday, weekdaysOf, weekdaysBetween,
+  findHeader, findOptionalHeader, calendarColumns, parseCalendarCsv, groupByDate,
+} = require('../school-calendar.js');
+const { repo, fixture } = require('./helpers');
+
+const master = repo('School_Calendar_Master.csv');
+const clioExport = fixture('clio-ranges-export.csv');
+
+test('parseDateFlexible reads the formats districts type', () => {
+  assert.equal(parseDateFlexible('2025-09-02'), '2025-09-02');
+  assert.equal(parseDateFlexible('2025-09-02T00:00:00'), '2025-09-02');
+  assert.equal(parseDateFlexible('9/2/2025'), '2025-09-02');
+  assert.equal(parseDateFlexible('09/02/25'), '2025-09-02');
+  assert.equal(parseDateFlexible('Sep 2, 2025'), '2025-09-02');
+  assert.equal(parseDateFlexible('Tuesday, September 2 2025'), '2025-09-02');
+  assert.equal(parseDateFlexible(' 45902 '), '2025-09-02'); // Excel serial day
+});
+
+test('parseDateFlexible rejects blanks and impossible dates', () => {
+  ['', null, undefined, 'TBD', '2/30/2026', '2025-13-01', 'Week 3'].forEach(v => assert.equal(parseDateFlexible(v), '', String(v)));
+  ['2025', '1905', '19999', '80001', '123456'].forEach(v => assert.equal(parseDateFlexible(v), '', `${v} is not an Excel serial day`));
+  assert.equal(parseDateFlexible('20000'), '1954-10-03');
+});
+
+test('week math: Monday start, Mon–Fri only', () => {
+  assert.equal(weekStartOf('2025-08-27'), '2025-08-25');
+  assert.equal(weekStartOf('2025-08-31'), '2025-08-25'); // Sunday belongs to the week before
+  assert.equal(weekStartOf('2025-08-27', 'sunday'), '2025-08-24');
+  assert.deepEqual(weekdaysOf('2025-08-25'), ['2025-08-25', '2025-08-26', '2025-08-27', '2025-08-28', '2025-08-29']);
+  assert.equal(nextMonday('2025-08-30'), '2025-09-01');
+  assert.equal(nextMonday('2025-09-01'), '2025-09-08');
+  assert.deepEqual(weekdaysBetween('2025-08-29', '2025-09-01'), ['2025-08-29', '2025-09-01']);
+  assert.deepEqual(weekdaysBetween('2025-09-02', '2025-09-01'), []);
+  assert.equal(shortDate('2026-01-02'), 'Jan 2');
+});
+
+test('schoolWeekOf: a Sunday week start moves Sunday into the coming school week', () => {
+  assert.equal(schoolWeekOf('2025-08-31'), '2025-08-25');
+  assert.equal(schoolWeekOf('2025-08-31', 'sunday'), '2025-09-01');
+  assert.equal(schoolWeekOf('2025-08-30', 'sunday'), '2025-08-25');
+  assert.equal(schoolWeekOf('2025-08-27', 'sunday'), '2025-08-25');
+});
+
+test('week math holds across the DST change and New Year', () => {
+  assert.equal(weekStartOf('2025-11-04'), '2025-11-03');
+  assert.deepEqual(weekdaysBetween('2025-12-31', '2026-01-05'), ['2025-12-31', '2026-01-01', '2026-01-02', '2026-01-05']);
+});
+
+test('findHeader matches the sheet headers the viewers have seen', () => {
+  const cands = ['Event', 'Type', 'Event Type'];
+  assert.equal(findHeader(['Date', 'Event (No School / Half Day / Holiday / PD)', 'School'], cands, ['event']), 'Event (No School / Half Day / Holiday / PD)');
+  assert.equal(findHeader(['When', 'Kind of day'], ['Date'], ['day']), 'Kind of day');
+  assert.equal(findHeader(['A', 'B'], ['Date'], ['date']), 'A');
+  assert.equal(findOptionalHeader(['Start Date', 'End Date'], ['End Date']), 'End Date');
+  assert.equal(findOptionalHeader(['Date', 'Event'], ['End Date', 'End']), '');
+});
+
+test('School_Calendar_Master.csv: CRLF rows parse and a row without a date is skipped', () => {
+  const rows = parseCalendarCsv(master);
+  const lines = master.split(/\r?\n/).slice(1).filter(l => l.trim());
+  assert.equal(rows.length, lines.length - 1);
+  assert.ok(lines.some(l => l.startsWith(',')), 'the master sheet still has one undated row');
+  assert.equal(rows[0].iso, '2025-08-18');
+  assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].iso <= r.iso), 'sorted by date');
+  assert.ok(rows.every(r => r.school && !r.school.includes('\r')));
+  assert.ok(rows.every(r => r.notes === ''), 'no Notes column means no notes, not the date');
+  assert.equal(new Set(rows.map(r => r.school)).size, 23);
+});
+
+test('a district export with ranges matches the day-per-row master sheet', () => {
+  const real = parseCalendarCsv(master).filter(r => r.school === 'Clio Schools');
+  const ranged = parseCalendarCsv(clioExport);
+  assert.deepEqual(ranged.map(r => `${r.iso} ${r.event}`), real.map(r => `${r.iso} ${r.event}`));
+});
+
+test('the export fixture: BOM + comment line, quoted commas, serial and short-year dates', () => {
+  const rows = parseCalendarCsv(clioExport);
+  const labor = rows.filter(r => r.notes === 'Labor Day weekend, Thu–Mon');
+  assert.deepEqual(labor.map(r => r.iso), ['2025-08-28', '2025-08-29', '2025-09-01']);
+  assert.equal(labor[0].detail, 'Aug 28 – Sep 1');
+  assert.equal(rows.find(r => r.notes === 'Typed as a number in Excel').iso, '2025-09-15');
+  assert.ok(rows.some(r => r.iso === '2025-10-23' && r.event === 'Half Day'));
+  const winter = rows.filter(r => r.notes === 'Winter Break');
+  assert.equal(winter.length, 10);
+  assert.equal(winter[0].span.id, winter[9].span.id);
+});
+
+test('a weekly rule in the Event cell or a Repeat column', () => {
+  const rows = parseCalendarCsv(
+    'Date,Event,School,Repeat\n' +
+    '2025-09-03,Every Wednesday Early Release Sep–Jun,Clio Schools,\n' +
+    '2025-09-05,Late Start,Kearsley Schools,every other Friday through Oct\n');
+  const weds = rows.filter(r => r.school === 'Clio Schools');
+  assert.equal(weds.length, 43);
+  assert.ok(weds.every(r => r.isHalf && r.recurring && r.detail === 'Every Wednesday'));
+  const fridays = rows.filter(r => r.school === 'Kearsley Schools');
+  assert.deepEqual(fridays.map(r => r.iso), ['2025-09-05', '2025-09-19', '2025-10-03', '2025-10-17', '2025-10-31']);
+  assert.equal(fridays[0].detail, 'Late Start · Every other Friday');
+});
+
+test('calendarColumns guesses, and explicit columns override the guesses', () => {
+  assert.deepEqual(calendarColumns(['School Name', 'Event', 'Start Date', 'End Date', 'Notes']),
+    { date: 'Start Date', end: 'End Date', repeat: '', event: 'Event', school: 'School Name', notes: 'Notes' });
+  const headers = ['When', 'Closed For', 'Campus', 'Why'];
+  assert.equal(calendarColumns(headers).notes, '', 'nothing looks like notes');
+  const cols = calendarColumns(headers, { date: 'When', event: 'Closed For', school: 'Campus', notes: 'Why', end: 'Nope' });
+  assert.deepEqual(cols, { date: 'When', end: '', repeat: '', event: 'Closed For', school: 'Campus', notes: 'Why' });
+  const rows = parseCalendarCsv('When,Closed For,Campus,Why\n9/1/2025,Holiday,Clio Schools,Labor Day\n', { columns: cols });
+  assert.deepEqual(rows.map(r => [r.iso, r.school, r.category, r.notes]), [['2025-09-01', 'Clio Schools', 'holiday', 'Labor Day']]);
+});
+
+test('empty or comment-only input gives no rows', () => {
+  assert.deepEqual(parseCalendarCsv(''), []);
+  assert.deepEqual(parseCalendarCsv('# nothing yet\n'), []);
+  assert.deepEqual(parseCalendarCsv('Date,Event,School\n'), []);
+});
+
+test('dayLabel and groupByDate', () => {
+  assert.equal(dayLabel('2025-10-10'), 'Fri 10/10');
+  assert.equal(dayLabel('soon'), 'soon');
+  const rows = parseCalendarCsv(master);
+  const byDate = groupByDate(rows);
+  assert.equal(Object.values(byDate).flat().length, rows.length);
+  Object.keys(byDate).forEach(iso => assert.ok(byDate[iso].every(r => r.iso === iso)));
+  // A range sorts ahead of single-day rows on every day it covers
+  const mixed = groupByDate([
+    { iso: '2025-12-23', school: 'A', event: 'PD', span: null },
+    { iso: '2025-12-23', school: 'B', event: 'Break', span: { start: '2025-12-22' } },
+  ]);
+  assert.deepEqual(mixed['2025-12-23'].map(r => r.school), ['B', 'A']);
+});
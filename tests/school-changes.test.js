@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendarCsv } = require('../school-calendar.js');
+const {
+  diffCalendars, describe, bySchool, countsLabel, alertsFor, record, history, unseen, dismiss, watched, toggleWatch,
+} = require('../school-changes.js');
+const { repo, memoryStore } = require('./helpers');
+
+const master = parseCalendarCsv(repo('School_Calendar_Master.csv'));
+
+const row = (iso, school, event, notes = '') => ({ iso, school, event, notes });
+
+test('an unchanged calendar has no changes', () => {
+  assert.deepEqual(diffCalendars(master, master.slice().reverse()), []);
+});
+
+test('diffCalendars reports added, removed, moved and re-noted days in date order', () => {
+  const before = [
+    row('2025-10-10', 'Fenton High School', 'No School'),
+    row('2025-10-20', 'Clio Schools', 'Half Day', 'Conferences'),
+    row('2025-11-03', 'Clio Schools', 'No School'),
+  ];
+  const after = [
+    row('2025-10-13', 'Fenton High School', 'no school'),
+    row('2025-10-20', 'Clio Schools', 'Half Day', 'Parent conferences'),
+    row('2025-12-01', 'All Schools', 'Snow Day'),
+  ];
+  assert.deepEqual(diffCalendars(before, after).map(e => [e.type, e.iso, e.from, e.school]), [
+    ['moved', '2025-10-13', '2025-10-10', 'Fenton High School'],
+    ['changed', '2025-10-20', undefined, 'Clio Schools'],
+    ['removed', '2025-11-03', undefined, 'Clio Schools'],
+    ['added', '2025-12-01', undefined, 'All Schools'],
+  ]);
+});
+
+test('moves pair up in date order and leftovers stay added or removed', () => {
+  const before = [row('2025-10-01', 'A', 'PD'), row('2025-10-02', 'A', 'PD'), row('2025-10-03', 'A', 'PD')];
+  const after = [row('2025-10-02', 'A', 'PD'), row('2025-10-08', 'A', 'PD')];
+  assert.deepEqual(diffCalendars(before, after).map(e => [e.type, e.iso, e.from]), [
+    ['removed', '2025-10-03', undefined],
+    ['moved', '2025-10-08', '2025-10-01'],
+  ]);
+});
+
+test('changes read as one line each, grouped with All Schools first', () => {
+  const entries = diffCalendars(
+    [row('2025-10-10', 'Fenton High School', 'Half Day'), row('2025-09-01', 'Clio Schools', 'PD', 'AM')],
+    [row('2025-10-13', 'Fenton High School', 'Half Day'), row('2025-09-01', 'Clio Schools', 'PD'), row('2025-12-22', 'All Schools', 'Winter Break')]
+  );
+  assert.deepEqual(entries.map(describe), [
+    'Updated: PD on Mon 9/1 (notes removed)',
+    'Moved: Half Day from Fri 10/10 to Mon 10/13',
+    'Added: Winter Break on Mon 12/22',
+  ]);
+  assert.deepEqual(bySchool(entries).map(g => g.school), ['All Schools', 'Clio Schools', 'Fenton High School']);
+  assert.equal(countsLabel(entries), '1 added, 1 moved, 1 updated');
+});
+
+test('alertsFor keeps watched schools and All Schools within the next two weeks', () => {
+  const entries = [
+    { type: 'added', iso: '2026-10-20', school: 'Clio Schools', event: 'No School' },
+    { type: 'added', iso: '2026-10-21', school: 'Fenton High School', event: 'No School' },
+    { type: 'added', iso: '2026-10-22', school: 'All Schools', event: 'Snow Day' },
+    { type: 'added', iso: '2026-11-20', school: 'Clio Schools', event: 'PD' },
+    { type: 'moved', iso: '2026-12-01', from: '2026-10-30', school: 'Clio Schools', event: 'Half Day' },
+    { type: 'removed', iso: '2026-10-10', school: 'Clio Schools', event: 'Half Day' },
+  ];
+  assert.deepEqual(alertsFor(entries, ['Clio Schools'], '2026-10-18').map(e => e.iso), ['2026-10-20', '2026-10-22', '2026-12-01']);
+  assert.deepEqual(alertsFor(entries, [], '2026-10-18'), []);
+});
+
+test('record keeps a snapshot per source and logs only real changes', () => {
+  const store = memoryStore();
+  assert.equal(record(store, 'sheet', master, 1000), null);
+  assert.equal(record(store, 'sheet', master, 2000), null);
+  assert.equal(record(store, 'other', master.slice(1), 2500), null);
+
+  const edited = master.slice(1).concat(row('2026-06-15', 'Clio Schools', 'No School', 'Snow make-up'));
+  const change = record(store, 'sheet', edited, 3000);
+  assert.equal(change.at, 3000);
+  assert.deepEqual(change.entries.map(e => e.type).sort(), ['added', 'removed']);
+  assert.deepEqual(history(store).map(c => c.at), [3000]);
+
+  assert.equal(unseen(store).length, 1);
+  dismiss(store, 3500);
+  assert.deepEqual(unseen(store), []);
+  record(store, 'sheet', master, 4000);
+  assert.deepEqual(unseen(store).map(c => c.at), [4000]);
+});
+
+test('the history keeps the newest 50 changes', () => {
+  const store = memoryStore();
+  record(store, 'sheet', [], 0);
+  for (let i = 1; i <= 55; i++) record(store, 'sheet', [row(`2026-01-${String(i % 28 + 1).padStart(2, '0')}`, 'A', `E${i}`)], i);
+  const log = history(store);
+  assert.equal(log.length, 50);
+  assert.equal(log[0].at, 55);
+  assert.equal(log[49].at, 6);
+});
+
+test('toggleWatch adds and removes a school, and bad storage reads as empty', () => {
+  const store = memoryStore();
+  assert.deepEqual(toggleWatch(store, 'Fenton High School'), ['Fenton High School']);
+  assert.deepEqual(toggleWatch(store, 'Clio Schools'), ['Clio Schools', 'Fenton High School']);
+  assert.deepEqual(toggleWatch(store, 'Fenton High School'), ['Clio Schools']);
+  assert.deepEqual(watched(store), ['Clio Schools']);
+  store.setItem('school-changes:v1:history', '{not json');
+  assert.deepEqual(history(store), []);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects } = require('../pacing-engine.js');
+const {
+  normalizeEvent, schoolColors, summarizeDay, statusOf, parseRecurrence, hasInlineRule, describeRecurrence, expandOccurrences,
+} = require('../school-events.js');
+const { repo } = require('./helpers');
+
+const master = csvToObjects(repo('School_Calendar_Master.csv'), 'Date').rows;
+
+test('every Event in School_Calendar_Master.csv gets a real category', () => {
+  const events = [...new Set(master.map(r => r.Event))];
+  assert.ok(events.length > 20);
+  events.forEach(e => assert.notEqual(normalizeEvent(e).category, 'other', e));
+});
+
+test('Half Day variants normalize and keep their qualifier', () => {
+  const half = normalizeEvent('Half Day (End of 1st Marking Period)');
+  assert.equal(half.category, 'half-day');
+  assert.equal(half.detail, 'End of 1st Marking Period');
+  assert.equal(normalizeEvent('Early Release').category, 'half-day');
+  const first = normalizeEvent('First Day (Half Day)');
+  assert.equal(first.category, 'first-last');
+  assert.ok(first.isHalf);
+});
+
+test('Excel en dash (U+0096) from the master sheet is repaired', () => {
+  const raw = master.map(r => r.Event).find(e => e.includes('\u0096'));
+  assert.ok(raw, 'the master sheet still has a Windows-1252 dash');
+  assert.equal(normalizeEvent(raw).detail.includes('\u0096'), false);
+  assert.match(normalizeEvent(raw).detail, /6–12/);
+});
+
+test('partial-audience days are not whole-school closures', () => {
+  const seniors = normalizeEvent('Seniors No School');
+  assert.equal(seniors.category, 'partial');
+  assert.equal(seniors.isOff, false);
+});
+
+test('summarizeDay applies an All Schools roll-up to every school', () => {
+  const day = summarizeDay([
+    { school: 'All Schools', ...normalizeEvent('No School') },
+    { school: 'B', ...normalizeEvent('Half Day') },
+  ], ['A', 'B']);
+  assert.deepEqual(day.off, ['A', 'B']);
+  assert.equal(day.bySchool.B, 'off');
+  assert.equal(statusOf([]), '');
+});
+
+test('parseRecurrence reads weekday rules and month bounds', () => {
+  assert.deepEqual(parseRecurrence('every Wednesday early release Sep–Jun'), { days: [3], interval: 1, months: { from: 8, to: 5 } });
+  assert.deepEqual(parseRecurrence('Tues/Thurs').days, [2, 4]);
+  assert.equal(parseRecurrence('every other Friday').interval, 2);
+  assert.deepEqual(parseRecurrence('weekdays').days, [1, 2, 3, 4, 5]);
+  assert.equal(parseRecurrence('monthly staff meeting'), null);
+  assert.equal(parseRecurrence('No School'), null);
+});
+
+test('hasInlineRule only fires on an explicit "every ..." event', () => {
+  assert.ok(hasInlineRule('Every Wednesday Early Release'));
+  assert.ok(!hasInlineRule('Half Day (Wednesday)'));
+  assert.equal(describeRecurrence(parseRecurrence('Mon and Wed')), 'Every Mon & Wed');
+});
+
+test('expandOccurrences: a Start/End range is one span over its weekdays', () => {
+  const days = expandOccurrences({ start: '2025-12-22', end: '2026-01-02' });
+  assert.equal(days.length, 10);
+  assert.deepEqual(days.map(d => d.span.index), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.ok(days.every(d => d.span.id === '2025-12-22/2026-01-02' && d.span.length === 10));
+  assert.ok(!days.some(d => ['2025-12-27', '2025-12-28'].includes(d.iso)));
+});
+
+test('expandOccurrences: weekly rule bounded by its months, across New Year', () => {
+  const weds = expandOccurrences({ start: '2025-09-03', repeat: 'every Wednesday Sep–Jun' });
+  assert.equal(weds.length, 43);
+  assert.equal(weds[weds.length - 1].iso, '2026-06-24');
+  assert.ok(weds.every(d => d.recurring && d.span === null));
+  const fridays = expandOccurrences({ start: '2025-09-05', end: '2025-10-10', repeat: 'every other Friday' });
+  assert.deepEqual(fridays.map(d => d.iso), ['2025-09-05', '2025-09-19', '2025-10-03']);
+});
+
+test('expandOccurrences: single days, bad ends and runaway ranges', () => {
+  assert.deepEqual(expandOccurrences({ start: '2025-09-01' }), [{ iso: '2025-09-01', span: null, recurring: false }]);
+  assert.equal(expandOccurrences({ start: '2025-09-05', end: '2025-09-01' }).length, 1);
+  assert.deepEqual(expandOccurrences({ start: 'soon' }), []);
+  assert.ok(expandOccurrences({ start: '2025-09-01', end: '2205-09-01' }).length <= 300);
+});
+
+test('schoolColors is stable per school and blue for All Schools', () => {
+  assert.deepEqual(schoolColors('Clio Schools'), schoolColors('Clio Schools'));
+  assert.notDeepEqual(schoolColors('Clio Schools'), schoolColors('Kearsley Schools'));
+  assert.match(schoolColors('Clio Schools').bg, /^hsl\(\d+, 95%, 90%\)$/);
+  assert.deepEqual(schoolColors('All Schools'), { bg: '#eff6ff', border: '#93c5fd', text: '#1e40af' });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  readFilterState, writeFilterState, matchesFilters, readWatchlists, saveWatchlist, deleteWatchlist, findWatchlist,
+} = require('../school-filters.js');
+const { memoryStore } = require('./helpers');
+
+test('filters round-trip through the URL and leave data settings alone', () => {
+  const state = { schools: ['Clio Schools', 'Mt. Morris Consolidated Schools'], type: 'half-day', q: 'PD & conferences', week: '2025-11-24' };
+  const href = writeFilterState('https://example.org/viewer/?csv=https%3A%2F%2Fx.test%2Fa.csv&col.date=Day&school=Old', state);
+  const u = new URL(href);
+  assert.equal(u.searchParams.get('csv'), 'https://x.test/a.csv');
+  assert.equal(u.searchParams.get('col.date'), 'Day');
+  assert.deepEqual(readFilterState(u.search), state);
+});
+
+test('the default view has a clean URL', () => {
+  assert.equal(writeFilterState('https://example.org/v?school=A&q=x&week=2025-09-01', { schools: [], type: 'all', q: '', week: '' }),
+    'https://example.org/v');
+  assert.deepEqual(readFilterState(''), { schools: [], type: '', q: '', week: '' });
+});
+
+test('readFilterState drops a malformed week and repeated schools', () => {
+  const state = readFilterState('?week=next&school=Clio%20Schools&school=Clio%20Schools&school=%20');
+  assert.equal(state.week, '');
+  assert.deepEqual(state.schools, ['Clio Schools']);
+});
+
+test('matchesFilters: any chosen school, the event type, and search across fields', () => {
+  const row = { school: 'Clio Schools', event: 'Half Day', label: 'Half Day / Early Release', notes: 'Conferences', category: 'half-day' };
+  assert.ok(matchesFilters(row, { schools: [], type: 'all', q: '' }));
+  assert.ok(matchesFilters(row, { schools: ['Kearsley Schools', 'Clio Schools'], type: 'half-day', q: 'CONFER' }));
+  assert.ok(!matchesFilters(row, { schools: ['Kearsley Schools'] }));
+  assert.ok(!matchesFilters(row, { type: 'no-school' }));
+  assert.ok(!matchesFilters(row, { q: 'snow' }));
+  const rollup = { school: 'All Schools', event: 'Labor Day', label: 'No School', category: 'no-school' };
+  assert.ok(matchesFilters(rollup, { schools: ['Kearsley Schools'], type: 'no-school' }), 'All Schools rows show for any school');
+  assert.ok(!matchesFilters(rollup, { schools: ['Kearsley Schools'], type: 'half-day' }));
+});
+
+test('watchlists save by name, replace case-insensitively and delete', () => {
+  const store = memoryStore();
+  assert.deepEqual(readWatchlists(store), []);
+  saveWatchlist(store, ' Period 3 ', ['Kearsley Schools', 'Clio Schools', 'Clio Schools']);
+  saveWatchlist(store, 'Bus route', ['Bendle Public Schools']);
+  const lists = saveWatchlist(store, 'period 3', ['Clio Schools', 'Beecher High School']);
+  assert.deepEqual(lists, [
+    { name: 'Bus route', schools: ['Bendle Public Schools'] },
+    { name: 'period 3', schools: ['Beecher High School', 'Clio Schools'] },
+  ]);
+  assert.equal(findWatchlist(lists, ['Clio Schools', 'Beecher High School']).name, 'period 3');
+  assert.equal(findWatchlist(lists, ['Clio Schools']), null);
+  assert.deepEqual(deleteWatchlist(store, 'Bus route').map(w => w.name), ['period 3']);
+  assert.throws(() => saveWatchlist(store, '  ', ['A']), /needs a name/);
+});
+
+test('unreadable watchlist storage reads as none', () => {
+  const store = memoryStore();
+  store.setItem('no-school-watchlists:v1', '{oops');
+  assert.deepEqual(readWatchlists(store), []);
+  store.setItem('no-school-watchlists:v1', JSON.stringify([{ name: 'ok', schools: ['A'] }, { name: 3 }, null]));
+  assert.deepEqual(readWatchlists(store), [{ name: 'ok', schools: ['A'] }]);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, eventUid, escapeText, foldLine, slugify } = require('../school-ics.js');
+const { parseCalendarCsv } = require('../school-calendar.js');
+const { feedsOf } = require('../build-school-ics.js');
+const { repo } = require('./helpers');
+
+const NOW = new Date('2025-08-01T12:00:00Z');
+const octets = s => Buffer.byteLength(s, 'utf8');
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+test('foldLine keeps every line within 75 octets without splitting a character', () => {
+  const line = 'DESCRIPTION:' + 'Café – snow day ❄️ 🎒 '.repeat(12);
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+  assert.ok(parts.length > 3);
+  parts.forEach((p, i) => {
+    assert.ok(octets(p) <= 75, `line ${i + 1} is ${octets(p)} octets`);
+    if (i) assert.equal(p[0], ' ', 'continuation lines start with a space');
+    assert.equal(Buffer.from(p, 'utf8').toString('utf8'), p, 'each line is whole characters');
+  });
+  assert.ok(parts.some(p => octets(p) >= 72), 'lines are filled, not split early');
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+  assert.equal(foldLine('SUMMARY:short'), 'SUMMARY:short');
+  assert.equal(foldLine('X'.repeat(75)), 'X'.repeat(75), 'exactly 75 octets stays on one line');
+  assert.equal(foldLine('X'.repeat(76)).split('\r\n').length, 2);
+});
+
+test('escapeText escapes backslashes, semicolons, commas and newlines', () => {
+  assert.equal(escapeText('a;b,c\\d\ne\r\nf'), 'a\\;b\\,c\\\\d\\ne\\nf');
+  assert.equal(escapeText(null), '');
+  const ics = buildCalendar([{ iso: '2025-11-26', event: 'No School; Thanksgiving, Break', school: 'Clio', notes: 'Line 1\nLine 2' }], { now: NOW });
+  const lines = unfold(ics).split('\r\n');
+  assert.ok(lines.includes('SUMMARY:No School\\; Thanksgiving\\, Break · Clio'));
+  assert.ok(lines.includes('DESCRIPTION:Line 1\\nLine 2'));
+});
+
+test('UIDs are stable across builds and ignore case and padding', () => {
+  const uid = eventUid('2025-09-01', 'Clio Schools', 'Labor Day');
+  assert.equal(uid, eventUid('2025-09-01', ' clio schools ', 'LABOR DAY'));
+  assert.match(uid, /^20250901-clio-schools-[0-9a-f]{8}@csgames\.aspiece\.github\.io$/);
+  assert.notEqual(uid, eventUid('2025-09-02', 'Clio Schools', 'Labor Day'));
+  assert.notEqual(uid, eventUid('2025-09-01', 'Clio Schools', 'No School'));
+  assert.equal(slugify('Mt. Morris Consolidated Schools'), 'mt-morris-consolidated-schools');
+  assert.equal(slugify('École Sainte-Thérèse'), 'ecole-sainte-therese');
+
+  const rows = parseCalendarCsv(repo('School_Calendar_Master.csv'));
+  const a = buildCalendar(rows, { now: NOW });
+  const b = buildCalendar(rows.slice().reverse(), { now: new Date('2026-01-01T00:00:00Z') });
+  const uids = ics => unfold(ics).split('\r\n').filter(l => l.startsWith('UID:')).sort();
+  assert.deepEqual(uids(a), uids(b), 'the same sheet gives the same UIDs in any order, on any day');
+});
+
+test('buildCalendar drops duplicate and incomplete rows and writes all-day events', () => {
+  const rows = [
+    { iso: '2025-12-31', event: 'No School', school: 'Clio', category: 'No School' },
+    { iso: '2025-12-31', event: 'no school', school: 'CLIO', notes: 'same day, same school' },
+    { iso: '2025-12-31', event: 'No School', school: 'Fenton' },
+    { iso: '12/31/2025', event: 'No School', school: 'Clio' },
+    { iso: '2026-01-02', event: '', school: 'Clio' },
+  ];
+  const ics = buildCalendar(rows, { now: NOW, name: 'Clio, Fenton' });
+  const lines = unfold(ics).split('\r\n');
+  assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20251231'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20260101'), 'ends the next day, across the year end');
+  assert.ok(lines.includes('DTSTAMP:20250801T120000Z'));
+  assert.ok(lines.includes('X-WR-CALNAME:Clio\\, Fenton'));
+  assert.ok(lines.includes('CATEGORIES:No School'));
+  assert.ok(!lines.some(l => l.includes('same day, same school')), 'the first of the duplicates wins');
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('each school feed carries the "All Schools" days, and a roll-up gets no feed of its own', () => {
+  const rows = parseCalendarCsv([
+    'Date,Event,School',
+    '2025-09-01,Labor Day,All Schools',
+    '2025-09-02,No School,Clio Schools',
+    '2025-09-03,Half Day,Fenton Schools',
+  ].join('\n'));
+  const feeds = feedsOf(rows);
+  assert.deepEqual(feeds.map(f => f.file), ['clio-schools.ics', 'fenton-schools.ics'], 'nothing is written over all-schools.ics');
+  assert.deepEqual(feeds[0].rows.map(r => `${r.iso} ${r.school}`), ['2025-09-01 All Schools', '2025-09-02 Clio Schools']);
+  assert.deepEqual(feeds[1].rows.map(r => r.iso), ['2025-09-01', '2025-09-03']);
+  assert.ok(unfold(buildCalendar(feeds[0].rows, { now: NOW })).includes('SUMMARY:Labor Day · All Schools'));
+});
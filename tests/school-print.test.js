@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendarCsv } = require('../school-calendar.js');
+const { forSchool, monthsOf, monthWeeks, monthPages } = require('../school-print.js');
+const { repo } = require('./helpers');
+
+const master = repo('School_Calendar_Master.csv');
+
+const csv = [
+  'Date,Event,School Name,Notes',
+  '2025-09-01,Holiday,All Schools,Labor Day',
+  '2025-09-18,Half Day,Fenton High School,Parent <Conferences>',
+  '2025-11-26,No School,Fenton High School,Thanksgiving',
+  '2025-09-18,No School,Beecher High School,PD',
+  '2025-09-18,Delayed Start,Linden High School,',
+  '2025-09-18,No School,Holly High School,',
+  '2025-09-18,Half Day,Lake Fenton High School,',
+].join('\n');
+
+test('forSchool keeps the school’s rows and the All Schools roll-ups', () => {
+  const rows = parseCalendarCsv(csv);
+  assert.deepEqual(forSchool(rows, 'Fenton High School').map(r => r.iso), ['2025-09-01', '2025-09-18', '2025-11-26']);
+  assert.equal(forSchool(rows, 'all').length, rows.length);
+  assert.deepEqual(forSchool(rows, ['Fenton High School', 'Beecher High School']).map(r => r.school),
+    ['All Schools', 'Fenton High School', 'Beecher High School', 'Fenton High School']);
+  assert.equal(forSchool(rows, []).length, rows.length);
+});
+
+test('monthsOf covers every month between the first and last row, empty ones included', () => {
+  assert.deepEqual(monthsOf(parseCalendarCsv(csv)), ['2025-09', '2025-10', '2025-11']);
+  assert.deepEqual(monthsOf([{ iso: '2025-12-19' }, { iso: '2026-01-05' }]), ['2025-12', '2026-01']);
+  assert.deepEqual(monthsOf([]), []);
+});
+
+test('monthWeeks gives Mon–Fri rows and blanks the neighbouring months', () => {
+  const sep = monthWeeks('2025-09');
+  assert.deepEqual(sep[0], ['2025-09-01', '2025-09-02', '2025-09-03', '2025-09-04', '2025-09-05']);
+  assert.deepEqual(sep[sep.length - 1], ['2025-09-29', '2025-09-30', null, null, null]);
+  // November 2025 starts on a Saturday: no all-blank first row
+  assert.equal(monthWeeks('2025-11')[0][0], '2025-11-03');
+  assert.equal(monthWeeks('2026-02').length, 4);
+});
+
+test('monthPages prints every event of a busy day and escapes sheet text', () => {
+  const html = monthPages(parseCalendarCsv(csv));
+  assert.equal((html.match(/class="month-page"/g) || []).length, 3);
+  ['Beecher High School', 'Linden High School', 'Holly High School', 'Lake Fenton High School'].forEach(s => assert.ok(html.includes(s), s));
+  assert.ok(html.includes('Parent &lt;Conferences&gt;'));
+  assert.ok(!html.includes('more'));
+  assert.match(html, /<h1>September 2025<\/h1><h2>All Schools — No School Days<\/h2>/);
+});
+
+test('monthPages for one school names only the roll-up rows', () => {
+  const rows = forSchool(parseCalendarCsv(csv), 'Fenton High School');
+  const html = monthPages(rows, { school: 'Fenton High School' });
+  assert.match(html, /<b>Holiday<\/b> · All Schools/);
+  assert.ok(!html.includes('· Fenton High School'));
+  assert.match(html, /Fenton High School — No School Days/);
+});
+
+test('monthPages handles the real master sheet for a single school', () => {
+  const rows = parseCalendarCsv(master);
+  const school = rows.find(r => !/all school/i.test(r.school)).school;
+  const mine = forSchool(rows, school);
+  const html = monthPages(mine, { school });
+  assert.equal((html.match(/class="month-page"/g) || []).length, monthsOf(mine).length);
+  mine.forEach(r => assert.ok(html.includes(`<div class="date">${Number(r.iso.slice(8))}</div>`)));
+});
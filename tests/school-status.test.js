@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendarCsv } = require('../school-calendar.js');
+const { localToday, matchSchools, statusReport, headline, renderStatus } = require('../school-status.js');
+const { repo } = require('./helpers');
+
+const rows = parseCalendarCsv(repo('School_Calendar_Master.csv'));
+
+test('matchSchools takes exact names or the start of one', () => {
+  const known = ['Clio Schools', 'Fenton Area Public Schools', 'Lake Fenton High School'];
+  assert.deepEqual(matchSchools(known, ['clio', ' Fenton ', 'Nowhere', '']), {
+    schools: ['Clio Schools', 'Fenton Area Public Schools'],
+    missing: ['Nowhere'],
+  });
+  assert.deepEqual(matchSchools(known, ['lake fenton high school', 'Clio Schools']).schools, ['Lake Fenton High School', 'Clio Schools']);
+});
+
+test('statusReport counts every school on a busy day', () => {
+  const report = statusReport(rows, { today: '2025-11-26' });
+  assert.equal(report.day, '2025-11-26');
+  assert.equal(report.schools.length, 23);
+  assert.equal(headline(report.summary), '18 schools off, 3 half days');
+});
+
+test('statusReport finds each chosen school’s next day off within the lookahead', () => {
+  const report = statusReport(rows, { today: '2025-10-10', schools: ['Clio', 'Fenton Area'], days: 14 });
+  assert.deepEqual(report.next.map(n => [n.school, n.iso]), [['Clio Schools', '2025-10-24'], ['Fenton Area Public Schools', null]]);
+  assert.equal(headline(report.summary), 'All 2 schools open');
+  assert.ok(report.upcoming.every(u => u.iso > '2025-10-10' && u.iso <= '2025-10-24'));
+  assert.equal(statusReport(rows, { today: '2025-10-10', schools: ['Clio'], days: 7 }).next[0].iso, null);
+});
+
+test('a weekend shows the coming Monday, and date picks another day', () => {
+  const weekend = statusReport(rows, { today: '2025-10-18' });
+  assert.equal(weekend.day, '2025-10-20');
+  assert.equal(weekend.isToday, false);
+  const other = statusReport(rows, { today: '2025-10-15', date: '2025-11-26' });
+  assert.equal(other.day, '2025-11-26');
+  assert.equal(other.isToday, false);
+  assert.equal(statusReport(rows, { today: '2025-11-26' }).isToday, true);
+});
+
+test('All Schools rows count for every chosen school', () => {
+  const csv = 'Date,Event,School\n2025-12-22,Winter Break,All Schools\n2025-12-15,Half Day,Clio Schools\n';
+  const report = statusReport(parseCalendarCsv(csv), { today: '2025-12-15', schools: ['Clio'] });
+  assert.equal(headline(report.summary), '1 half day');
+  assert.equal(report.next[0].iso, '2025-12-22');
+});
+
+test('renderStatus: compact lists the next days off, full adds the lookahead, text is escaped', () => {
+  const report = statusReport(rows, { today: '2025-11-24', schools: ['Clio'] });
+  const compact = renderStatus(report);
+  assert.match(compact, /<span class="when">Today:<\/span> Clio Schools is open/);
+  assert.match(compact, /Next no-school day for <span class="chip" style="background:hsl\(\d+, 95%, 90%\)[^"]*">Clio Schools<\/span> <strong>Wed 11\/26<\/strong>/);
+  assert.doesNotMatch(compact, /Next 14 days/);
+  const full = renderStatus(report, { mode: 'full', link: 'No_School_Viewer.html?csv=a&b' });
+  assert.match(full, /<h3>Next 14 days<\/h3>/);
+  assert.match(full, /<strong>Fri 11\/28<\/strong>/);
+  assert.match(full, /href="No_School_Viewer.html\?csv=a&amp;b"/);
+
+  const hostile = parseCalendarCsv('Date,Event,School\n2025-12-01,No School,<img src=x onerror=alert(1)>\n');
+  const html = renderStatus(statusReport(hostile, { today: '2025-12-01' }), { mode: 'full' });
+  assert.doesNotMatch(html, /<img/);
+  assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('every school listed without a filter only in full mode', () => {
+  const report = statusReport(rows, { today: '2025-10-10' });
+  assert.doesNotMatch(renderStatus(report), /class="next"/);
+  assert.match(renderStatus(report, { mode: 'full' }), /class="next"/);
+  assert.equal(localToday(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+});
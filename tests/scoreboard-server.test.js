@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer, cleanScores } = require('../scoreboard-server.js');
+const { scoreboard, topScores } = require('../arcade.js');
+
+async function withServer(fn, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scores-'));
+  const file = path.join(dir, 'scores.json');
+  if (opts.seed) fs.writeFileSync(file, JSON.stringify({ scores: opts.seed }));
+  const server = createServer(Object.assign({ file }, opts));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  try {
+    await fn({ base, file });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const score = (initials, points, period = '2', game = 'snake') =>
+  ({ game, period, initials, score: points, at: `2026-10-0${(points % 9) + 1}T14:00:00.000Z` });
+
+test('cleanScores takes one score or a list and refuses a body with none', () => {
+  assert.equal(cleanScores(score('ab', 5))[0].initials, 'AB');
+  assert.equal(cleanScores({ scores: [score('AB', 5), { game: 'pong' }] }).length, 1);
+  assert.throws(() => cleanScores({ scores: [{ game: 'pong' }] }), /No score to save/);
+});
+
+test('posted scores are merged into the top ten and written to the file', () => withServer(async ({ base, file }) => {
+  const board = scoreboard(base);
+  assert.deepEqual(await board.list(), []);
+  await board.send([score('AB', 40), score('CD', 70), score('EF', 10, '3', 'invaders')]);
+  const again = await board.send([score('AB', 40)]);
+  assert.equal(again.length, 3, 'a score sent twice is kept once');
+  assert.deepEqual(topScores(again, 'snake', '2').map(s => s.initials), ['CD', 'AB']);
+
+  const many = Array.from({ length: 12 }, (_, i) => score('P' + i, 100 + i));
+  const after = await board.send(many);
+  assert.equal(topScores(after, 'snake', '2').length, 10);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).scores.length, 11);
+
+  const resp = await fetch(`${base}/scores?game=invaders&period=3`);
+  assert.deepEqual((await resp.json()).scores.map(s => s.initials), ['EF']);
+}));
+
+test('bad scores are a 400, the data file is not served, the projector page is', () => withServer(async ({ base }) => {
+  await assert.rejects(scoreboard(base).send([{ game: 'snake', initials: 'AB', score: -3 }]), /No score to save/);
+  assert.equal((await fetch(base.replace(/\/api$/, '/scores.json'))).status, 404);
+  const page = await fetch(base.replace(/\/api$/, '/'));
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<title>Arcade Scoreboard<\/title>/);
+  const garbled = await fetch(base.replace(/\/api$/, '/%E0%A4%A'));
+  assert.equal(garbled.status, 400, 'a malformed path is a 400, not a logged 500');
+  assert.equal((await garbled.json()).error, 'invalid');
+}));
+
+test('clearing a period needs the teacher key', () => withServer(async ({ base }) => {
+  const board = scoreboard(base);
+  assert.equal((await board.list()).length, 3, 'seeded scores load');
+  await assert.rejects(board.clear({ period: '2' }, 'guess'), /teacher key is not right/);
+  const left = await board.clear({ period: '2' }, 'chalk');
+  assert.deepEqual(left.map(s => s.period), ['5']);
+}, { teacherKey: 'chalk', seed: [score('AB', 10), score('CD', 20, '2', 'invaders'), score('EF', 30, '5')] }));
+
+test('without a teacher key nothing can be cleared', () => withServer(async ({ base }) => {
+  await assert.rejects(scoreboard(base).clear({}, ''), /--teacher-key/);
+}));
+
+test('an unreachable scoreboard is reported plainly', async () => {
+  await assert.rejects(scoreboard('http://127.0.0.1:9/api').list(), /Could not reach the scoreboard/);
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEDULE, scheduleDates, isOffered, slotsLeft, signupsToCsv, claimIcs } = require('../signup-schedule.js');
+
+test('the default season is every Sunday from Sep 7, 2025 to Dec 27, 2026', () => {
+  const dates = scheduleDates();
+  assert.equal(dates.length, 69);
+  assert.deepEqual([dates[0], dates[dates.length - 1]], ['2025-09-07', '2026-12-27']);
+  assert.ok(dates.every(iso => new Date(iso + 'T00:00:00Z').getUTCDay() === 0));
+  assert.ok(dates.includes('2025-11-02'), 'the DST change does not skip or shift a Sunday');
+});
+
+test('weekday, blackout dates and ranges', () => {
+  const schedule = Object.assign({}, SCHEDULE, {
+    weekday: 3, start: '2025-12-01', end: '2026-01-31', blackout: ['2025-12-24/2026-01-01', '2026-01-14'],
+  });
+  assert.deepEqual(scheduleDates(schedule),
+    ['2025-12-03', '2025-12-10', '2025-12-17', '2026-01-07', '2026-01-21', '2026-01-28']);
+  assert.ok(isOffered(schedule, '2026-01-07'));
+  assert.ok(!isOffered(schedule, '2025-12-31'), 'blacked out');
+  assert.ok(!isOffered(schedule, '2026-01-08'), 'wrong weekday');
+  assert.ok(!isOffered(schedule, '2026-02-04'), 'after the end');
+  assert.deepEqual(scheduleDates(Object.assign({}, schedule, { start: 'soon' })), []);
+});
+
+test('slotsLeft counts claims on the date', () => {
+  const schedule = Object.assign({}, SCHEDULE, { slots: 3 });
+  const signups = [{ date_iso: '2025-09-07', name: 'Ana' }, { date_iso: '2025-09-07T00:00:00.000Z', name: 'Ben' }];
+  assert.equal(slotsLeft(schedule, signups, '2025-09-07'), 1);
+  assert.equal(slotsLeft(schedule, signups, '2025-09-14'), 3);
+  assert.equal(slotsLeft(SCHEDULE, signups, '2025-09-07'), 0);
+});
+
+test('signupsToCsv sorts by date and quotes commas and quotes', () => {
+  const csv = signupsToCsv([
+    { id: 'b', date_iso: '2025-09-14', date_nice: 'Sunday, September 14, 2025', name: 'Ben "B" Ruiz', created_at: '2025-09-01' },
+    { id: 'a', date_iso: '2025-09-07', date_nice: 'Sunday', name: 'Ana', created_at: '2025-09-02' },
+  ]);
+  assert.equal(csv,
+    'Date,Day,Name,Signed up at,ID\r\n' +
+    '2025-09-07,Sunday,Ana,2025-09-02,a\r\n' +
+    '2025-09-14,"Sunday, September 14, 2025","Ben ""B"" Ruiz",2025-09-01,b\r\n');
+});
+
+test('signupsToCsv starts names a spreadsheet would run as formulas with a quote', () => {
+  const names = ['=HYPERLINK("http://evil.test")', '+1+1', '-2+3', '@SUM(A1)', '\tTab', '\rCR', 'Ana-Maria', "O'Neil"];
+  const csv = signupsToCsv(names.map((name, i) => ({ id: String(i), date_iso: '2025-09-07', name, created_at: `2025-09-0${i}` })));
+  assert.deepEqual(csv.split('\r\n').slice(1, -1).map(line => line.split(',')[2]), [
+    `"'=HYPERLINK(""http://evil.test"")"`, "'+1+1", "'-2+3", "'@SUM(A1)", "'\tTab", `"'\rCR"`, 'Ana-Maria', "O'Neil",
+  ]);
+});
+
+test('claimIcs: all-day event, alarm the morning before, UID from the claim id', () => {
+  const ics = claimIcs({ id: 'abc123', date_iso: '2025-12-28', date_nice: 'Sunday, December 28, 2025', name: 'Ana; Ben' },
+    SCHEDULE, new Date('2025-12-01T12:00:00Z'));
+  const lines = ics.split('\r\n');
+  assert.ok(lines.includes('UID:signup-abc123@csgames.aspiece.github.io'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20251228'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20251229'), 'ends on the next day across the year end');
+  assert.ok(lines.includes('TRIGGER:-PT900M'), '9:00 the day before an all-day event');
+  assert.ok(lines.includes('SUMMARY:MERGE Youth Group Sunday Meal — Ana\\; Ben'));
+  assert.ok(lines.includes('DTSTAMP:20251201T120000Z'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
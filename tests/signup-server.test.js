@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer, cleanSignup, cleanChanges } = require('../signup-server.js');
+const { jsonServer } = require('../signup-store.js');
+const { SCHEDULE } = require('../signup-schedule.js');
+
+async function withServer(fn, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signups-'));
+  const file = path.join(dir, 'signups.json');
+  if (opts.seed) fs.writeFileSync(file, JSON.stringify({ signups: opts.seed }));
+  const server = createServer(Object.assign({ file }, opts));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  try {
+    await fn({ base, file });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('cleanSignup trims input and rejects bad dates and blank names', () => {
+  assert.deepEqual(cleanSignup({ date_iso: '2025-09-07', date_nice: ' Sunday ', name: '  Ana   Ruiz ' }),
+    { date_iso: '2025-09-07', date_nice: 'Sunday', name: 'Ana Ruiz' });
+  assert.throws(() => cleanSignup({ date_iso: '2025-02-30', name: 'Ana' }), /date_iso/);
+  assert.throws(() => cleanSignup({ date_iso: '9/7/2025', name: 'Ana' }), /date_iso/);
+  assert.throws(() => cleanSignup({ date_iso: '2025-09-07', name: '   ' }), /name/);
+  assert.deepEqual(cleanChanges({ name: ' Ben ', edit_code: 'X' }), { name: 'Ben' });
+  assert.throws(() => cleanChanges({ edit_code: 'X' }), /Nothing to change/);
+});
+
+test('a claim is listed and written to the JSON file', () => withServer(async ({ base, file }) => {
+  const store = jsonServer(base);
+  assert.deepEqual(await store.list(), []);
+  const saved = await store.claim({ date_iso: '2025-09-07', date_nice: 'Sunday, September 7, 2025', name: 'Ana' });
+  assert.equal(saved.name, 'Ana');
+  assert.ok(saved.created_at);
+  assert.match(saved.edit_code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  const listed = await store.list();
+  assert.deepEqual(listed.map(r => r.date_iso), ['2025-09-07']);
+  assert.equal(listed[0].id, saved.id);
+  assert.ok(!('edit_code' in listed[0]) && !('edit_hash' in listed[0]), 'the list never shows edit codes');
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8')).signups;
+  assert.equal(stored.length, 1);
+  assert.ok(!JSON.stringify(stored).includes(saved.edit_code), 'only a hash is written');
+}));
+
+test('a taken date is a conflict that names the existing claim', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  await store.claim({ date_iso: '2025-09-14', name: 'Ana' });
+  await assert.rejects(store.claim({ date_iso: '2025-09-14', name: 'Ben' }), err => {
+    assert.equal(err.name, 'SignupError');
+    assert.equal(err.code, 'conflict');
+    assert.equal(err.taken.name, 'Ana');
+    return true;
+  });
+}));
+
+test('simultaneous claims for one date: exactly one wins', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  const names = ['Ana', 'Ben', 'Cy', 'Dee', 'Eli'];
+  const results = await Promise.allSettled(names.map(name => store.claim({ date_iso: '2025-09-21', name })));
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason.code === 'conflict'));
+  assert.equal((await store.list()).length, 1);
+}));
+
+test('bad input is a 400 invalid error, unknown routes a 404, the data file is not served', () => withServer(async ({ base }) => {
+  await assert.rejects(jsonServer(base).claim({ date_iso: 'next week', name: 'Ana' }), { code: 'invalid' });
+  const resp = await fetch(base.replace(/\/api$/, '/signups.json'));
+  assert.equal(resp.status, 404);
+  const form = await fetch(base + '/signups', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ date_iso: '2025-09-28', name: 'Form Post' }),
+  });
+  assert.equal(form.status, 201);
+}));
+
+test('dates off the schedule are refused', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  await assert.rejects(store.claim({ date_iso: '2025-09-08', name: 'Ana' }), { code: 'invalid', message: /not on the meal schedule/ });
+  await assert.rejects(store.claim({ date_iso: '2027-01-03', name: 'Ana' }), { code: 'invalid' });
+}));
+
+test('several slots per date: fill up, then conflict; one name once per date', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  await store.claim({ date_iso: '2025-10-05', name: 'Ana' });
+  await assert.rejects(store.claim({ date_iso: '2025-10-05', name: ' ana ' }), { code: 'conflict', message: /already signed up/ });
+  await store.claim({ date_iso: '2025-10-05', name: 'Ben' });
+  await assert.rejects(store.claim({ date_iso: '2025-10-05', name: 'Cy' }), { code: 'conflict', message: /Ana, Ben/ });
+}, { schedule: Object.assign({}, SCHEDULE, { slots: 2 }) }));
+
+test('the edit code moves, hands off and cancels a claim; a wrong code is forbidden', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  const ana = await store.claim({ date_iso: '2025-10-12', name: 'Ana' });
+  await store.claim({ date_iso: '2025-10-19', name: 'Ben' });
+  await assert.rejects(store.cancel(ana.id, { edit_code: 'AAAA-AAAA' }), { code: 'forbidden' });
+  await assert.rejects(store.update(ana.id, { date_iso: '2025-10-19' }, { edit_code: ana.edit_code }), { code: 'conflict' });
+  const moved = await store.update(ana.id, { date_iso: '2025-10-26', date_nice: 'Oct 26' }, { edit_code: ana.edit_code.toLowerCase() });
+  assert.equal(moved.date_iso, '2025-10-26');
+  const handed = await store.update(ana.id, { name: 'Dee' }, { edit_code: ana.edit_code });
+  assert.deepEqual([handed.name, handed.date_iso], ['Dee', '2025-10-26']);
+  await store.cancel(ana.id, { edit_code: ana.edit_code });
+  assert.deepEqual((await store.list()).map(r => r.name), ['Ben']);
+  await assert.rejects(store.cancel(ana.id, { edit_code: ana.edit_code }), { code: 'not-found' });
+}));
+
+test('the organizer key changes any claim, including ones saved before edit codes', () => withServer(async ({ base }) => {
+  const store = jsonServer(base);
+  const [old] = await store.list();
+  assert.ok(old.id, 'old rows get an id on load');
+  await assert.rejects(store.cancel(old.id, { organizer_key: 'guess' }), { code: 'forbidden' });
+  await assert.rejects(store.cancel(old.id, { edit_code: '' }), { code: 'forbidden' });
+  await store.cancel(old.id, { organizer_key: 'sesame' });
+  assert.deepEqual(await store.list(), []);
+}, {
+  organizerKey: 'sesame',
+  seed: [{ date_iso: '2025-11-02', date_nice: 'Sunday', name: 'Old Row', created_at: '2025-08-01T00:00:00.000Z' }],
+}));
+
+test('an unreachable server is reported as unavailable', async () => {
+  await assert.rejects(jsonServer('http://127.0.0.1:9/api').list(), { code: 'unavailable' });
+});
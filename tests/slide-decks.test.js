@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { csvToObjects, resolveConfig } = require('../pacing-engine.js');
+const { repoLinkOf } = require('../pacing-validate.js');
+const { readZip, slideOutline, readDeck, deckLinks, inventory } = require('../slide-decks.js');
+const { repoFiles } = require('../deck-inventory.js');
+const courses = require('../pacing-courses.js');
+const { repo, repoPath } = require('./helpers');
+
+function aplusDays() {
+  const config = resolveConfig(courses.aplus);
+  const { headers, rows } = csvToObjects(repo('pacing.csv'));
+  return { config, headers, days: rows.map(row => ({ key: row.Day, row })) };
+}
+
+test('repoLinkOf splits GitHub raw, blob and raw.githubusercontent links', () => {
+  assert.deepEqual(repoLinkOf('https://github.com/aspiece/CSGames/raw/refs/heads/main/BootFailures.pptx'),
+    { owner: 'aspiece', repo: 'CSGames', ref: 'main', path: 'BootFailures.pptx' });
+  assert.equal(repoLinkOf('https://raw.githubusercontent.com/a/b/dev/decks/My%20Deck.pptx').path, 'decks/My Deck.pptx');
+  assert.equal(repoLinkOf('https://example.com/deck.pptx'), null);
+  assert.equal(repoLinkOf('not a url'), null);
+});
+
+test('readZip lists the parts of a .pptx', () => {
+  const zip = readZip(new Uint8Array(fs.readFileSync(repoPath('BootFailures.pptx'))));
+  assert.ok(zip.has('ppt/presentation.xml'));
+  assert.equal(Array.from(zip.keys()).filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n)).length, 8);
+  assert.throws(() => readZip(new Uint8Array(64)), /Not a zip file/);
+});
+
+test('slideOutline takes the title placeholder, levels and entities from slide XML', () => {
+  const xml = '<p:sld><p:cSld><p:spTree>'
+    + '<p:sp><p:nvSpPr><p:nvPr><p:ph type="ctrTitle"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>Ports &amp; Cables</a:t></a:r></a:p></p:txBody></p:sp>'
+    + '<p:sp><p:spPr/><p:txBody><a:p><a:r><a:t>USB-C</a:t></a:r><a:br/><a:r><a:t>Thunderbolt</a:t></a:r></a:p>'
+    + '<a:p><a:pPr lvl="1"/><a:r><a:t>40 Gbps &#x2014; &lt;max&gt;</a:t></a:r></a:p><a:p><a:r><a:t> </a:t></a:r></a:p></p:txBody></p:sp>'
+    + '<p:graphicFrame><a:graphicData><dgm:relIds r:dm="rId2"/></a:graphicData></p:graphicFrame>'
+    + '</p:spTree></p:cSld></p:sld>';
+  const diagram = '<dgm:dataModel><dgm:pt><dgm:t><a:p><a:r><a:t>HDMI</a:t></a:r></a:p></dgm:t></dgm:pt></dgm:dataModel>';
+  assert.deepEqual(slideOutline(xml, { rId2: diagram }), {
+    title: 'Ports & Cables',
+    lines: [{ text: 'USB-C Thunderbolt', level: 0 }, { text: '40 Gbps — <max>', level: 1 }, { text: 'HDMI', level: 0 }],
+  });
+});
+
+test('readDeck follows presentation order and reads SmartArt text', async () => {
+  const deck = await readDeck(fs.readFileSync(repoPath('BootFailures.pptx')));
+  assert.equal(deck.slides.length, 8);
+  assert.equal(deck.slides[0].title, 'Boot Failures & Hardware');
+  // Slide 2's agenda is a SmartArt diagram
+  assert.equal(deck.slides[1].title, 'Agenda Overview');
+  assert.ok(deck.slides[1].lines.some(l => l.text === 'Activation: Scenario prompt'));
+  assert.deepEqual(deck.slides.map(s => s.n), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('every deck in the repository opens', async () => {
+  for (const file of repoFiles().filter(f => /\.pptx$/i.test(f))) {
+    const deck = await readDeck(fs.readFileSync(repoPath(file)));
+    assert.ok(deck.slides.length > 0, file);
+    assert.ok(deck.slides.every(s => s.title || s.lines.length), file);
+  }
+});
+
+test('deckLinks picks the slide column and stray .pptx links', () => {
+  const { config, headers, days } = aplusDays();
+  const links = deckLinks(days, headers, config);
+  assert.equal(links.length, 7);
+  assert.deepEqual(links[0], {
+    key: '9/2/2025', column: 'Slide deck',
+    url: 'https://github.com/aspiece/CSGames/raw/refs/heads/main/Frozen_Systems_BSODs_Lesson.pptx',
+    file: 'Frozen_Systems_BSODs_Lesson.pptx',
+  });
+  const extra = deckLinks([{ key: 'x', row: { Notes: 'Backup: https://example.com/a.pptx and https://example.com/page' } }], ['Notes'], config);
+  assert.deepEqual(extra.map(l => [l.url, l.file]), [['https://example.com/a.pptx', '']]);
+});
+
+test('inventory finds unused decks and links to missing files', () => {
+  const { config, headers, days } = aplusDays();
+  const links = deckLinks(days, headers, config).concat([
+    { key: '9/30/2025', column: 'Slide deck', url: 'https://github.com/aspiece/CSGames/raw/main/Printers.pptx', file: 'Printers.pptx' },
+    { key: '10/1/2025', column: 'Slide deck', url: 'https://docs.google.com/presentation/d/abc', file: '' },
+  ]);
+  const inv = inventory(links, repoFiles());
+  assert.deepEqual(inv.unused, ['Networking_Basics.pptx', 'Networking_Hardware.pptx']);
+  assert.deepEqual(inv.missing.map(l => l.file), ['Printers.pptx']);
+  assert.equal(inv.decks.find(d => d.file === 'BootFailures.pptx').links[0].key, '9/3/2025');
+  assert.equal(inv.external.length, 1);
+
+  const unknown = inventory(links, null);
+  assert.equal(unknown.unused, null);
+  assert.ok(unknown.decks.every(d => d.exists === null));
+  assert.deepEqual(unknown.missing, []);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvToObjects, resolveConfig } = require('../pacing-engine.js');
+const { parseAlignment, splitFrameworks, parseCatalog, buildCoverage, coverageToCSV } = require('../standards.js');
+const courses = require('../pacing-courses.js');
+const { repo } = require('./helpers');
+
+// The days and headers a pacing page hands the coverage panel
+function coverageOf(file, course) {
+  const { headers, rows } = csvToObjects(repo(file), resolveConfig(course).columns.day);
+  const days = rows.map(row => ({ key: row.Day, row }));
+  return buildCoverage(days, headers, parseCatalog(repo('standards_catalog.csv')));
+}
+const frameworks = coverage => coverage.map(fw => fw.framework);
+const codesOf = (coverage, name) => coverage.find(fw => fw.framework === name).standards.filter(s => s.hits.length).map(s => s.code);
+
+test('splitFrameworks expands "&" and "/" lists and folds other spellings together', () => {
+  assert.deepEqual(splitFrameworks('CompTIA A+ Core 1 & Core 2'), ['CompTIA A+ Core 1', 'CompTIA A+ Core 2']);
+  assert.deepEqual(splitFrameworks('CompTIA A+ Core 1 & 2'), ['CompTIA A+ Core 1', 'CompTIA A+ Core 2']);
+  assert.deepEqual(splitFrameworks('IB CS HL/SL'), ['IB CS HL', 'IB CS SL']);
+  assert.deepEqual(splitFrameworks('IB CS Core HL/SL'), ['IB CS HL', 'IB CS SL']);
+  assert.deepEqual(splitFrameworks('Michigan 3A/3B'), ['Michigan']);
+  assert.deepEqual(splitFrameworks('  CSTA  3A '), ['CSTA 3A']);
+});
+
+test('parseAlignment carries a "<Framework> Standards:" prefix over the codes that follow', () => {
+  const found = parseAlignment('Lesson 2.3 Standards: CompTIA Tech Standards: 6.4 Use cases for encryption.; 6.2 Secure devices; ' +
+    'IB CS Core HL/SL: 2.1.3 Cache memory; Michigan 3A/3B mirror above.; Lesson 2.5 Standards: None specified.');
+  assert.deepEqual(found, [
+    { framework: 'CompTIA Tech', code: '6.4', description: 'Use cases for encryption' },
+    { framework: 'CompTIA Tech', code: '6.2', description: 'Secure devices' },
+    { framework: 'IB CS HL', code: '2.1.3', description: 'Cache memory' },
+    { framework: 'IB CS SL', code: '2.1.3', description: 'Cache memory' },
+  ], 'notes without a code and "None" are skipped');
+  assert.deepEqual(parseAlignment(''), []);
+});
+
+test('parseAlignment reads "<Framework> — topics" only when the framework is one it knows', () => {
+  assert.deepEqual(parseAlignment('CompTIA A+ Core 1 & 2 — System tools, process management (Task Manager)'), [
+    { framework: 'CompTIA A+ Core 1', code: 'System tools', description: '' },
+    { framework: 'CompTIA A+ Core 2', code: 'System tools', description: '' },
+    { framework: 'CompTIA A+ Core 1', code: 'process management', description: '' },
+    { framework: 'CompTIA A+ Core 2', code: 'process management', description: '' },
+  ]);
+  assert.deepEqual(parseAlignment('Professional practices and ethics — CompTIA A+ recommended soft skills'), [],
+    'prose before a dash is not a framework');
+  assert.deepEqual(parseAlignment('District Goals — Safety', ['District Goals']).map(s => s.framework), ['District Goals'],
+    'a catalog framework counts as known');
+});
+
+test('pacing.csv rolls up into the A+ cores and CSTA topics', () => {
+  const coverage = coverageOf('pacing.csv', courses.aplus);
+  assert.deepEqual(frameworks(coverage), ['CompTIA A+ Core 1', 'CompTIA A+ Core 2', 'CSTA']);
+  assert.ok(codesOf(coverage, 'CompTIA A+ Core 1').includes('Boot process'));
+  const csta = coverage.find(fw => fw.framework === 'CSTA').standards.find(s => s.code === 'Computing Systems');
+  assert.ok(csta.hits.length > 5, 'one standard, hit on many days');
+});
+
+test('tech+pacing.csv rolls up by framework, with the catalog listing what no day covers', () => {
+  const coverage = coverageOf('tech+pacing.csv', courses.techplus);
+  const names = frameworks(coverage);
+  assert.ok(names.includes('IB CS HL') && names.includes('Michigan'));
+  assert.ok(!names.some(n => /^IB CS Core|^Michigan \w/.test(n)), 'no one-off spellings of a framework');
+  assert.deepEqual(codesOf(coverage, 'Michigan'), ['2-NI-06', '3A-AP-20', '3B-IC-28']);
+  assert.ok(codesOf(coverage, 'IB CS HL').includes('2.1.7') && codesOf(coverage, 'IB CS HL').includes('A1.3.1.1'));
+
+  const csta3a = coverage.find(fw => fw.framework === 'CSTA 3A').standards.map(s => s.code);
+  const catalog = parseCatalog(repo('standards_catalog.csv')).filter(c => c.framework === 'CSTA 3A').map(c => c.code);
+  assert.ok(catalog.every(code => csta3a.includes(code)), 'every catalog standard is listed, covered or not');
+  assert.equal(coverageToCSV(coverage).split('\r\n')[0], 'Framework,Code,Description,Covered,Times Covered,Days,Lessons');
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/*
+ * Lint pacing CSVs against their course schema (pacing-courses.js).
+ *
+ *   node validate-pacing.js                      # every course with a local CSV
+ *   node validate-pacing.js techplus             # one course, its local CSV
+ *   node validate-pacing.js aplus export.csv     # one course, another file (e.g. a Sheets download)
+ *   node validate-pacing.js tech+pacing.csv      # a file named like a course's CSV, against that course
+ *   node validate-pacing.js --json ...           # machine-readable output
+ *   node validate-pacing.js --check-links ...    # also HEAD every slide/video link
+ *
+ * Exits 1 when any file has errors, so it can gate a commit or CI job.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const courses = require('./pacing-courses.js');
+const { validate, counts } = require('./pacing-validate.js');
+
+// The course's local CSV (the non-URL source)
+function localSource(course) {
+  const src = course.sources.find(s => !/^https?:/.test(s));
+  return src ? path.join(__dirname, decodeURIComponent(src)) : '';
+}
+
+// The course whose local CSV has this file's name ('' if none)
+function courseOfFile(file) {
+  const name = path.basename(file);
+  return Object.keys(courses).find(id => {
+    const src = localSource(courses[id]);
+    return src && path.basename(src) === name;
+  }) || '';
+}
+
+function fileExists(name) {
+  return fs.existsSync(path.join(__dirname, name));
+}
+
+async function checkLinks(text, course) {
+  const { extractUrls, csvToObjects, matchesRole, resolveConfig } = require('./pacing-engine.js');
+  const config = resolveConfig(course);
+  const { headers, rows } = csvToObjects(text, config.columns.day);
+  const cols = headers.filter(h => matchesRole(config.columns.slides, h) || matchesRole(config.columns.video, h));
+  const urls = new Set();
+  rows.forEach(r => cols.forEach(h => extractUrls(r[h]).forEach(u => urls.add(u))));
+
+  const issues = [];
+  for (const url of urls) {
+    try {
+      const resp = await fetch(url, { method: 'HEAD', redirect: 'follow' });
+      if (!resp.ok) issues.push({ level: 'error', row: null, column: '', message: `${url} answered HTTP ${resp.status}.` });
+    } catch (err) {
+      issues.push({ level: 'warning', row: null, column: '', message: `${url} could not be reached (${err.message}).` });
+    }
+  }
+  return issues;
+}
+
+function printReport(file, result) {
+  const { errors, warnings } = counts(result.issues);
+  console.log(`${path.relative(process.cwd(), file) || file}: ${result.rows} rows, ${errors} error(s), ${warnings} warning(s)`);
+  result.issues.forEach(i => {
+    const where = `${i.row ? `row ${i.row}` : 'file'}${i.column ? ` [${i.column}]` : ''}`;
+    console.log(`  ${i.level.padEnd(7)} ${where}: ${i.message}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const online = args.includes('--check-links');
+  let [courseId, fileArg] = args.filter(a => !a.startsWith('--'));
+  if (courseId && !fileArg && /\.csv$/i.test(courseId)) {
+    fileArg = courseId;
+    courseId = courseOfFile(fileArg);
+    if (!courseId) throw new Error(`No course reads a file named "${path.basename(fileArg)}"; name the course: node validate-pacing.js <course> ${fileArg}`);
+  }
+
+  const targets = courseId
+    ? [{ id: courseId, course: courses[courseId], file: fileArg ? path.resolve(fileArg) : '' }]
+    : Object.keys(courses).map(id => ({ id, course: courses[id], file: '' }));
+
+  const results = [];
+  for (const t of targets) {
+    if (!t.course) throw new Error(`Unknown course "${t.id}". Known: ${Object.keys(courses).join(', ')}`);
+    const file = t.file || localSource(t.course);
+    if (!file) continue;
+    const text = fs.readFileSync(file, 'utf8');
+    const result = validate(text, t.course, { fileExists });
+    if (online) result.issues.push(...await checkLinks(text, t.course));
+    results.push({ course: t.id, file, ...result });
+  }
+
+  if (json) console.log(JSON.stringify(results, null, 2));
+  else results.forEach(r => printReport(r.file, r));
+  return results.some(r => counts(r.issues).errors > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code), err => {
+    console.error(err.message);
+    process.exit(2);
+  });
+}
+
+module.exports = { localSource, courseOfFile };